@@ -0,0 +1,15 @@
+// src/codemods/index.js
+// Built-in codemods: AST transforms for refactors that need no AI.
+//
+// A codemod is an object `{ id, title, description, run(ast, source, file) }`. `run`
+// returns fixes `[{ line, message, edits: [{ start, end, text }] }]` whose edits replace
+// character ranges of the source, so everything outside them keeps its formatting.
+// `file` is the path on disk. An optional `appliesTo(file)` returning false keeps the codemod
+// away from files it must not touch at all.
+
+module.exports = [
+    require('./varToLetConst'),
+    require('./requireToImport'),
+    require('./thenToAsync'),
+    require('./removeUnusedImports')
+];
@@ -0,0 +1,94 @@
+// src/codemods/removeUnusedImports.js
+// Codemod: drops imported names the file never uses. A declaration left with none becomes
+// a bare `import 'x'`, since loading the module may have side effects; only type-only
+// imports, which compile to nothing, are removed outright. Any identifier with the same
+// name counts as a use, so a name is only dropped when it appears nowhere else in the file.
+
+const path = require('path');
+const { walk } = require('../utils/astUtils');
+
+// Their markup can use imports the script AST does not show
+const TEMPLATE_EXTENSIONS = ['.vue', '.svelte', '.astro'];
+
+function collectUsedNames(program) {
+    const used = new Set();
+    let hasJsx = false;
+    walk(program, {
+        enter(node) {
+            if (node.type === 'ImportDeclaration') return false;
+            if (node.type === 'Identifier' || node.type === 'JSXIdentifier') used.add(node.name);
+            if (node.type === 'JSXElement' || node.type === 'JSXFragment') hasJsx = true;
+            return true;
+        }
+    });
+    // The classic JSX transform compiles elements to React.createElement calls
+    if (hasJsx) used.add('React');
+    return used;
+}
+
+function formatSpecifier(specifier, source) {
+    return source.slice(specifier.start, specifier.end);
+}
+
+// The import declaration with only `kept` specifiers, in the original quote style
+function rebuildImport(declaration, kept, source) {
+    const defaultOrNamespace = kept.filter(specifier => specifier.type !== 'ImportSpecifier');
+    const named = kept.filter(specifier => specifier.type === 'ImportSpecifier');
+    const parts = defaultOrNamespace.map(specifier => formatSpecifier(specifier, source));
+    if (named.length > 0) {
+        parts.push(`{ ${named.map(specifier => formatSpecifier(specifier, source)).join(', ')} }`);
+    }
+    const typeOnly = declaration.importKind === 'type' ? 'type ' : '';
+    const semicolon = source.slice(declaration.start, declaration.end).endsWith(';') ? ';' : '';
+    return `import ${typeOnly}${parts.join(', ')} from ${source.slice(declaration.source.start, declaration.source.end)}${semicolon}`;
+}
+
+// The declaration as a side-effect import, so the module is still loaded
+function rebuildBareImport(declaration, source) {
+    const semicolon = source.slice(declaration.start, declaration.end).endsWith(';') ? ';' : '';
+    return `import ${source.slice(declaration.source.start, declaration.source.end)}${semicolon}`;
+}
+
+// The range of a whole declaration including its line break, so no blank line is left behind
+function getStatementRange(declaration, source) {
+    let end = declaration.end;
+    while (source[end] === ' ' || source[end] === '\t') end++;
+    if (source[end] === '\r') end++;
+    if (source[end] === '\n') end++;
+    return { start: declaration.start, end };
+}
+
+module.exports = {
+    id: 'remove-unused-imports',
+    title: 'Remove Unused Imports',
+    description: 'Removes imported names the file never uses',
+
+    run(ast, source, file) {
+        if (TEMPLATE_EXTENSIONS.includes(path.extname(file))) return [];
+
+        const used = collectUsedNames(ast.program);
+        const fixes = [];
+        ast.program.body
+            .filter(statement => statement.type === 'ImportDeclaration' && statement.specifiers.length > 0)
+            .forEach(declaration => {
+                const unused = declaration.specifiers.filter(specifier => !used.has(specifier.local.name));
+                if (unused.length === 0) return;
+
+                const kept = declaration.specifiers.filter(specifier => !unused.includes(specifier));
+                let edit;
+                if (kept.length > 0) {
+                    edit = { start: declaration.start, end: declaration.end, text: rebuildImport(declaration, kept, source) };
+                } else if (declaration.importKind === 'type') {
+                    edit = { ...getStatementRange(declaration, source), text: '' };
+                } else {
+                    edit = { start: declaration.start, end: declaration.end, text: rebuildBareImport(declaration, source) };
+                }
+                fixes.push({
+                    line: declaration.loc.start.line,
+                    message: `Unused import${unused.length === 1 ? '' : 's'} ${unused.map(specifier => `\`${specifier.local.name}\``).join(', ')} from "${declaration.source.value}"`,
+                    edits: [edit]
+                });
+            });
+        return fixes;
+    }
+};
@@ -0,0 +1,236 @@
+// src/codemods/requireToImport.js
+// Codemod: CommonJS modules become ES modules. Top-level `require` declarations turn into
+// imports and `module.exports = ...` into exports. A file is converted as a whole or not at
+// all: one that also requires inside functions, assigns `exports.x` or uses __dirname
+// would be left half CommonJS, so it is skipped.
+// Only files that load as ES modules are converted: .mjs and compiled sources, or files in a
+// package whose package.json says `"type": "module"`. Node's loader does not add extensions,
+// so relative specifiers in files it runs directly get the one found on disk.
+// A required project module is read to pick the import that matches how it exports, once
+// converted too: `module.exports = { a, b }` becomes named exports, so `const m = require()`
+// of it needs `import * as m`, and a module with just a default export cannot be destructured.
+
+const fs = require('fs');
+const path = require('path');
+const { walk, parseSource, extractScriptContent } = require('../utils/astUtils');
+
+// Always ES modules, or always CommonJS, whatever the package says
+const MODULE_EXTENSIONS = ['.mjs', '.mts', '.ts', '.tsx', '.vue', '.svelte', '.astro'];
+const COMMONJS_EXTENSIONS = ['.cjs', '.cts'];
+// A compiler or bundler resolves these files' imports, so specifiers stay as they are
+const COMPILED_EXTENSIONS = ['.mts', '.ts', '.tsx', '.vue', '.svelte', '.astro'];
+// What Node finds for `require('./x')`, in its order
+const REQUIRE_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+// What a compiler finds as well
+const COMPILED_REQUIRE_EXTENSIONS = ['.ts', '.tsx', '.mts', ...REQUIRE_EXTENSIONS];
+
+function isRequireCall(node) {
+    return node?.type === 'CallExpression' &&
+        node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+        node.arguments.length === 1 && node.arguments[0].type === 'StringLiteral';
+}
+
+function isModuleExports(node) {
+    return node?.type === 'MemberExpression' && !node.computed &&
+        node.object.type === 'Identifier' && node.object.name === 'module' &&
+        node.property.type === 'Identifier' && node.property.name === 'exports';
+}
+
+// `module.exports = { a, b: c }`, which converts to named exports
+function isShorthandObject(node) {
+    return node.type === 'ObjectExpression' && node.properties.every(property =>
+        property.type === 'ObjectProperty' && !property.computed &&
+        property.key.type === 'Identifier' && property.value.type === 'Identifier');
+}
+
+// `{ a, b: c }` as import specifiers, or null for patterns an import cannot express
+function toImportSpecifiers(pattern) {
+    const specifiers = [];
+    for (const property of pattern.properties) {
+        if (property.type !== 'ObjectProperty' || property.computed ||
+            property.key.type !== 'Identifier' || property.value.type !== 'Identifier') {
+            return null;
+        }
+        specifiers.push(property.key.name === property.value.name
+            ? property.key.name
+            : `${property.key.name} as ${property.value.name}`);
+    }
+    return specifiers;
+}
+
+function isFile(candidate) {
+    try {
+        return fs.statSync(candidate).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+// The "type" of the package.json nearest to `file`
+function findPackageType(file) {
+    let dir = path.dirname(path.resolve(file));
+    for (;;) {
+        const packageJson = path.join(dir, 'package.json');
+        if (isFile(packageJson)) {
+            try {
+                return JSON.parse(fs.readFileSync(packageJson, 'utf8')).type || 'commonjs';
+            } catch (error) {
+                return 'commonjs';
+            }
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) return 'commonjs';
+        dir = parent;
+    }
+}
+
+function isEsModuleFile(file) {
+    const ext = path.extname(file);
+    if (MODULE_EXTENSIONS.includes(ext)) return true;
+    if (COMMONJS_EXTENSIONS.includes(ext)) return false;
+    return findPackageType(file) === 'module';
+}
+
+// `specifier` with the extension `require` would have found, or null when it finds no file
+function addExtension(specifier, file, extensions = REQUIRE_EXTENSIONS) {
+    const target = path.resolve(path.dirname(file), specifier);
+    if (isFile(target)) return specifier;
+    const withExtension = extensions.find(ext => isFile(target + ext));
+    if (withExtension) return specifier + withExtension;
+    const index = extensions.find(ext => isFile(path.join(target, `index${ext}`)));
+    if (index) return `${specifier.replace(/\/$/, '')}/index${index}`;
+    return null;
+}
+
+// The import source for a required module, or null when a relative one cannot be found
+function formatSource(literal, source, file) {
+    const text = source.slice(literal.start, literal.end);
+    const specifier = literal.value;
+    if (COMPILED_EXTENSIONS.includes(path.extname(file)) || !/^\.\.?(\/|$)/.test(specifier)) return text;
+    const resolved = addExtension(specifier, file);
+    if (resolved === null) return null;
+    return text[0] + resolved + text[text.length - 1];
+}
+
+// 'default' when the ES module `specifier` names has a default export, 'namespace' when it
+// has only named ones. null for packages, CommonJS modules and files that cannot be read,
+// whose `module.exports` is what a default import gets.
+function findExportStyle(specifier, file) {
+    if (!/^\.\.?(\/|$)/.test(specifier)) return null;
+    const extensions = COMPILED_EXTENSIONS.includes(path.extname(file)) ? COMPILED_REQUIRE_EXTENSIONS : REQUIRE_EXTENSIONS;
+    const resolved = addExtension(specifier, file, extensions);
+    if (resolved === null) return null;
+    const target = path.resolve(path.dirname(file), resolved);
+    if (!isEsModuleFile(target)) return null;
+
+    let statements;
+    try {
+        statements = parseSource(extractScriptContent(fs.readFileSync(target, 'utf8'), target)).program.body;
+    } catch (error) {
+        return null;
+    }
+    const hasDefault = statements.some(statement => statement.type === 'ExportDefaultDeclaration' ||
+        (statement.type === 'ExportNamedDeclaration' &&
+            statement.specifiers.some(specifier => specifier.exported.name === 'default')) ||
+        (isModuleExportsAssignment(statement) && !isShorthandObject(statement.expression.right)));
+    return hasDefault ? 'default' : 'namespace';
+}
+
+// The import replacing one top-level statement (without its semicolon), or null when it
+// is not a plain require. `undefined` when it is one whose module cannot be found.
+function convertRequireStatement(statement, source, file) {
+    if (statement.type === 'ExpressionStatement' && isRequireCall(statement.expression)) {
+        const from = formatSource(statement.expression.arguments[0], source, file);
+        return from === null ? undefined : `import ${from}`;
+    }
+    if (statement.type !== 'VariableDeclaration' || statement.declarations.length !== 1) return null;
+
+    const [declarator] = statement.declarations;
+    // JSON needs import attributes, which not every runtime supports yet
+    if (!isRequireCall(declarator.init) || declarator.init.arguments[0].value.endsWith('.json')) return null;
+    const from = formatSource(declarator.init.arguments[0], source, file);
+    if (from === null) return undefined;
+    const exportStyle = findExportStyle(declarator.init.arguments[0].value, file);
+    if (declarator.id.type === 'Identifier') {
+        return exportStyle === 'namespace'
+            ? `import * as ${declarator.id.name} from ${from}`
+            : `import ${declarator.id.name} from ${from}`;
+    }
+    // A default export cannot be destructured by an import
+    if (declarator.id.type === 'ObjectPattern' && exportStyle !== 'default') {
+        const specifiers = toImportSpecifiers(declarator.id);
+        return specifiers ? `import { ${specifiers.join(', ')} } from ${from}` : null;
+    }
+    return null;
+}
+
+// The export replacing `module.exports = ...`, without its semicolon
+function convertExportStatement(statement, source) {
+    const { right } = statement.expression;
+    if (isShorthandObject(right)) {
+        const names = right.properties.map(property => (property.key.name === property.value.name
+            ? property.key.name
+            : `${property.value.name} as ${property.key.name}`));
+        return `export { ${names.join(', ')} }`;
+    }
+    return `export default ${source.slice(right.start, right.end)}`;
+}
+
+function isModuleExportsAssignment(statement) {
+    return statement.type === 'ExpressionStatement' &&
+        statement.expression.type === 'AssignmentExpression' &&
+        statement.expression.operator === '=' &&
+        isModuleExports(statement.expression.left);
+}
+
+module.exports = {
+    id: 'require-to-import',
+    title: 'Convert require() to import',
+    description: 'Turns top-level `require` calls into imports and `module.exports` into exports',
+
+    appliesTo: isEsModuleFile,
+
+    run(ast, source, file) {
+        const statements = ast.program.body;
+        const fixes = [];
+        // The `require(...)` and `module.exports` nodes the conversion replaces
+        const replaced = new Set();
+        let unresolved = false;
+
+        statements.forEach(statement => {
+            const text = isModuleExportsAssignment(statement)
+                ? convertExportStatement(statement, source)
+                : convertRequireStatement(statement, source, file);
+            if (text === undefined) unresolved = true;
+            if (!text) return;
+            replaced.add(statement.type === 'VariableDeclaration' ? statement.declarations[0].init
+                : isModuleExportsAssignment(statement) ? statement.expression.left
+                : statement.expression);
+            const semicolon = source.slice(statement.start, statement.end).endsWith(';') ? ';' : '';
+            fixes.push({
+                line: statement.loc.start.line,
+                message: isModuleExportsAssignment(statement)
+                    ? '`module.exports` can be an ES module export'
+                    : '`require` can be an `import`',
+                edits: [{ start: statement.start, end: statement.end, text: text + semicolon }]
+            });
+        });
+        if (fixes.length === 0 || unresolved) return [];
+
+        // Any CommonJS left over would break the converted file
+        let leftover = false;
+        walk(ast.program, {
+            enter(node, parent) {
+                if (leftover || replaced.has(node)) return false;
+                if (isRequireCall(node) || isModuleExports(node) ||
+                    (node.type === 'Identifier' && ['require', 'exports', '__dirname', '__filename'].includes(node.name) &&
+                        !(parent?.type === 'MemberExpression' && parent.property === node && !parent.computed) &&
+                        !(parent?.type === 'ObjectProperty' && parent.key === node && !parent.computed))) {
+                    leftover = true;
+                }
+                return true;
+            }
+        });
+        return leftover ? [] : fixes;
+    }
+};
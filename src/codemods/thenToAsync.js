@@ -0,0 +1,229 @@
+// src/codemods/thenToAsync.js
+// Codemod: a function that returns a `.then()` chain becomes an async function awaiting each
+// step, with a trailing `.catch()` turned into try/catch. Only chains the rewrite cannot
+// change the meaning of are converted: the chain is the function's only return, each
+// callback takes at most one plain parameter, every `.then` callback returns only from its
+// last statement, and no name the callbacks introduce clashes with another in the function.
+
+const { walk, isFunctionNode, getFunctionName } = require('../utils/astUtils');
+
+// Expressions that can follow `await` or `return` without parentheses
+const TIGHT_EXPRESSIONS = new Set([
+    'CallExpression', 'MemberExpression', 'OptionalCallExpression', 'OptionalMemberExpression',
+    'Identifier', 'NewExpression', 'ThisExpression', 'StringLiteral', 'NumericLiteral',
+    'BooleanLiteral', 'NullLiteral', 'TemplateLiteral', 'ArrayExpression', 'ObjectExpression',
+    'AwaitExpression'
+]);
+
+function isMethodCall(node, name) {
+    return node?.type === 'CallExpression' &&
+        node.callee.type === 'MemberExpression' && !node.callee.computed &&
+        node.callee.property.type === 'Identifier' && node.callee.property.name === name;
+}
+
+// `base.then(a).then(b).catch(c)` → { base, handlers: [a, b], catchHandler: c }
+function parseChain(expression) {
+    let node = expression;
+    let catchHandler = null;
+    if (isMethodCall(node, 'catch') && node.arguments.length === 1) {
+        catchHandler = node.arguments[0];
+        node = node.callee.object;
+    }
+    const handlers = [];
+    while (isMethodCall(node, 'then') && node.arguments.length === 1) {
+        handlers.unshift(node.arguments[0]);
+        node = node.callee.object;
+    }
+    return handlers.length > 0 ? { base: node, handlers, catchHandler } : null;
+}
+
+function collectNodes(root, predicate, { intoFunctions = true } = {}) {
+    const found = [];
+    walk(root, {
+        enter(node) {
+            if (node !== root && !intoFunctions && isFunctionNode(node)) return false;
+            if (predicate(node)) found.push(node);
+            return true;
+        }
+    });
+    return found;
+}
+
+// Names a callback brings into the function once inlined: its parameter and top-level declarations
+function getIntroducedNames(handler) {
+    const names = handler.params.map(param => param.name);
+    if (handler.body.type === 'BlockStatement') {
+        handler.body.body.forEach(statement => {
+            if (statement.type === 'VariableDeclaration') {
+                collectNodes(statement, node => node.type === 'Identifier', { intoFunctions: false })
+                    .filter(node => statement.declarations.some(declarator => declarator.id.start <= node.start && node.end <= declarator.id.end))
+                    .forEach(node => names.push(node.name));
+            } else if ((statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration') && statement.id) {
+                names.push(statement.id.name);
+            }
+        });
+    }
+    return names;
+}
+
+function isInlinableCallback(handler, { isCatch }) {
+    if (handler.type !== 'ArrowFunctionExpression' && handler.type !== 'FunctionExpression') return false;
+    if (handler.generator || handler.params.length > 1 || handler.params.some(param => param.type !== 'Identifier')) return false;
+    // A function expression has its own `this` and `arguments`
+    if (handler.type === 'FunctionExpression' && collectNodes(handler.body, node =>
+        node.type === 'ThisExpression' || (node.type === 'Identifier' && node.name === 'arguments'), { intoFunctions: false }).length > 0) {
+        return false;
+    }
+    // Multi-line template literals would change if their lines were re-indented
+    if (collectNodes(handler.body, node => node.type === 'TemplateLiteral' && node.loc.start.line !== node.loc.end.line).length > 0) {
+        return false;
+    }
+    if (isCatch || handler.body.type !== 'BlockStatement') return true;
+
+    const returns = collectNodes(handler.body, node => node.type === 'ReturnStatement', { intoFunctions: false });
+    const statements = handler.body.body;
+    return returns.length === 0 || (returns.length === 1 && returns[0] === statements[statements.length - 1]);
+}
+
+function getLineIndent(source, position) {
+    const lineStart = source.lastIndexOf('\n', position - 1) + 1;
+    return /^[ \t]*/.exec(source.slice(lineStart))[0];
+}
+
+// Source of `nodes` re-indented to `indent`, one entry per line
+function reindent(source, nodes, indent) {
+    if (nodes.length === 0) return [];
+    const baseIndent = getLineIndent(source, nodes[0].start);
+    const text = source.slice(nodes[0].start, nodes[nodes.length - 1].end);
+    return text.split('\n').map((line, index) => {
+        if (index === 0) return indent + line;
+        return line.trim() ? indent + (line.startsWith(baseIndent) ? line.slice(baseIndent.length) : line.trimStart()) : '';
+    });
+}
+
+// The source of an expression, in parentheses where `await` would otherwise bind tighter
+function expressionSource(node, source, { afterAwait = true } = {}) {
+    const text = source.slice(node.start, node.end);
+    return !afterAwait || (TIGHT_EXPRESSIONS.has(node.type) && !node.extra?.parenthesized) ? text : `(${text})`;
+}
+
+// The statements replacing `return chain;`: one `await` per step, then the final return
+function buildAwaitLines(chain, source, indent, withTry) {
+    const lines = [];
+    // The expression the next step awaits
+    let value = chain.base;
+
+    chain.handlers.forEach(handler => {
+        const param = handler.params[0]?.name;
+        if (value !== null) {
+            lines.push(`${indent}${param ? `const ${param} = ` : ''}await ${expressionSource(value, source)};`);
+        } else if (param) {
+            lines.push(`${indent}const ${param} = undefined;`);
+        }
+
+        if (handler.body.type !== 'BlockStatement') {
+            value = handler.body;
+            return;
+        }
+        const statements = handler.body.body;
+        const last = statements[statements.length - 1];
+        const hasReturn = last?.type === 'ReturnStatement';
+        lines.push(...reindent(source, hasReturn ? statements.slice(0, -1) : statements, indent));
+        value = hasReturn && last.argument ? last.argument : null;
+    });
+
+    if (value !== null) {
+        // Inside try, the last promise must be awaited for its rejection to be caught
+        lines.push(withTry
+            ? `${indent}return await ${expressionSource(value, source)};`
+            : `${indent}return ${expressionSource(value, source, { afterAwait: false })};`);
+    }
+    return lines;
+}
+
+function buildCatchLines(handler, source, indent) {
+    if (handler.body.type !== 'BlockStatement') {
+        return [`${indent}return ${expressionSource(handler.body, source, { afterAwait: false })};`];
+    }
+    return reindent(source, handler.body.body, indent);
+}
+
+// Where `async` goes, or null for functions that cannot become async
+function getAsyncInsertPosition(fn) {
+    if (fn.generator) return null;
+    if (fn.async) return -1;
+    if (fn.type === 'ObjectMethod' || fn.type === 'ClassMethod') {
+        return fn.kind === 'method' && !fn.computed ? fn.key.start : null;
+    }
+    return fn.type === 'ClassPrivateMethod' ? null : fn.start;
+}
+
+function convertReturn(statement, fn, fnAncestors, source) {
+    const chain = parseChain(statement.argument);
+    if (!chain) return null;
+    if (!chain.handlers.every(handler => isInlinableCallback(handler, { isCatch: false }))) return null;
+    if (chain.catchHandler && !isInlinableCallback(chain.catchHandler, { isCatch: true })) return null;
+
+    const asyncAt = getAsyncInsertPosition(fn);
+    if (asyncAt === null) return null;
+
+    // The chain must be the function's only way out
+    const returns = collectNodes(fn.body, node => node.type === 'ReturnStatement', { intoFunctions: false });
+    if (returns.length !== 1 || fn.body.body?.[fn.body.body.length - 1] !== statement) return null;
+
+    // Inlined names must not meet any other use of the same name in the function
+    const callbacks = [...chain.handlers, ...(chain.catchHandler ? [chain.catchHandler] : [])];
+    const identifiers = collectNodes(fn.body, node => node.type === 'Identifier' || node.type === 'JSXIdentifier');
+    const introduced = callbacks.flatMap(callback => getIntroducedNames(callback).map(name => ({ name, callback })));
+    const clash = introduced.some(({ name, callback }, index) =>
+        introduced.some((other, otherIndex) => otherIndex !== index && other.name === name) ||
+        identifiers.some(node => node.name === name && (node.start < callback.start || node.start >= callback.end)));
+    if (clash) return null;
+
+    const indent = getLineIndent(source, statement.start);
+    const fnIndent = getLineIndent(source, fn.start);
+    const unit = indent.startsWith(fnIndent) && indent.length > fnIndent.length ? indent.slice(fnIndent.length) : '    ';
+
+    let lines;
+    if (chain.catchHandler) {
+        const errorParam = chain.catchHandler.params[0]?.name;
+        lines = [
+            `${indent}try {`,
+            ...buildAwaitLines(chain, source, indent + unit, true),
+            `${indent}} catch${errorParam ? ` (${errorParam})` : ''} {`,
+            ...buildCatchLines(chain.catchHandler, source, indent + unit),
+            `${indent}}`
+        ];
+    } else {
+        lines = buildAwaitLines(chain, source, indent, false);
+    }
+
+    const edits = [{ start: statement.start, end: statement.end, text: lines.join('\n').slice(indent.length) }];
+    if (asyncAt !== -1) edits.push({ start: asyncAt, end: asyncAt, text: 'async ' });
+    return {
+        line: statement.loc.start.line,
+        message: `\`${getFunctionName(fn, fnAncestors)}\` returns a \`.then()\` chain that can use async/await`,
+        edits
+    };
+}
+
+module.exports = {
+    id: 'then-to-async',
+    title: 'Convert Promise Chains to async/await',
+    description: 'Rewrites functions returning `.then()` chains as async functions using await',
+
+    run(ast, source) {
+        const fixes = [];
+        walk(ast.program, {
+            enter(node, parent, ancestors) {
+                if (node.type !== 'ReturnStatement' || !node.argument) return;
+                const fnIndex = ancestors.map(isFunctionNode).lastIndexOf(true);
+                if (fnIndex === -1 || ancestors[fnIndex].body.type !== 'BlockStatement') return;
+
+                const fix = convertReturn(node, ancestors[fnIndex], ancestors.slice(0, fnIndex), source);
+                if (fix) fixes.push(fix);
+            }
+        });
+        return fixes;
+    }
+};
@@ -0,0 +1,139 @@
+// src/codemods/varToLetConst.js
+// Codemod: `var` declarations become `const`, or `let` when the variable is reassigned.
+// Only declarations whose variables are used inside their block, after their declarator,
+// and declared nowhere else in the function are converted, so block scoping and the
+// temporal dead zone change nothing. In loops, `let` and `const` also get a fresh binding
+// per iteration where `var` has one for all of them, so loop variables that closures
+// capture, and uninitialised ones in loop bodies, stay `var`.
+
+const { walk, isFunctionNode } = require('../utils/astUtils');
+
+// Statement positions where a `let` or `const` declaration is allowed
+const BLOCK_PARENTS = new Set(['Program', 'BlockStatement', 'StaticBlock', 'SwitchCase', 'ExportNamedDeclaration']);
+const LOOP_PARENTS = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement']);
+const LOOP_TYPES = new Set([...LOOP_PARENTS, 'WhileStatement', 'DoWhileStatement']);
+
+function collectPatternNames(pattern, names = []) {
+    if (!pattern) return names;
+    switch (pattern.type) {
+        case 'Identifier':
+            names.push(pattern.name);
+            break;
+        case 'ObjectPattern':
+            pattern.properties.forEach(property => collectPatternNames(property.type === 'RestElement' ? property.argument : property.value, names));
+            break;
+        case 'ArrayPattern':
+            pattern.elements.forEach(element => collectPatternNames(element, names));
+            break;
+        case 'AssignmentPattern':
+            collectPatternNames(pattern.left, names);
+            break;
+        case 'RestElement':
+            collectPatternNames(pattern.argument, names);
+            break;
+        default:
+            break;
+    }
+    return names;
+}
+
+// The block a `let` in this position would be scoped to, or null where `let` is not allowed
+function getBlockScope(declaration, ancestors) {
+    const parent = ancestors[ancestors.length - 1];
+    if (!parent) return null;
+    if (LOOP_PARENTS.has(parent.type)) {
+        return parent.init === declaration || parent.left === declaration ? parent : null;
+    }
+    if (!BLOCK_PARENTS.has(parent.type)) return null;
+    if (parent.type === 'SwitchCase') return ancestors[ancestors.length - 2];
+    if (parent.type === 'ExportNamedDeclaration') return ancestors[ancestors.length - 2];
+    return parent;
+}
+
+// Whether the declaration runs once per iteration of a loop in its own function
+function isInLoop(ancestors, functionNode) {
+    for (let i = ancestors.length - 1; i >= 0 && ancestors[i] !== functionNode; i--) {
+        if (LOOP_TYPES.has(ancestors[i].type)) return true;
+    }
+    return false;
+}
+
+// Every name declared in a function scope (or the program), with how often, and every
+// identifier use with its position and whether a nested function makes it. Nested
+// functions count too: they can close over the variable, and a nested declaration of the
+// same name only makes the check stricter.
+function analyzeScope(scope) {
+    const declared = new Map();
+    const uses = [];
+    const assigned = new Set();
+    const declare = name => declared.set(name, (declared.get(name) || 0) + 1);
+
+    if (scope.params) scope.params.forEach(param => collectPatternNames(param).forEach(declare));
+    walk(scope.type === 'Program' ? scope : scope.body, {
+        enter(node, parent, ancestors) {
+            if (node.type === 'VariableDeclarator') collectPatternNames(node.id).forEach(declare);
+            if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id) declare(node.id.name);
+            if (node.type === 'CatchClause' && node.param) collectPatternNames(node.param).forEach(declare);
+            if (node.type === 'ImportDeclaration') node.specifiers.forEach(specifier => declare(specifier.local.name));
+            if (node.type === 'Identifier' || node.type === 'JSXIdentifier') uses.push({ name: node.name, start: node.start, inClosure: ancestors.some(isFunctionNode) });
+
+            if (node.type === 'AssignmentExpression') collectPatternNames(node.left).forEach(name => assigned.add(name));
+            if (node.type === 'UpdateExpression' && node.argument.type === 'Identifier') assigned.add(node.argument.name);
+            if ((node.type === 'ForInStatement' || node.type === 'ForOfStatement') && node.left.type !== 'VariableDeclaration') {
+                collectPatternNames(node.left).forEach(name => assigned.add(name));
+            }
+        }
+    });
+    return { declared, uses, assigned };
+}
+
+module.exports = {
+    id: 'var-to-let-const',
+    title: 'Replace var With let/const',
+    description: 'Turns `var` declarations into `const`, or `let` when the variable is reassigned',
+
+    run(ast) {
+        const fixes = [];
+        const scopes = new Map();
+        const getScope = node => {
+            if (!scopes.has(node)) scopes.set(node, analyzeScope(node));
+            return scopes.get(node);
+        };
+
+        walk(ast.program, {
+            enter(node, parent, ancestors) {
+                if (node.type !== 'VariableDeclaration' || node.kind !== 'var' || node.declare) return;
+
+                const block = getBlockScope(node, ancestors);
+                if (!block) return;
+
+                const functionNode = [...ancestors].reverse().find(isFunctionNode) || ast.program;
+                const { declared, uses, assigned } = getScope(functionNode);
+                const names = node.declarations.flatMap(declarator => collectPatternNames(declarator.id));
+                const safe = node.declarations.every(declarator => collectPatternNames(declarator.id).every(name =>
+                    declared.get(name) === 1 && uses
+                        .filter(use => use.name === name)
+                        .every(use => (use.start >= declarator.id.start && use.start < declarator.id.end) ||
+                            (use.start >= declarator.end && use.start < block.end))));
+                if (!safe) return;
+
+                if (isInLoop(ancestors, functionNode)) {
+                    if (uses.some(use => use.inClosure && names.includes(use.name))) return;
+                    // A `var` without a value keeps the previous iteration's; `let` starts undefined
+                    if (!LOOP_PARENTS.has(parent.type) && node.declarations.some(declarator => !declarator.init)) return;
+                }
+
+                const inForInOf = parent.type === 'ForInStatement' || parent.type === 'ForOfStatement';
+                const isConst = names.every(name => !assigned.has(name)) &&
+                    (inForInOf || node.declarations.every(declarator => declarator.init));
+                const kind = isConst ? 'const' : 'let';
+                fixes.push({
+                    line: node.loc.start.line,
+                    message: `\`var ${names.join(', ')}\` can be \`${kind}\``,
+                    edits: [{ start: node.start, end: node.start + 3, text: kind }]
+                });
+            }
+        });
+        return fixes;
+    }
+};
@@ -0,0 +1,160 @@
+// src/core/backlog.js
+// Stable task identities and merging of re-generated tasks into an existing backlog
+
+const fs = require('fs');
+const crypto = require('crypto');
+const chalk = require('chalk');
+
+// A task's key says what the task is about, so the same problem maps to the same task on
+// every run. Tasks that collect every problem of a kind are keyed by the kind alone; tasks
+// about one scope (a file, a group of files) add the subjects that define that scope.
+function createTaskKey(kind, subjects = []) {
+    if (subjects.length === 0) return kind;
+    const digest = crypto.createHash('sha1')
+        .update([...new Set(subjects)].sort().join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+    return `${kind}:${digest}`;
+}
+
+function formatTaskId(number) {
+    return `T-${String(number).padStart(3, '0')}`;
+}
+
+function parseTaskNumber(id) {
+    const match = /^T-(\d+)$/.exec(id || '');
+    return match ? Number(match[1]) : 0;
+}
+
+function loadTaskBacklog(backlogPath) {
+    if (!fs.existsSync(backlogPath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(backlogPath, 'utf8'));
+    } catch (error) {
+        console.log(chalk.yellow(`⚠️  Cannot read existing task backlog, starting a new one: ${error.message}`));
+        return null;
+    }
+}
+
+function addHistory(task, event, at) {
+    task.history = [...(task.history || []), { event, at }];
+}
+
+// Keys from before aggregated tasks were keyed by their kind alone, e.g. `complexity:<digest>`
+function findLegacyTask(previousTasks, key, claimed) {
+    if (key.includes(':')) return null;
+    return previousTasks.find(task => !claimed.has(task) && task.status !== 'resolved' &&
+        task.key?.startsWith(`${key}:`) && !task.key.slice(key.length + 1).includes(':')) || null;
+}
+
+// What a task covers: the findings its rule lists in `subjects`, or else its files
+function getTaskSubjects(task) {
+    return task.subjects || task.sourceFiles || [];
+}
+
+// Subjects of the generated task that the previous one did not cover, counted as a multiset
+// so that a second copy of the same finding also counts as new
+function findNewSubjects(generated, previous) {
+    // Tasks saved before their rule listed subjects have nothing to compare against yet
+    if (generated.subjects && !previous.subjects) return [];
+    const known = new Map();
+    getTaskSubjects(previous).forEach(subject => known.set(subject, (known.get(subject) || 0) + 1));
+    return getTaskSubjects(generated).filter(subject => {
+        const count = known.get(subject) || 0;
+        known.set(subject, count - 1);
+        return count <= 0;
+    });
+}
+
+// Merges freshly generated tasks into the previous backlog:
+// - tasks that still apply keep their ID, status, completedAt, history, runs and patches
+// - tasks whose problem disappeared are marked `resolved` (completed ones stay completed)
+// - resolved tasks whose problem came back are reopened, and so are completed tasks that
+//   picked up findings they did not cover when they were completed
+// - new findings get new IDs that were never used before
+// - a generated task whose key another one already took is dropped with a warning
+function mergeTaskBacklog(previousBacklog, generatedBacklog, { resolveMissing = true } = {}) {
+    const now = generatedBacklog.generated;
+    const previousTasks = previousBacklog?.tasks || [];
+    const previousByKey = new Map(previousTasks.filter(task => task.key).map(task => [task.key, task]));
+    let nextNumber = previousTasks.reduce((max, task) => Math.max(max, parseTaskNumber(task.id)), 0) + 1;
+    const stats = { added: 0, kept: 0, resolved: 0, reopened: 0 };
+
+    function mergeTask(generated, previous) {
+        if (!previous) {
+            stats.added++;
+            const task = { ...generated, id: formatTaskId(nextNumber++) };
+            addHistory(task, 'created', now);
+            return task;
+        }
+
+        const task = {
+            ...generated,
+            id: previous.id,
+            status: previous.status,
+            history: previous.history || []
+        };
+        if (previous.completedAt) task.completedAt = previous.completedAt;
+        if (previous.runs) task.runs = previous.runs;
+        if (previous.patches) task.patches = previous.patches;
+        if (previous.verification) task.verification = previous.verification;
+
+        if (previous.status === 'resolved' ||
+            (previous.status === 'completed' && findNewSubjects(generated, previous).length > 0)) {
+            stats.reopened++;
+            task.status = 'pending';
+            delete task.completedAt;
+            addHistory(task, 'reopened', now);
+        } else {
+            stats.kept++;
+        }
+        return task;
+    }
+
+    const seenKeys = new Set();
+    const claimed = new Set();
+    const tasks = [];
+    generatedBacklog.tasks.forEach(generated => {
+        if (seenKeys.has(generated.key)) {
+            console.log(chalk.yellow(`⚠️  Skipping task "${generated.title}": another task has the same key ${generated.key}`));
+            return;
+        }
+        seenKeys.add(generated.key);
+        const previous = previousByKey.get(generated.key) || findLegacyTask(previousTasks, generated.key, claimed);
+        if (previous) claimed.add(previous);
+        tasks.push(mergeTask(generated, previous));
+    });
+
+    // Problems that no longer show up in the analysis
+    previousTasks
+        .filter(task => !seenKeys.has(task.key) && !claimed.has(task))
+        .forEach(previous => {
+            const task = { ...previous };
+            if (resolveMissing && task.status !== 'resolved' && !task.resolvedAt) {
+                stats.resolved++;
+                task.resolvedAt = now;
+                if (task.status !== 'completed') task.status = 'resolved';
+                addHistory(task, 'resolved', now);
+            }
+            tasks.push(task);
+        });
+
+    tasks.sort((a, b) => parseTaskNumber(a.id) - parseTaskNumber(b.id));
+
+    return {
+        backlog: {
+            ...generatedBacklog,
+            totalTasks: tasks.length,
+            tasks
+        },
+        stats
+    };
+}
+
+module.exports = {
+    createTaskKey,
+    formatTaskId,
+    loadTaskBacklog,
+    addHistory,
+    mergeTaskBacklog
+};
@@ -0,0 +1,46 @@
+// src/core/backups.js
+// Copies of project files taken before a patch is applied, so it can be rolled back or reverted
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Saves the current version of `files` (project-relative) in a new directory under
+// `backupsDir`. Files that do not exist yet are recorded, so restoring removes them.
+function createBackup(backupsDir, projectPath, files, details = {}) {
+    const at = new Date().toISOString();
+    const backupDir = path.join(backupsDir, at.replace(/[:.]/g, '-'));
+    fs.mkdirSync(backupDir, { recursive: true });
+
+    const entries = files.map(file => {
+        const source = path.join(projectPath, file);
+        const existed = fs.existsSync(source);
+        if (existed) {
+            const target = path.join(backupDir, 'files', file);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(source, target);
+        }
+        return { file, existed };
+    });
+
+    fs.writeFileSync(path.join(backupDir, MANIFEST_FILE), JSON.stringify({ at, ...details, files: entries }, null, 2));
+    return backupDir;
+}
+
+// Puts every file in a backup back the way it was; returns the restored files
+function restoreBackup(backupDir, projectPath) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(backupDir, MANIFEST_FILE), 'utf8'));
+    manifest.files.forEach(({ file, existed }) => {
+        const target = path.join(projectPath, file);
+        if (existed) {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(path.join(backupDir, 'files', file), target);
+        } else if (fs.existsSync(target)) {
+            fs.unlinkSync(target);
+        }
+    });
+    return manifest.files.map(entry => entry.file);
+}
+
+module.exports = { createBackup, restoreBackup };
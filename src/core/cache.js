@@ -0,0 +1,35 @@
+// src/core/cache.js
+// Reuse of per-file results from the previous analysis run
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+// Bump whenever the shape of a per-file analysis result changes, so that stale
+// cached entries are never mixed with fresh ones
+const FILE_ANALYSIS_VERSION = 6;
+
+// Returns the previous run's per-file results keyed by relative path, or an
+// empty object when there is nothing usable to reuse.
+function loadPreviousFileAnalysis(contextPath) {
+    if (!fs.existsSync(contextPath)) return {};
+
+    try {
+        const previous = JSON.parse(fs.readFileSync(contextPath, 'utf8'));
+        if (previous.fileAnalysisVersion !== FILE_ANALYSIS_VERSION || !previous.files) {
+            console.log(chalk.gray('   Previous analysis was produced by a different version - running a full analysis'));
+            return {};
+        }
+        return previous.files;
+    } catch (error) {
+        console.log(chalk.yellow(`⚠️  Cannot read previous analysis at ${path.basename(contextPath)}: ${error.message}`));
+        return {};
+    }
+}
+
+function getCachedAnalysis(previousFiles, file) {
+    const cached = previousFiles[file.relativePath];
+    return cached && cached.hash === file.hash ? cached : null;
+}
+
+module.exports = { FILE_ANALYSIS_VERSION, loadPreviousFileAnalysis, getCachedAnalysis };
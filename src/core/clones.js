@@ -0,0 +1,232 @@
+// src/core/clones.js
+// Duplicate code detection across files. Each script becomes a stream of tokens in which
+// identifiers are replaced by a placeholder, so copies with renamed variables match as well
+// as exact ones. A run of at least `minTokens` equal tokens in two places is a clone, and
+// clones of the same code are grouped.
+
+const crypto = require('crypto');
+
+const IDENTIFIER = 'ID';
+// Parsed as names, but they change what the code does, so they are not renamable
+const CONTEXTUAL_KEYWORDS = new Set([
+    'let', 'async', 'await', 'yield', 'get', 'set', 'static', 'of', 'as', 'from',
+    'type', 'interface', 'enum', 'namespace', 'declare', 'abstract', 'readonly', 'implements', 'keyof'
+]);
+const LITERAL_TOKENS = new Set(['string', 'num', 'bigint', 'decimal', 'regexp', 'template', 'jsxText', 'jsxName']);
+const SKIPPED_TOKENS = new Set(['CommentLine', 'CommentBlock', 'eof']);
+
+// Same-hash positions beyond this are repetitive boilerplate, not copy-paste worth a task
+const MAX_BUCKET_SIZE = 50;
+const HASH_BASE = 1000003;
+// Small enough that hash arithmetic stays within exact floating point integers
+const HASH_MODULUS = 67108859;
+
+function getTokenLabel(token) {
+    return typeof token.type === 'string' ? token.type : token.type.label;
+}
+
+// A contextual keyword's value is kept as JSON; every other value is only a digest
+function normalizeToken(label, value) {
+    if (label === 'name') return value.startsWith('"') ? `${label}:${value}` : IDENTIFIER;
+    if (LITERAL_TOKENS.has(label)) return `${label}:${value}`;
+    return label;
+}
+
+// Literals can hold secrets, which must not reach the analysis files; clones only need to
+// tell values apart
+function digestValue(label, value) {
+    if (value === undefined) return '';
+    if (label === 'name' && CONTEXTUAL_KEYWORDS.has(value)) return JSON.stringify(value);
+    return crypto.createHash('sha1').update(`${label}:${JSON.stringify(value)}`).digest('hex').slice(0, 12);
+}
+
+// The significant tokens of an AST parsed with `{ tokens: true }`, in the compact form cached
+// with the file's analysis: each distinct `label value-digest` once per line of `values`, its
+// index per token in `codes`, and per token the lines since the previous one started, with
+// `+n` when it spans n more lines. Token labels contain no spaces.
+function encodeTokens(tokens) {
+    const indexes = new Map();
+    const values = [];
+    const codes = [];
+    const lines = [];
+    let previousLine = 1;
+    tokens
+        .filter(token => !SKIPPED_TOKENS.has(getTokenLabel(token)))
+        .forEach(token => {
+            const label = getTokenLabel(token);
+            const value = digestValue(label, token.value);
+            const key = `${label}:${value}`;
+            if (!indexes.has(key)) {
+                indexes.set(key, values.length);
+                values.push(value ? `${label} ${value}` : label);
+            }
+            codes.push(indexes.get(key));
+            const { start, end } = token.loc;
+            lines.push(`${start.line - previousLine}${end.line > start.line ? `+${end.line - start.line}` : ''}`);
+            previousLine = start.line;
+        });
+    return { values: values.join('\n'), codes: codes.join(' '), lines: lines.join(' ') };
+}
+
+// `{ normalized, raw, line, endLine }` per token of encoded tokens
+function decodeTokens({ values, codes, lines }) {
+    if (!codes) return [];
+    const texts = values.split('\n').map(entry => {
+        const [label, value = ''] = entry.split(' ');
+        return { normalized: normalizeToken(label, value), raw: `${label}:${value}` };
+    });
+    const spans = lines.split(' ');
+    let line = 1;
+    return codes.split(' ').map((code, index) => {
+        const [delta, span = '0'] = spans[index].split('+');
+        line += Number(delta);
+        return { ...texts[code], line, endLine: line + Number(span) };
+    });
+}
+
+// Token streams as numbers, with prefix hashes so any range hashes in constant time
+function createStream(file, tokens, symbols) {
+    const intern = text => {
+        if (!symbols.has(text)) symbols.set(text, symbols.size + 1);
+        return symbols.get(text);
+    };
+    const codes = tokens.map(token => intern(token.normalized));
+    const prefix = [0];
+    codes.forEach((code, index) => {
+        prefix.push((prefix[index] * HASH_BASE + code) % HASH_MODULUS);
+    });
+    return { file, tokens, codes, prefix };
+}
+
+function createPowers(length) {
+    const powers = [1];
+    for (let i = 1; i <= length; i++) powers.push((powers[i - 1] * HASH_BASE) % HASH_MODULUS);
+    return powers;
+}
+
+function hashRange(stream, start, length, powers) {
+    const value = stream.prefix[start + length] - ((stream.prefix[start] * powers[length]) % HASH_MODULUS);
+    return value < 0 ? value + HASH_MODULUS : value;
+}
+
+function rangesEqual(a, aStart, b, bStart, length) {
+    for (let i = 0; i < length; i++) {
+        if (a.codes[aStart + i] !== b.codes[bStart + i]) return false;
+    }
+    return true;
+}
+
+// The longest common run starting at both positions, kept clear of itself within one file
+function extendMatch(a, aStart, b, bStart) {
+    const limit = a === b ? bStart - aStart : Infinity;
+    let length = 0;
+    while (length < limit && aStart + length < a.codes.length && bStart + length < b.codes.length &&
+        a.codes[aStart + length] === b.codes[bStart + length]) {
+        length++;
+    }
+    return length;
+}
+
+function describeFragment(stream, start, length) {
+    return {
+        file: stream.file,
+        startLine: stream.tokens[start].line,
+        endLine: stream.tokens[start + length - 1].endLine,
+        tokens: length,
+        start
+    };
+}
+
+function isExactCopy(streams, fragments, length) {
+    const [first, ...others] = fragments;
+    const firstStream = streams.get(first.file);
+    return others.every(fragment => {
+        const stream = streams.get(fragment.file);
+        for (let i = 0; i < length; i++) {
+            if (stream.tokens[fragment.start + i].raw !== firstStream.tokens[first.start + i].raw) return false;
+        }
+        return true;
+    });
+}
+
+// Finds clone groups among the files of `fileAnalysis`, from the tokens cached with each
+// file's analysis. Returns
+// `{ groups: [{ id, tokens, lines, exact, fragments: [{ file, startLine, endLine }] }], ... }`,
+// largest first. A group's id is derived from its normalized code, so it stays the same
+// while the code does.
+function findClones(fileAnalysis, { minTokens, minLines }) {
+    const symbols = new Map();
+    const streams = new Map();
+    let tokenCount = 0;
+
+    Object.entries(fileAnalysis).forEach(([file, analysis]) => {
+        if (!analysis.tokens) return;
+        const tokens = decodeTokens(analysis.tokens);
+        if (tokens.length < minTokens) return;
+        streams.set(file, createStream(file, tokens, symbols));
+        tokenCount += tokens.length;
+    });
+
+    const powers = createPowers(Math.max(minTokens, ...[...streams.values()].map(stream => stream.codes.length)));
+    const buckets = new Map();
+    streams.forEach(stream => {
+        for (let start = 0; start + minTokens <= stream.codes.length; start++) {
+            const hash = hashRange(stream, start, minTokens, powers);
+            if (!buckets.has(hash)) buckets.set(hash, []);
+            buckets.get(hash).push({ stream, start });
+        }
+    });
+
+    const groups = new Map();
+    buckets.forEach(positions => {
+        if (positions.length < 2 || positions.length > MAX_BUCKET_SIZE) return;
+        for (let i = 0; i < positions.length; i++) {
+            for (let j = i + 1; j < positions.length; j++) {
+                const a = positions[i];
+                const b = positions[j];
+                // Only matches that cannot be extended to the left, so each is found once
+                if (a.start > 0 && b.start > 0 && a.stream.codes[a.start - 1] === b.stream.codes[b.start - 1]) continue;
+                if (!rangesEqual(a.stream, a.start, b.stream, b.start, minTokens)) continue;
+
+                const length = extendMatch(a.stream, a.start, b.stream, b.start);
+                if (length < minTokens) continue;
+                const fragments = [describeFragment(a.stream, a.start, length), describeFragment(b.stream, b.start, length)];
+                if (fragments.some(fragment => fragment.endLine - fragment.startLine + 1 < minLines)) continue;
+
+                const key = crypto.createHash('sha1')
+                    .update(a.stream.tokens.slice(a.start, a.start + length).map(token => token.normalized).join('\n'))
+                    .digest('hex');
+                if (!groups.has(key)) groups.set(key, { tokens: length, fragments: new Map() });
+                fragments.forEach(fragment => groups.get(key).fragments.set(`${fragment.file}:${fragment.start}`, fragment));
+            }
+        }
+    });
+
+    const result = [...groups].map(([key, group]) => {
+        const fragments = [...group.fragments.values()]
+            .sort((a, b) => a.file.localeCompare(b.file) || a.start - b.start);
+        return {
+            id: key.slice(0, 12),
+            tokens: group.tokens,
+            lines: Math.max(...fragments.map(fragment => fragment.endLine - fragment.startLine + 1)),
+            exact: isExactCopy(streams, fragments, group.tokens),
+            fragments: fragments.map(({ file, startLine, endLine }) => ({ file, startLine, endLine }))
+        };
+    });
+
+    const duplicatedLines = new Set();
+    result.forEach(group => group.fragments.slice(1).forEach(fragment => {
+        for (let line = fragment.startLine; line <= fragment.endLine; line++) duplicatedLines.add(`${fragment.file}:${line}`);
+    }));
+
+    return {
+        minTokens,
+        minLines,
+        filesScanned: streams.size,
+        tokensScanned: tokenCount,
+        duplicatedLines: duplicatedLines.size,
+        groups: result.sort((a, b) => b.tokens * b.fragments.length - a.tokens * a.fragments.length)
+    };
+}
+
+module.exports = { findClones, encodeTokens };
@@ -0,0 +1,67 @@
+// src/core/codemods.js
+// Running codemods on source files: parsing, collecting fixes and splicing their edits in
+
+const path = require('path');
+const CODEMODS = require('../codemods');
+const { parseSource, extractScriptContent } = require('../utils/astUtils');
+
+// Files codemods can parse; templates are transformed through their script block
+const CODEMOD_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.astro'];
+
+function findCodemod(id) {
+    return CODEMODS.find(codemod => codemod.id === id) || null;
+}
+
+function appliesTo(codemod, file) {
+    return !codemod.appliesTo || codemod.appliesTo(file);
+}
+
+// Applies non-overlapping `{ start, end, text }` edits, from the end of the file backwards
+function applyEdits(source, edits) {
+    return [...edits]
+        .sort((a, b) => b.start - a.start || b.end - a.end)
+        .reduce((output, edit) => output.slice(0, edit.start) + edit.text + output.slice(edit.end), source);
+}
+
+// Two insertions at the same position overlap too, as their order would be arbitrary
+function overlaps(a, b) {
+    return (a.start < b.end && b.start < a.end) || a.start === b.start;
+}
+
+// Fixes in order, leaving out any that touches code an earlier fix already changes.
+// A nested fix skipped this way is found again on the next run.
+function selectFixes(fixes) {
+    const taken = [];
+    return fixes.filter(fix => {
+        if (fix.edits.some(edit => taken.some(other => overlaps(edit, other)))) return false;
+        taken.push(...fix.edits);
+        return true;
+    });
+}
+
+// `{ fixes, output }` for one file, or null when it does not parse. Vue, Svelte and Astro
+// files are parsed through their script block, whose offsets match the whole file.
+function runCodemod(codemod, file, content) {
+    if (!appliesTo(codemod, file)) return { fixes: [], output: content };
+    let ast;
+    try {
+        ast = parseSource(extractScriptContent(content, file));
+    } catch (error) {
+        return null;
+    }
+    const fixes = selectFixes(codemod.run(ast, content, file));
+    return {
+        fixes,
+        output: fixes.length > 0 ? applyEdits(content, fixes.flatMap(fix => fix.edits)) : content
+    };
+}
+
+// What every codemod could fix in a parsed file, as `[{ codemod, line, message }]`. These are
+// cached with the file's analysis, so whether a codemod applies is checked when they are read.
+function findCodemodFixes(ast, content, file) {
+    if (!CODEMOD_EXTENSIONS.includes(path.extname(file))) return [];
+    return CODEMODS.flatMap(codemod => codemod.run(ast, content, file)
+        .map(fix => ({ codemod: codemod.id, line: fix.line, message: fix.message })));
+}
+
+module.exports = { CODEMODS, CODEMOD_EXTENSIONS, findCodemod, appliesTo, applyEdits, runCodemod, findCodemodFixes };
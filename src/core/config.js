@@ -0,0 +1,362 @@
+// src/core/config.js
+// Loading, validation and merging of .airefactor.json configuration
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE_NAME = '.airefactor.json';
+const PACKAGE_JSON_KEY = 'airefactor';
+
+// Skipped unless a negated pattern such as "!dist/" re-includes them
+const DEFAULT_IGNORE = ['.git', 'node_modules/', '.next/', 'dist/', 'build/', 'ai-analysis/'];
+
+const DEFAULT_CONFIG = {
+    ignore: [],
+    entryPoints: [],
+    files: {
+        useGitignore: true,             // honour .gitignore and .ignore files
+        sizeLimitKB: 1024               // larger files are not analyzed
+    },
+    complexity: {
+        maxComplexity: 20,              // file complexity flagged in the summary
+        maxFileSize: 500,               // lines of code per file
+        maxFunctionComplexity: 10,      // cyclomatic complexity per function
+        maxCognitiveComplexity: 15,     // cognitive complexity per function
+        minProjectComplexity: 100       // below this total, no refactoring task is generated
+    },
+    duplication: {
+        minTokens: 50,                  // shortest run of tokens reported as duplicated
+        minLines: 5
+    },
+    frameworks: {
+        autoDetect: true,
+        preferred: []
+    },
+    git: {
+        historyWindow: '12 months ago'
+    },
+    check: {
+        baseline: '.airefactor-baseline.json', // relative to the project directory
+        maxLinesOfCodeGrowth: 10,       // percent over the baseline
+        maxComplexityGrowth: 10
+    },
+    plugins: [],
+    rules: {},
+    templates: {
+        tags: {}                        // task tag → template file
+    },
+    prompts: {
+        maxTokens: 0,                   // source files are shrunk to fit; 0 means no limit
+        relatedDepth: 1,                // import steps followed to find related files; 0 turns them off
+        relatedMaxFiles: 10,
+        relatedFullSourceLines: 150     // longer related files are shown as signatures
+    },
+    ai: {
+        provider: 'openai',             // openai, anthropic, ollama, llamacpp, mock or a provider module
+        maxOutputTokens: 4096,
+        temperature: 0.2,
+        timeoutSeconds: 300
+    },
+    tasks: {
+        generateTesting: true,
+        generateRefactoring: true,
+        generateBrokenImports: true,
+        generateCircularDependencies: true,
+        generateDependencyCleanup: true,
+        generateDeadCode: true,
+        generateDuplicateCode: true,
+        generateDocumentation: true,
+        generateSecurity: true
+    }
+};
+
+const positiveNumber = { type: 'number', minimum: 1 };
+const stringList = { type: 'array', items: { type: 'string' } };
+const flag = { type: 'boolean' };
+const ruleSetting = {
+    anyOf: [flag, { type: 'object', properties: {}, additionalProperties: true }],
+    description: 'true, false or an object with rule options'
+};
+
+const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        ignore: stringList,
+        entryPoints: stringList,
+        files: {
+            type: 'object',
+            properties: {
+                useGitignore: flag,
+                sizeLimitKB: positiveNumber
+            }
+        },
+        complexity: {
+            type: 'object',
+            properties: {
+                maxComplexity: positiveNumber,
+                maxFileSize: positiveNumber,
+                maxFunctionComplexity: positiveNumber,
+                maxCognitiveComplexity: positiveNumber,
+                minProjectComplexity: { type: 'number', minimum: 0 }
+            }
+        },
+        duplication: {
+            type: 'object',
+            properties: {
+                minTokens: positiveNumber,
+                minLines: positiveNumber
+            }
+        },
+        frameworks: {
+            type: 'object',
+            properties: {
+                autoDetect: flag,
+                preferred: stringList
+            }
+        },
+        git: {
+            type: 'object',
+            properties: {
+                historyWindow: { type: 'string' }
+            }
+        },
+        check: {
+            type: 'object',
+            properties: {
+                baseline: { type: 'string' },
+                maxLinesOfCodeGrowth: { type: 'number', minimum: 0 },
+                maxComplexityGrowth: { type: 'number', minimum: 0 }
+            }
+        },
+        plugins: stringList,
+        templates: {
+            type: 'object',
+            properties: {
+                task: { type: 'string' },
+                master: { type: 'string' },
+                tags: { type: 'object', properties: {}, additionalProperties: { type: 'string' } }
+            }
+        },
+        prompts: {
+            type: 'object',
+            properties: {
+                maxTokens: { type: 'number', minimum: 0 },
+                relatedDepth: { type: 'number', minimum: 0 },
+                relatedMaxFiles: { type: 'number', minimum: 0 },
+                relatedFullSourceLines: { type: 'number', minimum: 0 }
+            }
+        },
+        rules: {
+            type: 'object',
+            properties: {},
+            additionalProperties: ruleSetting
+        },
+        ai: {
+            type: 'object',
+            properties: {
+                provider: { type: 'string' },
+                model: { type: 'string' },
+                baseUrl: { type: 'string' },
+                apiKeyEnv: { type: 'string' },
+                maxOutputTokens: positiveNumber,
+                temperature: { type: 'number', minimum: 0 },
+                timeoutSeconds: positiveNumber,
+                fixturesDir: { type: 'string' }
+            }
+        },
+        tasks: {
+            type: 'object',
+            properties: Object.fromEntries(Object.keys(DEFAULT_CONFIG.tasks).map(key => [key, flag]))
+        }
+    }
+};
+
+class ConfigError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+function describeValue(value) {
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'null';
+    if (typeof value === 'string') return `"${value}"`;
+    return typeof value === 'number' ? String(value) : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function validateAgainstSchema(value, schema, keyPath, errors) {
+    const label = keyPath || 'configuration';
+
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => {
+            const optionErrors = [];
+            validateAgainstSchema(value, option, keyPath, optionErrors);
+            return optionErrors.length === 0;
+        });
+        if (!matches) errors.push(`"${label}" must be ${schema.description} (got ${describeValue(value)})`);
+        return;
+    }
+
+    switch (schema.type) {
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`"${label}" must be an object (got ${describeValue(value)})`);
+                return;
+            }
+            Object.entries(value).forEach(([key, child]) => {
+                if (child === undefined) return; // option not given on the command line
+                const childPath = keyPath ? `${keyPath}.${key}` : key;
+                const childSchema = schema.properties[key] || schema.additionalProperties;
+                if (!childSchema) {
+                    errors.push(`Unknown option "${childPath}" (expected one of: ${Object.keys(schema.properties).join(', ')})`);
+                    return;
+                }
+                if (childSchema !== true) validateAgainstSchema(child, childSchema, childPath, errors);
+            });
+            return;
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`"${label}" must be an array (got ${describeValue(value)})`);
+                return;
+            }
+            value.forEach((item, index) => validateAgainstSchema(item, schema.items, `${label}[${index}]`, errors));
+            return;
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                errors.push(`"${label}" must be a number (got ${describeValue(value)})`);
+            } else if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`"${label}" must be at least ${schema.minimum} (got ${value})`);
+            }
+            return;
+        default:
+            if (typeof value !== schema.type) {
+                errors.push(`"${label}" must be a ${schema.type} (got ${describeValue(value)})`);
+            }
+    }
+}
+
+function validateConfig(config) {
+    const errors = [];
+    validateAgainstSchema(config, CONFIG_SCHEMA, '', errors);
+    return errors;
+}
+
+function readConfigFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Cannot read configuration from ${filePath}: ${error.message}`);
+    }
+}
+
+// Looks for .airefactor.json, or an "airefactor" key in package.json, starting in
+// `startDir` and walking up to the filesystem root. The nearest one wins.
+function findConfig(startDir) {
+    let dir = path.resolve(startDir);
+    for (;;) {
+        const configPath = path.join(dir, CONFIG_FILE_NAME);
+        if (fs.existsSync(configPath)) {
+            return { config: readConfigFile(configPath), source: configPath, dir };
+        }
+
+        const packagePath = path.join(dir, 'package.json');
+        if (fs.existsSync(packagePath)) {
+            const pkg = readConfigFile(packagePath);
+            if (pkg[PACKAGE_JSON_KEY] !== undefined) {
+                return { config: pkg[PACKAGE_JSON_KEY], source: `${packagePath} ("${PACKAGE_JSON_KEY}" key)`, dir };
+            }
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) return { config: {}, source: null, dir: null };
+        dir = parent;
+    }
+}
+
+function loadConfig(startDir, explicitPath) {
+    const found = explicitPath
+        ? { config: readConfigFile(explicitPath), source: explicitPath, dir: path.dirname(path.resolve(explicitPath)) }
+        : findConfig(startDir);
+
+    const errors = validateConfig(found.config);
+    if (errors.length > 0) {
+        throw new ConfigError(`Invalid configuration in ${found.source}`, errors);
+    }
+
+    // Local plugin paths, template files and the like are relative to the file that lists them
+    const { plugins, templates, ai, check } = found.config;
+    const resolveLocal = file => path.resolve(found.dir, file);
+    if (plugins) {
+        found.config = {
+            ...found.config,
+            plugins: plugins.map(plugin => (plugin.startsWith('.') ? resolveLocal(plugin) : plugin))
+        };
+    }
+    if (templates) {
+        found.config = {
+            ...found.config,
+            templates: {
+                ...(templates.task && { task: resolveLocal(templates.task) }),
+                ...(templates.master && { master: resolveLocal(templates.master) }),
+                tags: Object.fromEntries(Object.entries(templates.tags || {}).map(([tag, file]) => [tag, resolveLocal(file)]))
+            }
+        };
+    }
+    if (check?.baseline) {
+        found.config = { ...found.config, check: { ...check, baseline: resolveLocal(check.baseline) } };
+    }
+    if (ai) {
+        found.config = {
+            ...found.config,
+            ai: {
+                ...ai,
+                ...(ai.provider?.startsWith('.') && { provider: resolveLocal(ai.provider) }),
+                ...(ai.fixturesDir && { fixturesDir: resolveLocal(ai.fixturesDir) })
+            }
+        };
+    }
+    return found;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Later layers win for scalar settings; nested objects are merged key by key
+function mergeConfig(...layers) {
+    return layers.reduce((merged, layer) => {
+        Object.entries(layer || {}).forEach(([key, value]) => {
+            if (value === undefined) return;
+            merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+                ? mergeConfig(merged[key], value)
+                : value;
+        });
+        return merged;
+    }, {});
+}
+
+// Final settings for a run: defaults < config file < command line flags.
+// Ignore patterns and entry points accumulate across layers instead of replacing each other.
+function resolveConfig(fileConfig, cliOverrides = {}) {
+    const errors = validateConfig(cliOverrides);
+    if (errors.length > 0) {
+        throw new ConfigError('Invalid command line options', errors);
+    }
+
+    const config = mergeConfig(DEFAULT_CONFIG, fileConfig, cliOverrides);
+    config.ignore = [...new Set([...DEFAULT_IGNORE, ...(fileConfig.ignore || []), ...(cliOverrides.ignore || [])])];
+    config.entryPoints = [...new Set([...(fileConfig.entryPoints || []), ...(cliOverrides.entryPoints || [])])];
+    return config;
+}
+
+module.exports = {
+    CONFIG_FILE_NAME,
+    DEFAULT_IGNORE,
+    DEFAULT_CONFIG,
+    ConfigError,
+    validateConfig,
+    loadConfig,
+    resolveConfig
+};
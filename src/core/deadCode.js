@@ -0,0 +1,222 @@
+// src/core/deadCode.js
+// Project-wide detection of unused exports and unreachable files
+
+const fs = require('fs');
+const path = require('path');
+const { toPosix, isTestFile, isConfigFile, isTypeDeclarationFile } = require('../utils/fileUtils');
+
+// Route and lifecycle files picked up by framework routers
+const FRAMEWORK_ENTRY_PATTERNS = {
+    'Next.js': [
+        /(^|\/)pages\/.+\.[jt]sx?$/,
+        /(^|\/)app\/(.+\/)?(page|layout|route|loading|error|global-error|not-found|template|default)\.[jt]sx?$/,
+        /(^|\/)(src\/)?(middleware|instrumentation)\.[jt]s$/
+    ],
+    'Nuxt.js': [
+        /(^|\/)(pages|layouts|middleware|plugins|server)\/.+\.(vue|[jt]s)$/,
+        /(^|\/)(app|error)\.vue$/
+    ],
+    'Astro': [
+        /(^|\/)src\/pages\/.+\.(astro|[jt]s|md)$/,
+        /(^|\/)src\/middleware\.[jt]s$/
+    ],
+    'Svelte': [
+        /(^|\/)src\/routes\/(.+\/)?\+[^/]+\.(svelte|[jt]s)$/,
+        /(^|\/)src\/hooks(\.(server|client))?\.[jt]s$/
+    ]
+};
+
+function collectStringTargets(value, targets = []) {
+    if (typeof value === 'string') {
+        targets.push(value);
+    } else if (Array.isArray(value)) {
+        value.forEach(entry => collectStringTargets(entry, targets));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(entry => collectStringTargets(entry, targets));
+    }
+    return targets;
+}
+
+// package.json main/module/browser/bin/exports, plus files run from npm scripts
+function findPackageEntryPoints(configFiles, resolver) {
+    const entries = [];
+
+    configFiles
+        .filter(config => path.basename(config.file) === 'package.json' && config.content && typeof config.content === 'object')
+        .forEach(config => {
+            const pkg = config.content;
+            const targets = [
+                pkg.main || 'index',
+                pkg.module,
+                typeof pkg.browser === 'string' ? pkg.browser : null,
+                ...collectStringTargets(pkg.bin),
+                ...collectStringTargets(pkg.exports).filter(target => !target.includes('*'))
+            ].filter(Boolean);
+
+            Object.values(pkg.scripts || {}).forEach(script => {
+                const fileArguments = script.match(/[\w./-]+\.[cm]?[jt]sx?\b/g) || [];
+                targets.push(...fileArguments);
+            });
+
+            targets.forEach(target => {
+                const specifier = target.startsWith('.') ? target : `./${target}`;
+                const { resolved } = resolver.resolve(config.file, specifier);
+                if (resolved) entries.push(resolved);
+            });
+        });
+
+    return entries;
+}
+
+// <script src="..."> in HTML pages (Vite, Parcel, plain sites)
+function findHtmlEntryPoints(inventoryFiles, resolver, projectRoot) {
+    const entries = [];
+
+    inventoryFiles
+        .filter(file => ['.html', '.htm'].includes(path.extname(file.relativePath)))
+        .forEach(file => {
+            let content;
+            try {
+                content = fs.readFileSync(path.join(projectRoot, file.relativePath), 'utf8');
+            } catch (error) {
+                return;
+            }
+            const scriptRegex = /<script\b[^>]*\bsrc=["']([^"']+)["']/g;
+            let match;
+            while ((match = scriptRegex.exec(content)) !== null) {
+                const src = match[1];
+                if (/^(https?:)?\/\//.test(src)) continue;
+                const specifier = src.startsWith('.') ? src : `./${src.replace(/^\//, '')}`;
+                const { resolved } = resolver.resolve(file.relativePath, specifier);
+                if (resolved) entries.push(resolved);
+            }
+        });
+
+    return entries;
+}
+
+function findEntryPoints({ fileAnalysis, configFiles, frameworks, inventoryFiles, entryPoints = [], resolver, projectRoot }) {
+    const entries = new Set([
+        ...findPackageEntryPoints(configFiles, resolver),
+        ...findHtmlEntryPoints(inventoryFiles, resolver, projectRoot)
+    ]);
+
+    // Tests, configs and type declarations are loaded by tools rather than imported
+    const patterns = frameworks.flatMap(framework => FRAMEWORK_ENTRY_PATTERNS[framework] || []);
+    const configured = entryPoints.map(entry => toPosix(path.normalize(entry)).replace(/\/$/, ''));
+
+    Object.keys(fileAnalysis).forEach(file => {
+        const posixFile = toPosix(file);
+        if (isTestFile(file) || isConfigFile(file) || isTypeDeclarationFile(file) ||
+            patterns.some(pattern => pattern.test(posixFile)) ||
+            configured.some(entry => posixFile === entry || posixFile.startsWith(`${entry}/`))) {
+            entries.add(file);
+        }
+    });
+
+    return [...entries].filter(file => fileAnalysis[file]).sort();
+}
+
+function findReachableFiles(graph, entryPoints) {
+    const reachable = new Set(entryPoints);
+    const queue = [...entryPoints];
+    while (queue.length) {
+        const file = queue.shift();
+        (graph[file] || []).forEach(target => {
+            if (!reachable.has(target)) {
+                reachable.add(target);
+                queue.push(target);
+            }
+        });
+    }
+    return reachable;
+}
+
+// Which export names of each file are imported somewhere? Re-exports pass requests
+// on to the module they re-export from, so a barrel file does not keep everything alive.
+function collectRequestedNames(fileAnalysis, dependencyMap) {
+    const requested = {};
+    const request = (file, name) => {
+        if (!requested[file]) requested[file] = new Set();
+        if (requested[file].has(name)) return false;
+        requested[file].add(name);
+        return true;
+    };
+
+    const reExports = [];
+    Object.entries(dependencyMap.internal).forEach(([file, records]) => {
+        records.forEach(record => {
+            if (!record.resolved) return;
+            if (record.kind === 're-export') {
+                reExports.push({ file, record });
+            } else {
+                record.specifiers.forEach(spec => request(record.resolved, spec.imported));
+            }
+        });
+    });
+
+    // Propagate through barrels until nothing changes
+    let changed = true;
+    while (changed) {
+        changed = false;
+        reExports.forEach(({ file, record }) => {
+            const barrelRequests = requested[file];
+            if (!barrelRequests) return;
+
+            const barrelExports = (fileAnalysis[file]?.exports || [])
+                .filter(exp => exp.kind === 're-export' && exp.source === record.source);
+
+            barrelExports.forEach(exp => {
+                if (exp.name === '*') {
+                    // export * from './a' — every name asked of the barrel may come from './a'
+                    barrelRequests.forEach(name => {
+                        if (name !== 'default' && request(record.resolved, name)) changed = true;
+                    });
+                } else if (barrelRequests.has(exp.name) || barrelRequests.has('*')) {
+                    if (request(record.resolved, exp.local)) changed = true;
+                }
+            });
+        });
+    }
+
+    return requested;
+}
+
+function findDeadCode(options) {
+    const { fileAnalysis, dependencyMap } = options;
+    const entryPoints = findEntryPoints(options);
+    const reachable = findReachableFiles(dependencyMap.graph, entryPoints);
+    const requested = collectRequestedNames(fileAnalysis, dependencyMap);
+
+    // Without any known entry point every file would look unreachable, which is noise
+    const unreachableFiles = entryPoints.length === 0
+        ? []
+        : Object.keys(fileAnalysis)
+            .filter(file => !reachable.has(file))
+            .sort()
+            .map(file => ({ file, linesOfCode: fileAnalysis[file].linesOfCode || 0 }));
+    const unreachable = new Set(unreachableFiles.map(entry => entry.file));
+
+    const unusedExports = [];
+    Object.entries(fileAnalysis).forEach(([file, analysis]) => {
+        // Entry points are public API; unreachable files are reported as a whole
+        if (entryPoints.includes(file) || unreachable.has(file)) return;
+
+        const names = requested[file] || new Set();
+        if (names.has('*')) return;
+
+        (analysis.exports || [])
+            .filter(exp => exp.name !== '*' && !names.has(exp.name))
+            .forEach(exp => {
+                unusedExports.push({ file, name: exp.name, line: exp.line, kind: exp.kind });
+            });
+    });
+
+    return {
+        entryPoints,
+        unreachableFiles,
+        unusedExports
+    };
+}
+
+module.exports = { findDeadCode, findEntryPoints };
@@ -0,0 +1,97 @@
+// src/core/dependencyAudit.js
+// Compares the packages a project imports with what its package.json files declare
+
+const path = require('path');
+const { builtinModules } = require('module');
+const { splitPackageSpecifier } = require('./resolver');
+const { isProductionFile } = require('../utils/fileUtils');
+
+const DECLARED_SECTIONS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+function isBuiltinModule(specifier) {
+    if (specifier.startsWith('node:')) return true;
+    return builtinModules.includes(specifier.split('/')[0]);
+}
+
+// Maps an import specifier to the npm package it comes from:
+// 'lodash/fp' → 'lodash', '@scope/pkg/sub' → '@scope/pkg'
+function getPackageName(specifier) {
+    if (specifier.startsWith('#') || specifier.startsWith('/') || isBuiltinModule(specifier)) {
+        return null;
+    }
+    return splitPackageSpecifier(specifier).name;
+}
+
+function isInsideDir(file, dir) {
+    return dir === '.' || file === dir || file.startsWith(dir + path.sep);
+}
+
+// Packages that are used without being imported: type packages and CLI tools run from scripts
+function isImplicitlyUsed(name, manifest) {
+    if (name.startsWith('@types/')) return true;
+    const scripts = Object.values(manifest.content.scripts || {}).join('\n');
+    const escaped = name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    const binaryName = escaped.split('\\/').pop();
+    return new RegExp(`(^|[\\s"'/=&|;(])(${escaped}|${binaryName})(?=$|[\\s"'/&|;)])`, 'm').test(scripts);
+}
+
+function auditDependencies(configFiles, dependencyMap) {
+    const manifests = configFiles
+        .filter(config => path.basename(config.file) === 'package.json' && config.content && typeof config.content === 'object')
+        .map(config => ({ file: config.file, dir: path.dirname(config.file), content: config.content }))
+        .sort((a, b) => b.dir.length - a.dir.length);
+    const workspaceNames = new Set(manifests.map(manifest => manifest.content.name).filter(Boolean));
+
+    const result = { unused: [], undeclared: [], devOnlyInProduction: [] };
+    if (manifests.length === 0) return result;
+
+    // Innermost package.json first; outer ones still count as declaring (hoisted workspaces)
+    const manifestsFor = file => manifests.filter(manifest => isInsideDir(file, manifest.dir));
+    const sectionOf = (manifest, name) =>
+        DECLARED_SECTIONS.find(section => manifest.content[section]?.[name] !== undefined);
+
+    const used = new Map(manifests.map(manifest => [manifest.file, new Set()]));
+    const undeclared = new Map();
+    const devOnly = new Map();
+    const addFile = (map, key, value) => {
+        if (!map.has(key)) map.set(key, { ...value, files: [] });
+        if (!map.get(key).files.includes(value.file)) map.get(key).files.push(value.file);
+    };
+
+    Object.entries(dependencyMap.externalImports).forEach(([file, records]) => {
+        const owners = manifestsFor(file);
+        if (owners.length === 0) return;
+
+        records.forEach(record => {
+            const name = getPackageName(record.source);
+            if (!name || workspaceNames.has(name)) return;
+
+            const owner = owners.find(manifest => sectionOf(manifest, name));
+            if (!owner) {
+                addFile(undeclared, `${owners[0].file}:${name}`, { name, manifest: owners[0].file, file });
+                return;
+            }
+
+            used.get(owner.file).add(name);
+            if (sectionOf(owner, name) === 'devDependencies' && !record.typeOnly && isProductionFile(file)) {
+                addFile(devOnly, `${owner.file}:${name}`, { name, manifest: owner.file, file });
+            }
+        });
+    });
+
+    manifests.forEach(manifest => {
+        ['dependencies', 'devDependencies'].forEach(section => {
+            Object.keys(manifest.content[section] || {}).forEach(name => {
+                if (!used.get(manifest.file).has(name) && !isImplicitlyUsed(name, manifest)) {
+                    result.unused.push({ name, manifest: manifest.file, section });
+                }
+            });
+        });
+    });
+
+    result.undeclared = [...undeclared.values()].map(({ name, manifest, files }) => ({ name, manifest, files }));
+    result.devOnlyInProduction = [...devOnly.values()].map(({ name, manifest, files }) => ({ name, manifest, files }));
+    return result;
+}
+
+module.exports = { auditDependencies, getPackageName, isBuiltinModule };
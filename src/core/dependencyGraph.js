@@ -0,0 +1,217 @@
+// src/core/dependencyGraph.js
+// Builds the file-level module graph written to dependency_map.json
+
+function addUnique(list, value) {
+    if (!list.includes(value)) list.push(value);
+}
+
+// `graph` maps every analyzed file to the project files it imports.
+// Imports that look internal but resolve to nothing end up in `unresolved`.
+function buildDependencyGraph(fileAnalysis, resolver) {
+    const dependencyMap = {
+        internal: {},
+        external: [],
+        externalImports: {},
+        graph: {},
+        unresolved: []
+    };
+
+    Object.entries(fileAnalysis).forEach(([file, analysis]) => {
+        dependencyMap.graph[file] = [];
+
+        analysis.imports?.forEach(imp => {
+            const result = resolver.resolve(file, imp.source);
+            const record = {
+                source: imp.source,
+                kind: imp.kind,
+                specifiers: imp.specifiers,
+                line: imp.line,
+                ...(imp.typeOnly && { typeOnly: true })
+            };
+
+            if (result.external) {
+                addUnique(dependencyMap.external, imp.source);
+                if (!dependencyMap.externalImports[file]) {
+                    dependencyMap.externalImports[file] = [];
+                }
+                dependencyMap.externalImports[file].push(record);
+                return;
+            }
+
+            if (!dependencyMap.internal[file]) {
+                dependencyMap.internal[file] = [];
+            }
+            dependencyMap.internal[file].push({
+                ...record,
+                resolved: result.resolved,
+                ...(result.existing && { existing: result.existing })
+            });
+
+            if (result.resolved) {
+                addUnique(dependencyMap.graph[file], result.resolved);
+            } else if (!result.existing) {
+                dependencyMap.unresolved.push({
+                    file,
+                    source: imp.source,
+                    line: imp.line,
+                    reason: result.reason
+                });
+            }
+        });
+    });
+
+    return dependencyMap;
+}
+
+// Cycle enumeration is exponential in the worst case, so each component is capped
+const MAX_CYCLES_PER_COMPONENT = 50;
+const MAX_SEARCH_STEPS_PER_COMPONENT = 20000;
+
+// Runtime edges only: `import type` never executes, so it cannot cause an init-order cycle
+function buildRuntimeGraph(dependencyMap) {
+    const graph = {};
+    Object.keys(dependencyMap.graph).forEach(file => {
+        graph[file] = [];
+    });
+    Object.entries(dependencyMap.internal).forEach(([file, records]) => {
+        records.forEach(record => {
+            if (record.resolved && !record.typeOnly) {
+                addUnique(graph[file], record.resolved);
+            }
+        });
+    });
+    return graph;
+}
+
+// Tarjan's algorithm, iterative so deep import chains cannot overflow the stack
+function findStronglyConnectedComponents(graph) {
+    const indices = new Map();
+    const lowLinks = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let nextIndex = 0;
+
+    Object.keys(graph).forEach(root => {
+        if (indices.has(root)) return;
+
+        const work = [{ node: root, edge: 0 }];
+        indices.set(root, nextIndex);
+        lowLinks.set(root, nextIndex);
+        nextIndex++;
+        stack.push(root);
+        onStack.add(root);
+
+        while (work.length) {
+            const frame = work[work.length - 1];
+            const targets = graph[frame.node] || [];
+
+            if (frame.edge < targets.length) {
+                const target = targets[frame.edge++];
+                if (!indices.has(target)) {
+                    indices.set(target, nextIndex);
+                    lowLinks.set(target, nextIndex);
+                    nextIndex++;
+                    stack.push(target);
+                    onStack.add(target);
+                    work.push({ node: target, edge: 0 });
+                } else if (onStack.has(target)) {
+                    lowLinks.set(frame.node, Math.min(lowLinks.get(frame.node), indices.get(target)));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length) {
+                const parent = work[work.length - 1].node;
+                lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(frame.node)));
+            }
+
+            if (lowLinks.get(frame.node) === indices.get(frame.node)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== frame.node);
+                components.push(component);
+            }
+        }
+    });
+
+    return components;
+}
+
+// Lists the elementary cycles inside one strongly connected component. Each cycle
+// is reported once, starting from its alphabetically first file.
+function enumerateCycles(graph, component) {
+    const members = [...component].sort();
+    const order = new Map(members.map((file, index) => [file, index]));
+    const cycles = [];
+    let steps = 0;
+    let truncated = false;
+
+    members.forEach((start, startIndex) => {
+        const path = [start];
+        const onPath = new Set(path);
+
+        function search(node) {
+            if (truncated) return;
+            if (++steps > MAX_SEARCH_STEPS_PER_COMPONENT || cycles.length >= MAX_CYCLES_PER_COMPONENT) {
+                truncated = true;
+                return;
+            }
+            (graph[node] || []).forEach(target => {
+                if (truncated || !order.has(target) || order.get(target) < startIndex) return;
+                if (target === start) {
+                    cycles.push([...path, start]);
+                } else if (!onPath.has(target)) {
+                    path.push(target);
+                    onPath.add(target);
+                    search(target);
+                    onPath.delete(target);
+                    path.pop();
+                }
+            });
+        }
+
+        search(start);
+    });
+
+    return { cycles, truncated };
+}
+
+// Groups import cycles by strongly connected component: every cycle in a group
+// shares files with the others, so they are best untangled together.
+function findCircularDependencies(dependencyMap) {
+    const graph = buildRuntimeGraph(dependencyMap);
+
+    return findStronglyConnectedComponents(graph)
+        .filter(component => component.length > 1 || (graph[component[0]] || []).includes(component[0]))
+        .map(component => {
+            const { cycles, truncated } = enumerateCycles(graph, component);
+            return { files: [...component].sort(), cycles, truncated };
+        })
+        .sort((a, b) => b.files.length - a.files.length);
+}
+
+// The import statements that make up one step of a cycle, for prompts
+function describeEdge(dependencyMap, from, to) {
+    const record = (dependencyMap.internal[from] || []).find(r => r.resolved === to);
+    return record
+        ? `${from}:${record.line} imports "${record.source}" (${to})`
+        : `${from} imports ${to}`;
+}
+
+function countEdges(graph) {
+    return Object.values(graph).reduce((sum, targets) => sum + targets.length, 0);
+}
+
+module.exports = {
+    buildDependencyGraph,
+    findStronglyConnectedComponents,
+    findCircularDependencies,
+    describeEdge,
+    countEdges
+};
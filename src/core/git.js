@@ -0,0 +1,91 @@
+// src/core/git.js
+// Read-only access to local git history through the git CLI
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Runs a git command in `cwd` and returns its trimmed stdout, or null when git
+// is unavailable or the directory is not inside a repository.
+function runGit(cwd, args) {
+    try {
+        return execFileSync('git', args, {
+            cwd,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore'],
+            maxBuffer: 64 * 1024 * 1024
+        }).trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+function getCurrentCommit(cwd) {
+    return runGit(cwd, ['rev-parse', 'HEAD']);
+}
+
+function toNativePath(file) {
+    return path.normalize(file);
+}
+
+// Per-file churn from `git log --numstat`, limited to the directory being analyzed.
+// Returns null when the directory is not inside a git repository.
+function getFileChurn(cwd, since) {
+    const output = runGit(cwd, [
+        '-c', 'core.quotePath=false',
+        'log',
+        `--since=${since}`,
+        '--no-renames',
+        '--numstat',
+        '--relative',
+        '--format=%x1e%H%x1f%an%x1f%aI',
+        '--',
+        '.'
+    ]);
+    if (output === null) return null;
+
+    const files = {};
+    output.split('\x1e').filter(Boolean).forEach(record => {
+        const [header, ...lines] = record.split('\n');
+        const [hash, author, date] = header.split('\x1f');
+
+        lines.filter(Boolean).forEach(line => {
+            const [added, deleted, file] = line.split('\t');
+            if (!file) return;
+            const key = toNativePath(file);
+            if (!files[key]) {
+                // git log lists newest commits first
+                files[key] = { commits: 0, authors: [], linesChanged: 0, lastCommit: { hash, author, date } };
+            }
+            const entry = files[key];
+            entry.commits++;
+            if (!entry.authors.includes(author)) entry.authors.push(author);
+            // Binary files report '-' instead of line counts
+            entry.linesChanged += (parseInt(added, 10) || 0) + (parseInt(deleted, 10) || 0);
+        });
+    });
+
+    Object.values(files).forEach(entry => {
+        entry.authorCount = entry.authors.length;
+        delete entry.authors;
+    });
+    return files;
+}
+
+// Files changed between the merge base of `ref` and the working tree, plus untracked files.
+// Returns null when the ref cannot be resolved.
+function getChangedFiles(cwd, ref) {
+    if (runGit(cwd, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]) === null) return null;
+
+    const base = runGit(cwd, ['merge-base', ref, 'HEAD']) || ref;
+    const changed = runGit(cwd, ['-c', 'core.quotePath=false', 'diff', '--name-only', '--relative', base]);
+    const untracked = runGit(cwd, ['-c', 'core.quotePath=false', 'ls-files', '--others', '--exclude-standard']);
+
+    const files = [changed, untracked]
+        .filter(Boolean)
+        .flatMap(output => output.split('\n'))
+        .filter(Boolean)
+        .map(toNativePath);
+    return { base, files: [...new Set(files)].sort() };
+}
+
+module.exports = { runGit, getCurrentCommit, getFileChurn, getChangedFiles };
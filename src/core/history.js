@@ -0,0 +1,110 @@
+// src/core/history.js
+// Metrics snapshots appended on every analysis run, and helpers to chart them
+
+const fs = require('fs');
+const chalk = require('chalk');
+
+const SPARK_CHARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+// Everything the trend command can chart. `better` says which direction is an improvement.
+const TREND_METRICS = [
+    { key: 'files', label: 'Files', better: null },
+    { key: 'linesOfCode', label: 'Lines of Code', better: 'lower' },
+    { key: 'complexity', label: 'Complexity', better: 'lower' },
+    { key: 'complexFunctions', label: 'Complex Functions', better: 'lower' },
+    { key: 'tasks.pending', label: 'Pending Tasks', better: 'lower' },
+    { key: 'tasks.completed', label: 'Completed Tasks', better: 'higher' },
+    { key: 'tasks.resolved', label: 'Resolved Tasks', better: 'higher' },
+    { key: 'findings.brokenImports', label: 'Broken Imports', better: 'lower' },
+    { key: 'findings.circularDependencies', label: 'Import Cycles', better: 'lower' },
+    { key: 'findings.unusedExports', label: 'Unused Exports', better: 'lower' },
+    { key: 'findings.unreachableFiles', label: 'Unreachable Files', better: 'lower' },
+    { key: 'findings.dependencyIssues', label: 'Dependency Issues', better: 'lower' }
+];
+
+function getMetricValue(snapshot, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), snapshot);
+}
+
+function createSnapshot(context, backlog, { commit, complexFunctions }) {
+    const countStatus = status => backlog.tasks.filter(task => task.status === status).length;
+    const { dependencies, deadCode } = context;
+
+    return {
+        timestamp: context.timestamp,
+        commit: commit || null,
+        files: context.summary.fileCount,
+        linesOfCode: context.summary.linesOfCode,
+        complexity: context.summary.complexity,
+        complexFunctions,
+        tasks: {
+            total: backlog.tasks.length,
+            pending: countStatus('pending'),
+            completed: countStatus('completed'),
+            resolved: countStatus('resolved')
+        },
+        findings: {
+            brokenImports: dependencies.unresolved.length,
+            circularDependencies: dependencies.circular.reduce((sum, group) => sum + group.cycles.length, 0),
+            unusedExports: deadCode.unusedExports.length,
+            unreachableFiles: deadCode.unreachableFiles.length,
+            dependencyIssues: dependencies.audit.unused.length +
+                dependencies.audit.undeclared.length +
+                dependencies.audit.devOnlyInProduction.length
+        }
+    };
+}
+
+// One JSON object per line, so appending never rewrites earlier runs
+function appendSnapshot(historyPath, snapshot) {
+    fs.appendFileSync(historyPath, JSON.stringify(snapshot) + '\n');
+}
+
+function loadHistory(historyPath) {
+    if (!fs.existsSync(historyPath)) return [];
+    return fs.readFileSync(historyPath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                console.log(chalk.yellow(`⚠️  Skipping unreadable history entry on line ${index + 1}`));
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+function sparkline(values) {
+    const numbers = values.filter(value => typeof value === 'number');
+    if (numbers.length === 0) return '';
+    const min = Math.min(...numbers);
+    const range = Math.max(...numbers) - min;
+    return values.map(value => {
+        if (typeof value !== 'number') return ' ';
+        const level = range === 0 ? 0 : Math.round(((value - min) / range) * (SPARK_CHARS.length - 1));
+        return SPARK_CHARS[level];
+    }).join('');
+}
+
+function escapeCsv(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function historyToCsv(history) {
+    const columns = ['timestamp', 'commit', ...TREND_METRICS.map(metric => metric.key)];
+    const rows = history.map(snapshot => columns.map(column => escapeCsv(getMetricValue(snapshot, column))).join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    TREND_METRICS,
+    getMetricValue,
+    createSnapshot,
+    appendSnapshot,
+    loadHistory,
+    sparkline,
+    historyToCsv
+};
@@ -0,0 +1,33 @@
+// src/core/hotspots.js
+// Hotspots: complex files that also change often are the best refactoring investments
+
+// Score = normalized churn × normalized complexity, scaled to 0-100.
+// A file needs both to rank high: complex but stable code is left alone.
+function computeHotspots(fileAnalysis, churn) {
+    const candidates = Object.entries(fileAnalysis)
+        .map(([file, analysis]) => ({
+            file,
+            complexity: analysis.complexity || 0,
+            commits: churn[file]?.commits || 0,
+            authorCount: churn[file]?.authorCount || 0
+        }))
+        .filter(entry => entry.complexity > 0 && entry.commits > 0);
+
+    if (candidates.length === 0) return [];
+
+    const maxComplexity = Math.max(...candidates.map(entry => entry.complexity));
+    const maxCommits = Math.max(...candidates.map(entry => entry.commits));
+
+    return candidates
+        .map(entry => ({
+            ...entry,
+            score: Math.round((entry.commits / maxCommits) * (entry.complexity / maxComplexity) * 1000) / 10
+        }))
+        .sort((a, b) => b.score - a.score);
+}
+
+function getHotspotScore(hotspots, file) {
+    return hotspots.find(entry => entry.file === file)?.score || 0;
+}
+
+module.exports = { computeHotspots, getHotspotScore };
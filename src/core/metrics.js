@@ -0,0 +1,173 @@
+// src/core/metrics.js
+// Per-function code metrics computed from a Babel AST
+
+const { walk, forEachChild, isFunctionNode, getFunctionName } = require('../utils/astUtils');
+
+const LOOP_TYPES = new Set([
+    'ForStatement',
+    'ForInStatement',
+    'ForOfStatement',
+    'WhileStatement',
+    'DoWhileStatement'
+]);
+
+// Measures a single function body (or the module's top-level code).
+// Nested functions are skipped here because they are measured on their own.
+//
+// - cyclomatic: 1 + number of decision points (branches, loops, cases, catches, && || ??)
+// - cognitive:  structural increments weighted by nesting, following the
+//               SonarSource "Cognitive Complexity" rules
+// - maxNesting: deepest level of nested control flow
+function measureBody(root) {
+    const stats = { cyclomatic: 1, cognitive: 0, maxNesting: 0 };
+
+    function enterNesting(nesting) {
+        stats.maxNesting = Math.max(stats.maxNesting, nesting + 1);
+        return nesting + 1;
+    }
+
+    // `else if` continues the same structure: it is scored without a nesting
+    // penalty and its branches sit at the same level as the original `if`
+    function visitIf(node, nesting, isElseIf) {
+        stats.cyclomatic++;
+        stats.cognitive += isElseIf ? 1 : 1 + nesting;
+        visit(node.test, nesting, node);
+
+        const inner = enterNesting(nesting);
+        visit(node.consequent, inner, node);
+
+        if (node.alternate?.type === 'IfStatement') {
+            visitIf(node.alternate, nesting, true);
+        } else if (node.alternate) {
+            stats.cognitive++;
+            visit(node.alternate, inner, node);
+        }
+    }
+
+    function visit(node, nesting, parent) {
+        if (!node) return;
+        if (node !== root && isFunctionNode(node)) return;
+
+        if (node.type === 'IfStatement') {
+            visitIf(node, nesting, false);
+            return;
+        }
+
+        if (LOOP_TYPES.has(node.type)) {
+            stats.cyclomatic++;
+            stats.cognitive += 1 + nesting;
+            const inner = enterNesting(nesting);
+            forEachChild(node, (child, key) => visit(child, key === 'body' ? inner : nesting, node));
+            return;
+        }
+
+        switch (node.type) {
+            case 'SwitchStatement': {
+                stats.cognitive += 1 + nesting;
+                const inner = enterNesting(nesting);
+                visit(node.discriminant, nesting, node);
+                node.cases.forEach(switchCase => {
+                    if (switchCase.test) stats.cyclomatic++;
+                    visit(switchCase, inner, node);
+                });
+                return;
+            }
+            case 'CatchClause': {
+                stats.cyclomatic++;
+                stats.cognitive += 1 + nesting;
+                visit(node.body, enterNesting(nesting), node);
+                return;
+            }
+            case 'ConditionalExpression': {
+                stats.cyclomatic++;
+                stats.cognitive += 1 + nesting;
+                const inner = enterNesting(nesting);
+                visit(node.test, nesting, node);
+                visit(node.consequent, inner, node);
+                visit(node.alternate, inner, node);
+                return;
+            }
+            case 'LogicalExpression':
+                stats.cyclomatic++;
+                // A run of the same operator (a && b && c) only counts once
+                if (!(parent?.type === 'LogicalExpression' && parent.operator === node.operator)) {
+                    stats.cognitive++;
+                }
+                break;
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                if (node.label) stats.cognitive++;
+                break;
+            default:
+                break;
+        }
+
+        forEachChild(node, child => visit(child, nesting, node));
+    }
+
+    if (isFunctionNode(root)) {
+        root.params.forEach(param => visit(param, 0, root));
+        visit(root.body, 0, root);
+    } else {
+        visit(root, 0, null);
+    }
+
+    return stats;
+}
+
+function analyzeFunctions(ast) {
+    const functions = [];
+
+    walk(ast, {
+        enter(node, parent, ancestors) {
+            if (!isFunctionNode(node)) return;
+
+            const stats = measureBody(node);
+            const startLine = node.loc.start.line;
+            const endLine = node.loc.end.line;
+
+            functions.push({
+                name: getFunctionName(node, ancestors),
+                startLine,
+                endLine,
+                linesOfCode: endLine - startLine + 1,
+                parameterCount: node.params.length,
+                cyclomaticComplexity: stats.cyclomatic,
+                cognitiveComplexity: stats.cognitive,
+                maxNestingDepth: stats.maxNesting
+            });
+        }
+    });
+
+    const moduleStats = measureBody(ast.type === 'File' ? ast.program : ast);
+
+    // File complexity = decision points in top-level code + every function's own score
+    const complexity = functions.reduce(
+        (sum, fn) => sum + fn.cyclomaticComplexity,
+        moduleStats.cyclomatic
+    );
+
+    return { functions, complexity };
+}
+
+function isComplexFunction(fn, thresholds) {
+    return fn.cyclomaticComplexity > thresholds.cyclomatic ||
+        fn.cognitiveComplexity > thresholds.cognitive;
+}
+
+// Per-function thresholds above which a function is flagged for refactoring
+function getFunctionThresholds(config) {
+    return {
+        cyclomatic: config.complexity.maxFunctionComplexity,
+        cognitive: config.complexity.maxCognitiveComplexity
+    };
+}
+
+// Flattens the per-file function lists of a fileAnalysis map
+function collectFunctions(files) {
+    return Object.entries(files).flatMap(([file, analysis]) =>
+        (analysis.functions || []).map(fn => ({ file, ...fn }))
+    );
+}
+
+module.exports = { analyzeFunctions, isComplexFunction, getFunctionThresholds, collectFunctions };
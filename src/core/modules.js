@@ -0,0 +1,284 @@
+// src/core/modules.js
+// Import/export extraction for ES modules, CommonJS and TypeScript
+
+const { walk, getKeyName, memberExpressionToString } = require('../utils/astUtils');
+
+// Import record shape:
+//   { source, kind, specifiers: [{ imported, local }], line, typeOnly }
+// kind: 'import' | 'side-effect' | 'require' | 'dynamic' | 're-export'
+// imported: exported name, 'default', or '*' when the whole module object is used
+//
+// Export record shape:
+//   { name, kind, local?, source?, line, typeOnly }
+// kind: 'named' | 'default' | 're-export' | 'commonjs'
+
+function getStringValue(node) {
+    if (!node) return null;
+    if (node.type === 'StringLiteral') return node.value;
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+        return node.quasis.map(q => q.value.cooked).join('');
+    }
+    return null;
+}
+
+function collectBindingNames(pattern, names = []) {
+    if (!pattern) return names;
+    switch (pattern.type) {
+        case 'Identifier':
+            names.push(pattern.name);
+            break;
+        case 'ObjectPattern':
+            pattern.properties.forEach(prop => {
+                collectBindingNames(prop.type === 'RestElement' ? prop.argument : prop.value, names);
+            });
+            break;
+        case 'ArrayPattern':
+            pattern.elements.forEach(element => collectBindingNames(element, names));
+            break;
+        case 'AssignmentPattern':
+            collectBindingNames(pattern.left, names);
+            break;
+        case 'RestElement':
+            collectBindingNames(pattern.argument, names);
+            break;
+        default:
+            break;
+    }
+    return names;
+}
+
+// Which names of a required/imported module does the surrounding code use?
+// `const { a, b: c } = require('x')` → a, b; `require('x').a` → a; otherwise the whole module.
+function specifiersFromUsage(ancestors) {
+    let index = ancestors.length - 1;
+    while (ancestors[index]?.type === 'AwaitExpression') index--;
+    const parent = ancestors[index];
+
+    if (parent?.type === 'VariableDeclarator' && parent.id.type === 'ObjectPattern') {
+        return parent.id.properties.map(prop => {
+            if (prop.type === 'RestElement') {
+                return { imported: '*', local: collectBindingNames(prop.argument)[0] || null };
+            }
+            return {
+                imported: getKeyName(prop.key, prop.computed) || '*',
+                local: collectBindingNames(prop.value)[0] || null
+            };
+        });
+    }
+    if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+        return [{ imported: '*', local: parent.id.name }];
+    }
+    if (parent?.type === 'MemberExpression' || parent?.type === 'OptionalMemberExpression') {
+        return [{ imported: getKeyName(parent.property, parent.computed) || '*', local: null }];
+    }
+    if (parent?.type === 'ExpressionStatement') {
+        return [];
+    }
+    return [{ imported: '*', local: null }];
+}
+
+function exportsFromDeclaration(declaration, line) {
+    const typeOnly = /^TS(Interface|TypeAlias)Declaration$/.test(declaration.type) ||
+        Boolean(declaration.declare);
+
+    if (declaration.type === 'VariableDeclaration') {
+        return declaration.declarations.flatMap(declarator =>
+            collectBindingNames(declarator.id).map(name => ({ name, kind: 'named', line, typeOnly }))
+        );
+    }
+    if (declaration.id?.name) {
+        return [{ name: declaration.id.name, kind: 'named', line, typeOnly }];
+    }
+    return [];
+}
+
+function exportsFromCommonJsAssignment(node, line) {
+    const target = memberExpressionToString(node.left);
+
+    if (target === 'module.exports') {
+        if (node.right.type === 'ObjectExpression') {
+            return node.right.properties
+                .filter(prop => prop.type !== 'SpreadElement')
+                .map(prop => ({
+                    name: getKeyName(prop.key, prop.computed) || '[computed]',
+                    kind: 'commonjs',
+                    line,
+                    typeOnly: false
+                }));
+        }
+        return [{ name: 'default', kind: 'commonjs', line, typeOnly: false }];
+    }
+
+    const match = target?.match(/^(?:module\.)?exports\.([^.]+)$/);
+    if (match) {
+        return [{ name: match[1], kind: 'commonjs', line, typeOnly: false }];
+    }
+    return [];
+}
+
+function extractModuleInfo(ast) {
+    const imports = [];
+    const exports = [];
+
+    walk(ast, {
+        enter(node, parent, ancestors) {
+            const line = node.loc?.start.line || null;
+
+            switch (node.type) {
+                case 'ImportDeclaration': {
+                    const typeOnly = node.importKind === 'type' || node.importKind === 'typeof';
+                    imports.push({
+                        source: node.source.value,
+                        kind: node.specifiers.length ? 'import' : 'side-effect',
+                        specifiers: node.specifiers.map(spec => ({
+                            imported: spec.type === 'ImportDefaultSpecifier'
+                                ? 'default'
+                                : spec.type === 'ImportNamespaceSpecifier'
+                                    ? '*'
+                                    : getKeyName(spec.imported),
+                            local: spec.local.name
+                        })),
+                        line,
+                        typeOnly
+                    });
+                    return false;
+                }
+
+                case 'ExportNamedDeclaration': {
+                    const typeOnly = node.exportKind === 'type';
+                    if (node.declaration) {
+                        exports.push(...exportsFromDeclaration(node.declaration, line));
+                        return undefined;
+                    }
+                    const specifiers = node.specifiers.map(spec => ({
+                        imported: spec.type === 'ExportNamespaceSpecifier'
+                            ? '*'
+                            : getKeyName(spec.local),
+                        exported: getKeyName(spec.exported)
+                    }));
+                    if (node.source) {
+                        imports.push({
+                            source: node.source.value,
+                            kind: 're-export',
+                            specifiers: specifiers.map(spec => ({ imported: spec.imported, local: null })),
+                            line,
+                            typeOnly
+                        });
+                    }
+                    specifiers.forEach(spec => {
+                        exports.push({
+                            name: spec.exported,
+                            kind: node.source ? 're-export' : 'named',
+                            local: spec.imported,
+                            ...(node.source && { source: node.source.value }),
+                            line,
+                            typeOnly
+                        });
+                    });
+                    return false;
+                }
+
+                case 'ExportAllDeclaration': {
+                    const typeOnly = node.exportKind === 'type';
+                    imports.push({
+                        source: node.source.value,
+                        kind: 're-export',
+                        specifiers: [{ imported: '*', local: null }],
+                        line,
+                        typeOnly
+                    });
+                    exports.push({ name: '*', kind: 're-export', source: node.source.value, line, typeOnly });
+                    return false;
+                }
+
+                case 'ExportDefaultDeclaration':
+                    exports.push({ name: 'default', kind: 'default', line, typeOnly: false });
+                    return undefined;
+
+                case 'TSImportEqualsDeclaration':
+                    if (node.moduleReference.type === 'TSExternalModuleReference') {
+                        imports.push({
+                            source: node.moduleReference.expression.value,
+                            kind: 'require',
+                            specifiers: [{ imported: '*', local: node.id.name }],
+                            line,
+                            typeOnly: node.importKind === 'type'
+                        });
+                    }
+                    return false;
+
+                case 'CallExpression': {
+                    const isRequire = node.callee.type === 'Identifier' && node.callee.name === 'require';
+                    const isDynamicImport = node.callee.type === 'Import';
+                    const source = getStringValue(node.arguments[0]);
+                    if ((isRequire || isDynamicImport) && source !== null) {
+                        const specifiers = specifiersFromUsage(ancestors);
+                        imports.push({
+                            source,
+                            kind: isDynamicImport ? 'dynamic' : specifiers.length ? 'require' : 'side-effect',
+                            specifiers,
+                            line,
+                            typeOnly: false
+                        });
+                    }
+                    return undefined;
+                }
+
+                case 'ImportExpression': {
+                    const source = getStringValue(node.source);
+                    if (source !== null) {
+                        imports.push({
+                            source,
+                            kind: 'dynamic',
+                            specifiers: specifiersFromUsage(ancestors),
+                            line,
+                            typeOnly: false
+                        });
+                    }
+                    return undefined;
+                }
+
+                case 'AssignmentExpression':
+                    exports.push(...exportsFromCommonJsAssignment(node, line));
+                    return undefined;
+
+                default:
+                    return undefined;
+            }
+        }
+    });
+
+    return { imports, exports };
+}
+
+// Used when Babel cannot parse a file: only finds the common static forms
+function extractModuleInfoWithRegex(content) {
+    const imports = [];
+    const exports = [];
+
+    const importRegex = /(?:import[^;'"`]*?from\s+|import\s+|require\(\s*)['"`]([^'"`]+)['"`]/g;
+    let match;
+    while ((match = importRegex.exec(content)) !== null) {
+        imports.push({
+            source: match[1],
+            kind: match[0].startsWith('require') ? 'require' : 'import',
+            specifiers: [],
+            line: content.slice(0, match.index).split('\n').length,
+            typeOnly: false
+        });
+    }
+
+    const exportRegex = /export\s+(?:default\s+)?(?:class|function|const|let|var)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/g;
+    while ((match = exportRegex.exec(content)) !== null) {
+        exports.push({
+            name: match[0].includes('default') ? 'default' : match[1],
+            kind: match[0].includes('default') ? 'default' : 'named',
+            line: content.slice(0, match.index).split('\n').length,
+            typeOnly: false
+        });
+    }
+
+    return { imports, exports };
+}
+
+module.exports = { extractModuleInfo, extractModuleInfoWithRegex };
@@ -0,0 +1,199 @@
+// src/core/patches.js
+// Reading code changes out of AI responses and applying them to file contents.
+//
+// Two forms are understood: unified diffs (fenced or not) and fenced code blocks holding a
+// whole file, labelled with its path in the fence info string, in a line just above the
+// fence or in a comment on the block's first line.
+
+class PatchError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PatchError';
+    }
+}
+
+const FENCE_PATTERN = /^(`{3,}|~{3,})\s*(.*)$/;
+const HUNK_HEADER_PATTERN = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+// A relative path with a directory or an extension, e.g. src/app.js or app.ts
+const PATH_PATTERN = /(?:[\w@.-]+\/)+[\w@.-]+|[\w@-]+(?:\.[\w-]+)+/g;
+const DIFF_LANGUAGES = ['diff', 'patch'];
+
+function stripDiffPrefix(file) {
+    return file.replace(/\t.*$/, '').replace(/^"(.*)"$/, '$1').replace(/^[ab]\//, '');
+}
+
+// Hunk lines run until the first line that cannot belong to a hunk. AI-written hunk
+// headers often have wrong counts, so they are not relied on.
+function readHunkLines(lines, start) {
+    const hunkLines = [];
+    let i = start;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (line.startsWith('@@') || FENCE_PATTERN.test(line) || isFileHeader(lines, i) || !/^([ +\-\\]|$)/.test(line)) break;
+        hunkLines.push(line);
+        i++;
+    }
+    while (hunkLines.length > 0 && hunkLines[hunkLines.length - 1] === '') hunkLines.pop();
+    return { hunkLines, next: i };
+}
+
+function isFileHeader(lines, i) {
+    return lines[i].startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ');
+}
+
+// Every file patch in a text: [{ file, isNew, hunks: [{ oldStart, lines }] }]
+function parseUnifiedDiffs(text) {
+    const lines = text.split('\n');
+    const patches = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!isFileHeader(lines, i)) continue;
+        const oldFile = stripDiffPrefix(lines[i].slice(4).trim());
+        const newFile = stripDiffPrefix(lines[i + 1].slice(4).trim());
+        const patch = {
+            file: newFile === '/dev/null' ? oldFile : newFile,
+            isNew: oldFile === '/dev/null',
+            hunks: []
+        };
+        i += 2;
+
+        while (i < lines.length && HUNK_HEADER_PATTERN.test(lines[i])) {
+            const { hunkLines, next } = readHunkLines(lines, i + 1);
+            patch.hunks.push({
+                oldStart: Number(HUNK_HEADER_PATTERN.exec(lines[i])[1]),
+                lines: hunkLines
+            });
+            i = next;
+        }
+        i--;
+        if (patch.hunks.length > 0) patches.push(patch);
+    }
+    return patches;
+}
+
+// Fenced code blocks with their info string and the closest non-empty line above them
+function parseFencedBlocks(text) {
+    const lines = text.split('\n');
+    const blocks = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const open = FENCE_PATTERN.exec(lines[i]);
+        if (!open) continue;
+
+        const end = lines.findIndex((line, index) => index > i && line.startsWith(open[1]) && !line.slice(open[1].length).trim());
+        if (end === -1) break;
+
+        let above = '';
+        for (let j = i - 1; j >= 0 && j >= i - 2; j--) {
+            if (lines[j].trim()) {
+                above = lines[j];
+                break;
+            }
+        }
+        blocks.push({ info: open[2].trim(), lines: lines.slice(i + 1, end), above });
+        i = end;
+    }
+    return blocks;
+}
+
+function findPaths(text) {
+    return (text.match(PATH_PATTERN) || []).filter(candidate => !/^\d+(\.\d+)*$/.test(candidate));
+}
+
+// The file a full-file block is for, and whether its first line only names that file
+function findBlockLabel(block) {
+    const [language, ...rest] = block.info.split(/[\s:=]+/).filter(Boolean);
+    const fromInfo = findPaths(rest.join(' ').replace(/["']/g, ' '));
+    if (fromInfo.length > 0) return { file: fromInfo[0], labelLine: false };
+    if (language && language.includes('/')) return { file: language, labelLine: false };
+
+    const firstLine = block.lines[0] || '';
+    const comment = /^\s*(?:\/\/|#|\/\*|<!--)\s*(?:file:\s*)?(\S+?)\s*(?:\*\/|-->)?\s*$/i.exec(firstLine);
+    if (comment && findPaths(comment[1]).length === 1) return { file: comment[1], labelLine: true };
+
+    const fromAbove = findPaths(block.above.replace(/[`*_#:]/g, ' '));
+    if (fromAbove.length > 0) return { file: fromAbove[fromAbove.length - 1], labelLine: false };
+    return null;
+}
+
+// The changes in an AI response: [{ file, type: 'diff', hunks, isNew }] and
+// [{ file, type: 'full', content, labelLine }]. Code blocks without a file name are
+// examples rather than changes and are only counted.
+function extractChanges(response) {
+    const changes = parseUnifiedDiffs(response).map(patch => ({ type: 'diff', ...patch }));
+    let unlabeled = 0;
+
+    parseFencedBlocks(response).forEach(block => {
+        const language = block.info.split(/\s+/)[0].toLowerCase();
+        const isDiff = DIFF_LANGUAGES.includes(language) ||
+            block.lines.some((line, index) => isFileHeader(block.lines, index));
+        if (isDiff) return;
+
+        const label = findBlockLabel(block);
+        if (!label) {
+            unlabeled++;
+            return;
+        }
+        changes.push({
+            type: 'full',
+            file: label.file,
+            content: block.lines.join('\n'),
+            labelLine: label.labelLine
+        });
+    });
+
+    return { changes, unlabeled };
+}
+
+function sameLines(fileLines, at, expected, loose) {
+    if (at < 0 || at + expected.length > fileLines.length) return false;
+    return expected.every((line, k) => (loose
+        ? fileLines[at + k].trimEnd() === line.trimEnd()
+        : fileLines[at + k] === line));
+}
+
+// Finds where a hunk's old lines are, nearest to where its header says first
+function locateHunk(fileLines, expected, preferred, from) {
+    for (const loose of [false, true]) {
+        for (let distance = 0; distance <= fileLines.length; distance++) {
+            for (const at of distance === 0 ? [preferred] : [preferred - distance, preferred + distance]) {
+                if (at >= from && sameLines(fileLines, at, expected, loose)) return at;
+            }
+        }
+    }
+    return -1;
+}
+
+// Applies the hunks of one file patch in order. Blank lines count as unchanged lines,
+// since they often lose their leading space on the way out of a chat window.
+function applyHunks(content, hunks, file) {
+    const lines = content === null ? [] : content.split('\n');
+    let from = 0;
+    let offset = 0;
+
+    hunks.forEach((hunk, index) => {
+        const oldLines = [];
+        const newLines = [];
+        hunk.lines.forEach(line => {
+            if (line.startsWith('\\')) return;
+            const marker = line[0] || ' ';
+            const text = line.slice(1);
+            if (marker !== '+') oldLines.push(text);
+            if (marker !== '-') newLines.push(text);
+        });
+
+        const at = oldLines.length === 0
+            ? Math.min(Math.max(hunk.oldStart + offset, from), lines.length)
+            : locateHunk(lines, oldLines, hunk.oldStart - 1 + offset, from);
+        if (at === -1) {
+            throw new PatchError(`Hunk ${index + 1} of the patch for ${file} (at line ${hunk.oldStart}) does not match the file`);
+        }
+
+        lines.splice(at, oldLines.length, ...newLines);
+        offset = at + newLines.length - (hunk.oldStart - 1 + oldLines.length);
+        from = at + newLines.length;
+    });
+    return lines.join('\n');
+}
+
+module.exports = { PatchError, extractChanges, applyHunks };
@@ -0,0 +1,296 @@
+// src/core/promptContext.js
+// Source file and related file sections for task prompts, shrunk step by step to fit a token budget
+
+const path = require('path');
+const { isTestFile } = require('../utils/fileUtils');
+const { parseSource, extractScriptContent, walk, isFunctionNode } = require('../utils/astUtils');
+const { estimateTokens } = require('../utils/tokenUtils');
+
+// Applied in this order until the prompt fits: related files are shrunk to summaries,
+// farthest first, before the task's own files lose anything. Those are never cut below the
+// functions the task is about; dropping related files altogether is the last resort.
+const SHRINK_STAGES = [
+    { files: 'related', mode: 'signatures' },
+    { files: 'related', mode: 'summary' },
+    { files: 'source', mode: 'relevant' },
+    { files: 'related', mode: 'dropped' }
+];
+
+// Line ranges (1-based, inclusive) a task is about in one file: the functions it
+// names, and the functions enclosing its findings
+function getRelevantRanges(file, task, findings, analysis) {
+    const functions = analysis?.functions || [];
+    const ranges = (task.functions || [])
+        .filter(fn => fn.file === file)
+        .map(fn => [fn.startLine, fn.endLine]);
+
+    findings
+        .filter(finding => finding.file === file && finding.line)
+        .forEach(finding => {
+            const enclosing = functions
+                .filter(fn => fn.startLine <= finding.line && finding.line <= fn.endLine)
+                .sort((a, b) => (a.endLine - a.startLine) - (b.endLine - b.startLine))[0];
+            ranges.push(enclosing
+                ? [enclosing.startLine, enclosing.endLine]
+                : [Math.max(1, finding.line - 3), finding.line + 3]);
+        });
+
+    return mergeRanges(ranges);
+}
+
+function mergeRanges(ranges) {
+    return [...ranges].sort((a, b) => a[0] - b[0]).reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1] + 1) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+        return merged;
+    }, []);
+}
+
+function keepLineRanges(content, ranges) {
+    const lines = content.split('\n');
+    const parts = [];
+    let next = 1;
+    ranges.forEach(([start, end]) => {
+        if (start > next) parts.push(`// ... lines ${next}-${start - 1} omitted ...`);
+        parts.push(...lines.slice(start - 1, end));
+        next = end + 1;
+    });
+    if (next <= lines.length) parts.push(`// ... lines ${next}-${lines.length} omitted ...`);
+    return parts.join('\n');
+}
+
+// A source file section cut down to the task's `fragments` in it, for tasks about parts of
+// files such as duplicated code. The entry is returned unchanged if no fragment is in the file.
+function keepTaskFragments(entry, fragments) {
+    const ranges = mergeRanges(fragments
+        .filter(fragment => fragment.file === entry.path)
+        .map(fragment => [fragment.startLine, fragment.endLine]));
+    if (!entry.found || ranges.length === 0) return entry;
+    return {
+        ...entry,
+        mode: 'relevant',
+        note: `lines ${ranges.map(([start, end]) => `${start}-${end}`).join(', ')} only`,
+        content: keepLineRanges(entry.original, ranges)
+    };
+}
+
+// The file with every function body replaced by a `{ /* N lines */ }` placeholder,
+// or null if it does not parse or has no functions
+function extractSignatures(content, file) {
+    let ast;
+    try {
+        ast = parseSource(extractScriptContent(content, file));
+    } catch (error) {
+        return null;
+    }
+
+    const bodies = [];
+    walk(ast.program, {
+        enter(node) {
+            if (isFunctionNode(node) && node.body?.type === 'BlockStatement') {
+                bodies.push(node.body);
+                return false;
+            }
+            return true;
+        }
+    });
+    if (bodies.length === 0) return null;
+
+    // Offsets stay valid: extractScriptContent keeps the length of the original
+    return bodies
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, body) => {
+            const lineCount = body.loc.end.line - body.loc.start.line + 1;
+            return result.slice(0, body.start) + `{ /* ${lineCount} lines */ }` + result.slice(body.end);
+        }, content);
+}
+
+function summarizeFile(content, analysis) {
+    const lineCount = content.split('\n').length;
+    if (!analysis) return `${lineCount} lines, not shown.`;
+
+    const list = (items, limit) => items.length === 0
+        ? 'none'
+        : items.slice(0, limit).join(', ') + (items.length > limit ? `, ... (${items.length} total)` : '');
+    return [
+        `${lineCount} lines, complexity ${analysis.complexity || 0}.`,
+        `Imports: ${list([...new Set((analysis.imports || []).map(imp => imp.source))], 15)}`,
+        `Exports: ${list((analysis.exports || []).map(exp => exp.name), 15)}`,
+        `Functions: ${list((analysis.functions || [])
+            .filter(fn => !/ callback$|^</.test(fn.name))      // anonymous callbacks are noise here
+            .map(fn => `${fn.name} (lines ${fn.startLine}-${fn.endLine})`), 20)}`
+    ].join('\n');
+}
+
+function countLines(text) {
+    return text.split('\n').length;
+}
+
+// The name a test file would share with the file it tests: src/cart.js and
+// test/cart.test.js both give "cart"; src/cart/index.js gives "cart" as well
+function getTestStem(file) {
+    const stem = path.basename(file).split('.')[0];
+    return stem === 'index' ? path.basename(path.dirname(file)) : stem;
+}
+
+// Project files around the task's files in the dependency graph, nearest first: files they
+// import, files importing them and their tests. `depth` is how many import steps are followed
+// in either direction; tests are not followed any further.
+function findRelatedFiles(files, dependencyMap, allFiles, { depth, maxFiles }) {
+    const graph = dependencyMap?.graph || {};
+    const importers = {};
+    Object.entries(graph).forEach(([file, targets]) => {
+        targets.forEach(target => {
+            (importers[target] = importers[target] || []).push(file);
+        });
+    });
+
+    const seen = new Set(files);
+    const related = [];
+    const add = (file, relation, distance) => {
+        if (seen.has(file)) return false;
+        seen.add(file);
+        related.push({ path: file, relation, distance });
+        return !isTestFile(file);
+    };
+
+    const testFiles = allFiles.filter(isTestFile);
+    files.filter(file => !isTestFile(file)).forEach(file => {
+        const stem = getTestStem(file);
+        testFiles
+            .filter(test => getTestStem(test) === stem)
+            .forEach(test => add(test, `test for ${file}`, 1));
+    });
+
+    let frontier = files;
+    for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+        const next = [];
+        frontier.forEach(file => {
+            (graph[file] || []).forEach(target => {
+                if (add(target, `imported by ${file}`, distance)) next.push(target);
+            });
+            (importers[file] || []).forEach(importer => {
+                const relation = isTestFile(importer) ? `test for ${file}` : `imports ${file}`;
+                if (add(importer, relation, distance)) next.push(importer);
+            });
+        });
+        frontier = next;
+    }
+
+    return related
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, maxFiles);
+}
+
+// A related file section: the full source when it is short, otherwise its signatures,
+// or a summary when it has no functions to keep
+function createRelatedFile(related, content, analysis, fullSourceLines) {
+    const entry = { ...related, language: path.extname(related.path).slice(1), original: content };
+    if (countLines(content) <= fullSourceLines) {
+        return { ...entry, mode: 'full', content };
+    }
+    const signatures = extractSignatures(content, related.path);
+    return signatures
+        ? { ...entry, mode: 'signatures', note: 'signatures only', content: signatures }
+        : { ...entry, mode: 'summary', note: 'summary', content: '', summary: summarizeFile(content, analysis) };
+}
+
+// One smaller version of a file section, or null if the stage cannot shrink it
+function shrinkFile(entry, mode, helpers) {
+    const originalLines = countLines(entry.original);
+
+    if (mode === 'relevant') {
+        if (entry.mode !== 'full') return null;
+        const ranges = helpers.getRelevantRanges(entry.path);
+        if (ranges.length === 0) return null;
+        const kept = ranges.reduce((sum, [start, end]) => sum + end - start + 1, 0);
+        return {
+            ...entry,
+            mode: 'relevant',
+            note: 'relevant functions only',
+            content: keepLineRanges(entry.original, ranges),
+            omission: `only lines ${ranges.map(([start, end]) => `${start}-${end}`).join(', ')} are included; ${originalLines - kept} other lines were left out`
+        };
+    }
+
+    if (mode === 'signatures') {
+        if (entry.mode === 'signatures' || entry.mode === 'summary') return null;
+        const signatures = extractSignatures(entry.original, entry.path);
+        if (!signatures || estimateTokens(signatures) >= estimateTokens(entry.content)) return null;
+        return {
+            ...entry,
+            mode: 'signatures',
+            note: 'signatures only',
+            content: signatures,
+            omission: `function bodies were replaced by their signatures (${originalLines - countLines(signatures)} lines left out)`
+        };
+    }
+
+    if (mode === 'summary') {
+        if (entry.mode === 'summary') return null;
+        return {
+            ...entry,
+            mode: 'summary',
+            note: 'summary',
+            content: '',
+            summary: summarizeFile(entry.original, helpers.getAnalysis(entry.path)),
+            omission: `the source was replaced by a summary (${originalLines} lines left out)`
+        };
+    }
+
+    return { ...entry, dropped: true, omission: 'left out' };
+}
+
+// Renders the prompt, then makes room until it fits `maxTokens` (0 means no limit), one
+// SHRINK_STAGES step at a time: related files farthest first, source files largest first.
+// Each shrunk file carries an `omission` describing what was left out, and related files
+// left out altogether are marked `dropped`.
+function fitToTokenBudget(sections, renderPrompt, maxTokens, helpers) {
+    const current = {
+        source: sections.sourceFiles,
+        related: sections.relatedFiles || []
+    };
+    let content = renderPrompt({ sourceFiles: current.source, relatedFiles: current.related });
+    let tokens = estimateTokens(content);
+    const fits = () => !maxTokens || tokens <= maxTokens;
+
+    for (const stage of SHRINK_STAGES) {
+        if (fits()) break;
+        const entries = current[stage.files];
+        const order = stage.files === 'related'
+            ? entries.map((entry, index) => index).reverse()
+            : entries
+                .map((entry, index) => ({ entry, index }))
+                .filter(({ entry }) => entry.found)
+                .sort((a, b) => estimateTokens(b.entry.content) - estimateTokens(a.entry.content))
+                .map(({ index }) => index);
+
+        for (const index of order) {
+            if (fits()) break;
+            const entry = current[stage.files][index];
+            const shrunk = shrinkFile(entry, stage.mode, helpers);
+            if (!shrunk) continue;
+            if (stage.files === 'related') {
+                shrunk.omission = `related file (${entry.relation}): ${shrunk.omission}`;
+            }
+            current[stage.files] = current[stage.files].map((other, i) => (i === index ? shrunk : other));
+            content = renderPrompt({ sourceFiles: current.source, relatedFiles: current.related });
+            tokens = estimateTokens(content);
+        }
+    }
+
+    return { content, tokens, sourceFiles: current.source, relatedFiles: current.related, overBudget: !fits() };
+}
+
+module.exports = {
+    getRelevantRanges,
+    keepTaskFragments,
+    extractSignatures,
+    findRelatedFiles,
+    createRelatedFile,
+    fitToTokenBudget
+};
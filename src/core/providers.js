@@ -0,0 +1,76 @@
+// src/core/providers.js
+// Choosing and calling the provider adapter that sends task prompts to a model.
+//
+// A provider is an object `{ id, description, defaults, complete(request, settings) }`.
+// `complete` receives `{ prompt, task }` and the resolved settings (model, baseUrl, apiKey,
+// maxOutputTokens, temperature, timeoutSeconds, fixturesDir) and resolves to
+// `{ content, model, inputTokens, outputTokens }`; only `content` is required.
+
+const BUILTIN_PROVIDERS = require('../providers');
+const { ConfigError } = require('./config');
+const { estimateTokens } = require('../utils/tokenUtils');
+
+// `ai.provider` is a built-in id, or a local file or npm package exporting a provider
+function findProvider(specifier, projectPath) {
+    const builtin = BUILTIN_PROVIDERS.find(provider => provider.id === specifier);
+    if (builtin) return builtin;
+
+    let provider;
+    try {
+        provider = require(require.resolve(specifier, { paths: [projectPath, __dirname] }));
+    } catch (error) {
+        throw new ConfigError(`Unknown AI provider "${specifier}" (expected one of: ${BUILTIN_PROVIDERS.map(p => p.id).join(', ')}, or a provider module)`);
+    }
+    if (!provider || typeof provider.complete !== 'function') {
+        throw new ConfigError(`Invalid AI provider "${specifier}": a provider needs a "complete(request, settings)" function`);
+    }
+    return { id: specifier, defaults: {}, ...provider };
+}
+
+// The provider and its settings: configured values win over the provider's defaults.
+// API keys only ever come from the environment.
+function loadProvider(config, projectPath, env = process.env) {
+    const { ai } = config;
+    const provider = findProvider(ai.provider, projectPath);
+    const defaults = provider.defaults || {};
+    const apiKeyEnv = ai.apiKeyEnv || defaults.apiKeyEnv;
+
+    const settings = {
+        model: ai.model || defaults.model,
+        baseUrl: ai.baseUrl || defaults.baseUrl,
+        apiKey: apiKeyEnv ? env[apiKeyEnv] : undefined,
+        maxOutputTokens: ai.maxOutputTokens,
+        temperature: ai.temperature,
+        timeoutSeconds: ai.timeoutSeconds,
+        fixturesDir: ai.fixturesDir
+    };
+
+    if (!settings.model) {
+        throw new ConfigError(`No model set for the "${provider.id}" provider: set "ai.model" or pass --model`);
+    }
+    // Hosted APIs need a key; a custom base URL may point at a local server that does not
+    if (apiKeyEnv && !settings.apiKey && settings.baseUrl === defaults.baseUrl) {
+        throw new ConfigError(`The "${provider.id}" provider needs an API key in the ${apiKeyEnv} environment variable`);
+    }
+    return { provider, settings };
+}
+
+// Sends one prompt and times it. Token counts the provider does not report are estimated.
+async function completeWithProvider(provider, request, settings) {
+    const startedAt = Date.now();
+    const result = await provider.complete(request, settings);
+    const durationMs = Date.now() - startedAt;
+
+    const content = String(result?.content ?? '');
+    const reported = Number.isFinite(result?.inputTokens) && Number.isFinite(result?.outputTokens);
+    return {
+        content,
+        model: result?.model || settings.model,
+        inputTokens: reported ? result.inputTokens : estimateTokens(request.prompt),
+        outputTokens: reported ? result.outputTokens : estimateTokens(content),
+        tokensEstimated: !reported,
+        durationMs
+    };
+}
+
+module.exports = { loadProvider, completeWithProvider };
@@ -0,0 +1,151 @@
+// src/core/qualityGate.js
+// The check command's quality gate. A baseline records the problems a project already has:
+// files over the complexity limit, import cycles and high-priority findings. A check fails
+// only on problems the baseline does not list, or when size and complexity grow beyond
+// their budgets, so existing debt does not break the build.
+
+const { getTaskFindings } = require('./verification');
+
+const BASELINE_VERSION = 1;
+
+// Rotated to start at its first file in sort order, so the same cycle found from another
+// file matches: a → b → c → a and b → c → a → b are one cycle
+function normalizeCycle(cycle) {
+    const files = cycle.slice(0, -1);
+    const start = files.indexOf([...files].sort()[0]);
+    const rotated = [...files.slice(start), ...files.slice(0, start)];
+    return [...rotated, rotated[0]].join(' → ');
+}
+
+// Numbers in messages, such as complexity values, change with unrelated edits
+function fingerprintFinding(finding) {
+    return `${finding.rule}|${finding.file || ''}|${finding.message.replace(/\d+/g, '#')}`;
+}
+
+// Cycles are compared one by one, so their findings would only report them twice
+const SEPARATELY_CHECKED_RULES = ['circular-dependency'];
+
+// Errors, and the findings behind high-priority tasks
+function getHighPriorityFindings(findings, tasks) {
+    const selected = new Set(findings.filter(finding => finding.severity === 'error'));
+    tasks.filter(task => task.priority === 'high')
+        .forEach(task => getTaskFindings(task, findings).forEach(finding => selected.add(finding)));
+    return [...selected].filter(finding => !SEPARATELY_CHECKED_RULES.includes(finding.rule));
+}
+
+// Entries are sorted so a committed baseline only changes where the project did
+function createBaseline(context, tasks) {
+    const { maxComplexity } = context.config.complexity;
+    const complexFiles = Object.entries(context.files)
+        .filter(([, analysis]) => (analysis.complexity || 0) > maxComplexity)
+        .sort(([a], [b]) => a.localeCompare(b));
+
+    return {
+        version: BASELINE_VERSION,
+        created: context.timestamp,
+        summary: {
+            fileCount: context.summary.fileCount,
+            linesOfCode: context.summary.linesOfCode,
+            complexity: context.summary.complexity
+        },
+        complexFiles: Object.fromEntries(complexFiles.map(([file, analysis]) => [file, analysis.complexity])),
+        cycles: [...new Set(context.dependencies.circular.flatMap(group => group.cycles.map(normalizeCycle)))].sort(),
+        findings: getHighPriorityFindings(context.findings, tasks)
+            .map(finding => ({ rule: finding.rule, file: finding.file || null, line: finding.line || null, message: finding.message }))
+            .sort((a, b) => fingerprintFinding(a).localeCompare(fingerprintFinding(b)) || (a.line || 0) - (b.line || 0))
+    };
+}
+
+// Percent change, or null when there is nothing to compare against
+function getGrowth(before, after) {
+    return before > 0 ? Math.round(((after - before) / before) * 1000) / 10 : null;
+}
+
+function formatLocation(finding) {
+    if (!finding.file) return '';
+    return `${finding.file}${finding.line ? `:${finding.line}` : ''}: `;
+}
+
+// The findings with no counterpart in `others`. Identical findings are matched one to one,
+// so a second copy of a known problem is still new.
+function findUnmatched(findings, others) {
+    const counts = new Map();
+    others.forEach(finding => {
+        const fingerprint = fingerprintFinding(finding);
+        counts.set(fingerprint, (counts.get(fingerprint) || 0) + 1);
+    });
+    return findings.filter(finding => {
+        const fingerprint = fingerprintFinding(finding);
+        if (!counts.get(fingerprint)) return true;
+        counts.set(fingerprint, counts.get(fingerprint) - 1);
+        return false;
+    });
+}
+
+// Compares two baselines. `budgets` are the check settings: growth limits in percent.
+function compareToBaseline(baseline, current, budgets) {
+    const violations = [];
+    const knownCycles = new Set(baseline.cycles);
+
+    const newComplexFiles = Object.keys(current.complexFiles).filter(file => !(file in baseline.complexFiles));
+    newComplexFiles.forEach(file => violations.push({
+        check: 'complexFiles',
+        message: `New file over the complexity limit: ${file} (complexity ${current.complexFiles[file]})`
+    }));
+
+    const newCycles = current.cycles.filter(cycle => !knownCycles.has(cycle));
+    newCycles.forEach(cycle => violations.push({ check: 'cycles', message: `New import cycle: ${cycle}` }));
+
+    const newFindings = findUnmatched(current.findings, baseline.findings);
+    newFindings.forEach(finding => violations.push({
+        check: 'findings',
+        message: `New high-priority finding: ${formatLocation(finding)}${finding.message} (${finding.rule})`
+    }));
+
+    const growth = {
+        linesOfCode: getGrowth(baseline.summary.linesOfCode, current.summary.linesOfCode),
+        complexity: getGrowth(baseline.summary.complexity, current.summary.complexity)
+    };
+    [
+        { key: 'linesOfCode', label: 'Lines of code', budget: budgets.maxLinesOfCodeGrowth },
+        { key: 'complexity', label: 'Complexity', budget: budgets.maxComplexityGrowth }
+    ].forEach(({ key, label, budget }) => {
+        if (growth[key] !== null && growth[key] > budget) {
+            violations.push({
+                check: key,
+                message: `${label} grew ${growth[key]}% (${baseline.summary[key]} → ${current.summary[key]}), over the ${budget}% budget`
+            });
+        }
+    });
+
+    // Debt paid off since the baseline; recording a new baseline locks the improvement in
+    const fixed = Object.keys(baseline.complexFiles).filter(file => !(file in current.complexFiles)).length +
+        baseline.cycles.filter(cycle => !current.cycles.includes(cycle)).length +
+        findUnmatched(baseline.findings, current.findings).length;
+
+    return {
+        passed: violations.length === 0,
+        violations,
+        summary: {
+            result: violations.length === 0 ? 'pass' : 'fail',
+            violations: violations.length,
+            newComplexFiles: newComplexFiles.length,
+            newCycles: newCycles.length,
+            newHighPriorityFindings: newFindings.length,
+            linesOfCode: current.summary.linesOfCode,
+            linesOfCodeGrowth: growth.linesOfCode ?? 0,
+            complexity: current.summary.complexity,
+            complexityGrowth: growth.complexity ?? 0,
+            fixed
+        }
+    };
+}
+
+// One line of key=value pairs, e.g. `result=fail violations=1 new_cycles=1 ...`
+function formatSummaryLine(summary) {
+    return Object.entries(summary)
+        .map(([key, value]) => `${key.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`)}=${value}`)
+        .join(' ');
+}
+
+module.exports = { BASELINE_VERSION, createBaseline, compareToBaseline, formatSummaryLine };
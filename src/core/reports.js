@@ -0,0 +1,100 @@
+// src/core/reports.js
+// The report every export format is rendered from. It is also the document the `json`
+// format writes, so its shape is fixed by schemas/report-v1.schema.json: change the
+// schema and REPORT_SCHEMA_VERSION together, with a new major version for breaking changes.
+
+const { toPosix } = require('../utils/fileUtils');
+
+const REPORT_SCHEMA_VERSION = '1.0.0';
+const REPORT_SCHEMA_ID = 'urn:ai-refactor-tool:report:v1';
+
+const FUNCTION_FIELDS = ['name', 'startLine', 'endLine', 'linesOfCode', 'parameterCount', 'cyclomaticComplexity', 'cognitiveComplexity', 'maxNestingDepth'];
+const TASK_FIELDS = ['id', 'key', 'rule', 'title', 'description', 'priority', 'status', 'estimatedEffort', 'tags', 'sourceFiles'];
+const OPTIONAL_TASK_FIELDS = ['codemods', 'completedAt', 'resolvedAt', 'verification'];
+
+function pick(object, fields) {
+    return Object.fromEntries(fields.filter(field => object[field] !== undefined).map(field => [field, object[field]]));
+}
+
+function createReportFinding(finding) {
+    return {
+        rule: finding.rule,
+        severity: finding.severity,
+        message: finding.message,
+        file: finding.file ? toPosix(finding.file) : null,
+        line: Number.isInteger(finding.line) ? finding.line : null,
+        ...(finding.codemod && { codemod: finding.codemod })
+    };
+}
+
+function createReportTask(task) {
+    return {
+        ...pick(task, TASK_FIELDS),
+        ...pick(task, OPTIONAL_TASK_FIELDS),
+        history: task.history || [],
+        runs: (task.runs || []).length,
+        patches: (task.patches || []).length
+    };
+}
+
+// `rules` lists `{ id, description }` of the configured rules; rules that only appear in
+// findings or tasks (for example from a plugin that is gone now) are added without one
+function createReport(context, backlog, { tool, rules = [] }) {
+    const findings = (context.findings || []).map(createReportFinding);
+    const tasks = (backlog?.tasks || []).map(createReportTask);
+    const ruleIds = new Set([...findings.map(finding => finding.rule), ...tasks.map(task => task.rule)].filter(Boolean));
+    const knownRules = rules.map(rule => ({ id: rule.id, description: rule.description || null }));
+    ruleIds.forEach(id => {
+        if (!knownRules.some(rule => rule.id === id)) knownRules.push({ id, description: null });
+    });
+
+    return {
+        $schema: REPORT_SCHEMA_ID,
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        tool,
+        analysis: {
+            analyzedAt: context.timestamp,
+            analysisVersion: context.analysisVersion,
+            projectPath: context.projectPath,
+            since: context.scope?.since || null
+        },
+        summary: {
+            fileCount: context.summary.fileCount,
+            totalSize: context.summary.totalSize,
+            linesOfCode: context.summary.linesOfCode,
+            complexity: context.summary.complexity,
+            frameworks: context.summary.frameworks || [],
+            hasTests: Boolean(context.summary.hasTests),
+            findings: {
+                error: findings.filter(finding => finding.severity === 'error').length,
+                warning: findings.filter(finding => finding.severity === 'warning').length,
+                info: findings.filter(finding => finding.severity === 'info').length
+            },
+            tasks: {
+                pending: tasks.filter(task => task.status === 'pending').length,
+                completed: tasks.filter(task => task.status === 'completed').length,
+                resolved: tasks.filter(task => task.status === 'resolved').length
+            }
+        },
+        rules: knownRules,
+        files: Object.entries(context.files).map(([file, analysis]) => ({
+            path: toPosix(file),
+            linesOfCode: analysis.linesOfCode || 0,
+            complexity: analysis.complexity || 0,
+            hasTests: Boolean(analysis.hasTests),
+            commits: context.git?.files?.[file]?.commits || 0,
+            functions: (analysis.functions || []).map(fn => pick(fn, FUNCTION_FIELDS))
+        })),
+        dependencies: {
+            graph: context.dependencies.graph,
+            circular: context.dependencies.circular.map(group => ({ files: group.files, cycles: group.cycles })),
+            unresolved: context.dependencies.unresolved.map(entry => pick(entry, ['file', 'source', 'line', 'reason'])),
+            external: context.dependencies.external
+        },
+        findings,
+        tasks
+    };
+}
+
+module.exports = { REPORT_SCHEMA_VERSION, REPORT_SCHEMA_ID, createReport };
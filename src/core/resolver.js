@@ -0,0 +1,336 @@
+// src/core/resolver.js
+// Resolves import specifiers to files inside the analyzed project
+
+const fs = require('fs');
+const path = require('path');
+const { toPosix } = require('../utils/fileUtils');
+
+// Extensions probed for extensionless specifiers, in priority order
+const RESOLVE_EXTENSIONS = ['.js', '.ts', '.tsx', '.jsx', '.vue', '.mjs', '.cjs', '.svelte', '.astro', '.json'];
+
+// TypeScript ESM code imports './file.js' while the source on disk is './file.ts'
+const TS_EXTENSION_ALIASES = {
+    '.js': ['.ts', '.tsx'],
+    '.jsx': ['.tsx'],
+    '.mjs': ['.mts'],
+    '.cjs': ['.cts']
+};
+
+// Conditions honoured in package.json "exports"/"imports" maps
+const ACTIVE_CONDITIONS = new Set(['import', 'require', 'node', 'default']);
+
+// tsconfig/jsconfig files allow comments and trailing commas
+function readJsonWithComments(filePath) {
+    try {
+        const content = fs.readFileSync(filePath, 'utf8');
+        let stripped = '';
+        let inString = false;
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (inString) {
+                stripped += char;
+                if (char === '\\') {
+                    stripped += content[++i] || '';
+                } else if (char === '"') {
+                    inString = false;
+                }
+            } else if (char === '"') {
+                inString = true;
+                stripped += char;
+            } else if (char === '/' && content[i + 1] === '/') {
+                while (i < content.length && content[i] !== '\n') i++;
+                stripped += '\n';
+            } else if (char === '/' && content[i + 1] === '*') {
+                i = content.indexOf('*/', i + 2);
+                if (i === -1) break;
+                i++;
+            } else {
+                stripped += char;
+            }
+        }
+        return JSON.parse(stripped.replace(/,(\s*[}\]])/g, '$1'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function isRelativeSpecifier(specifier) {
+    return specifier === '.' || specifier === '..' ||
+        specifier.startsWith('./') || specifier.startsWith('../');
+}
+
+function splitPackageSpecifier(specifier) {
+    const parts = specifier.split('/');
+    const nameLength = specifier.startsWith('@') ? 2 : 1;
+    const name = parts.slice(0, nameLength).join('/');
+    const rest = parts.slice(nameLength).join('/');
+    return { name, subpath: rest ? `./${rest}` : '.' };
+}
+
+// Finds the entry of an "exports"/"imports"/"paths" style map matching `key`.
+// Exact keys win; otherwise the wildcard pattern with the longest prefix.
+function matchSubpathPattern(map, key) {
+    if (Object.prototype.hasOwnProperty.call(map, key) && !key.includes('*')) {
+        return { pattern: key, target: map[key], wildcard: null };
+    }
+
+    let best = null;
+    Object.keys(map).forEach(pattern => {
+        const starIndex = pattern.indexOf('*');
+        if (starIndex === -1) return;
+        const prefix = pattern.slice(0, starIndex);
+        const suffix = pattern.slice(starIndex + 1);
+        if (key.length >= prefix.length + suffix.length &&
+            key.startsWith(prefix) && key.endsWith(suffix) &&
+            (!best || prefix.length > best.prefixLength)) {
+            best = {
+                pattern,
+                target: map[pattern],
+                wildcard: key.slice(prefix.length, key.length - suffix.length),
+                prefixLength: prefix.length
+            };
+        }
+    });
+    return best;
+}
+
+// Flattens a conditional exports target into candidate strings, in priority order
+function expandConditionalTarget(target, wildcard) {
+    if (typeof target === 'string') {
+        return [wildcard === null ? target : target.split('*').join(wildcard)];
+    }
+    if (Array.isArray(target)) {
+        return target.flatMap(entry => expandConditionalTarget(entry, wildcard));
+    }
+    if (target && typeof target === 'object') {
+        const condition = Object.keys(target).find(key => ACTIVE_CONDITIONS.has(key));
+        return condition ? expandConditionalTarget(target[condition], wildcard) : [];
+    }
+    return [];
+}
+
+function createResolver(projectRoot, relativePaths) {
+    const knownFiles = new Set(relativePaths);
+    const diskCache = new Map();
+    const directoryConfigCache = new Map();
+    const packageJsonCache = new Map();
+
+    // Workspace packages (monorepos) and the project itself can be imported by name
+    const workspacePackages = new Map();
+    relativePaths
+        .filter(file => path.basename(file) === 'package.json')
+        .forEach(file => {
+            const json = readJsonWithComments(path.join(projectRoot, file));
+            if (json?.name) {
+                workspacePackages.set(json.name, { dir: path.dirname(file), json });
+            }
+        });
+
+    // Files the inventory leaves out, such as images, stylesheets, ignored files and
+    // unsupported extensions, still exist and satisfy an import
+    function existsOnDisk(candidate) {
+        if (!diskCache.has(candidate)) {
+            let isFile = false;
+            try {
+                isFile = fs.statSync(path.join(projectRoot, candidate)).isFile();
+            } catch (error) {
+                // Missing: the candidate does not match
+            }
+            diskCache.set(candidate, isFile);
+        }
+        return diskCache.get(candidate);
+    }
+
+    function probe(base) {
+        const candidates = [base];
+        const ext = path.extname(base);
+        (TS_EXTENSION_ALIASES[ext] || []).forEach(alias => {
+            candidates.push(base.slice(0, -ext.length) + alias);
+        });
+        RESOLVE_EXTENSIONS.forEach(extension => candidates.push(base + extension));
+        RESOLVE_EXTENSIONS.forEach(extension => candidates.push(path.join(base, `index${extension}`)));
+        return candidates.find(candidate => knownFiles.has(candidate)) ||
+            candidates.find(existsOnDisk) ||
+            null;
+    }
+
+    // Walks from `dir` up to the project root looking for the first file that `load` accepts
+    function findUpward(dir, cache, load) {
+        const visited = [];
+        let current = dir;
+        let result = null;
+        for (;;) {
+            if (cache.has(current)) {
+                result = cache.get(current);
+                break;
+            }
+            visited.push(current);
+            result = load(current);
+            if (result || current === '.' || current === '') break;
+            current = path.dirname(current);
+        }
+        visited.forEach(visitedDir => cache.set(visitedDir, result));
+        return result;
+    }
+
+    function loadCompilerOptions(configPath, seen = new Set()) {
+        if (seen.has(configPath)) return {};
+        seen.add(configPath);
+
+        const json = readJsonWithComments(path.join(projectRoot, configPath));
+        if (!json) return {};
+
+        const configDir = path.dirname(configPath);
+        let options = {};
+        const parents = Array.isArray(json.extends) ? json.extends : [json.extends].filter(Boolean);
+        parents.filter(isRelativeSpecifier).forEach(parent => {
+            let parentPath = path.join(configDir, parent);
+            if (!parentPath.endsWith('.json')) parentPath += '.json';
+            options = { ...options, ...loadCompilerOptions(parentPath, seen) };
+        });
+
+        const own = json.compilerOptions || {};
+        if (own.baseUrl !== undefined) {
+            options.baseUrl = path.join(configDir, own.baseUrl);
+        }
+        if (own.paths) {
+            options.paths = own.paths;
+            options.pathsBase = options.baseUrl !== undefined ? options.baseUrl : configDir;
+        }
+        return options;
+    }
+
+    function getCompilerOptions(importerDir) {
+        return findUpward(importerDir, directoryConfigCache, dir => {
+            for (const name of ['tsconfig.json', 'jsconfig.json']) {
+                const configPath = path.join(dir, name);
+                if (fs.existsSync(path.join(projectRoot, configPath))) {
+                    return loadCompilerOptions(configPath);
+                }
+            }
+            return null;
+        }) || {};
+    }
+
+    function getPackageJson(importerDir) {
+        return findUpward(importerDir, packageJsonCache, dir => {
+            const json = readJsonWithComments(path.join(projectRoot, dir, 'package.json'));
+            return json ? { dir, json } : null;
+        });
+    }
+
+    function resolvePackageTargets(pkgDir, targets) {
+        for (const target of targets) {
+            if (!isRelativeSpecifier(target)) continue;
+            const resolved = probe(path.join(pkgDir, target));
+            if (resolved) return resolved;
+        }
+        return null;
+    }
+
+    function resolveWorkspacePackage(specifier) {
+        const { name, subpath } = splitPackageSpecifier(specifier);
+        const pkg = workspacePackages.get(name);
+        if (!pkg) return null;
+
+        const { exports } = pkg.json;
+        if (exports !== undefined) {
+            const isSubpathMap = exports && typeof exports === 'object' && !Array.isArray(exports) &&
+                Object.keys(exports).some(key => key.startsWith('.'));
+            const map = isSubpathMap ? exports : { '.': exports };
+            const match = matchSubpathPattern(map, subpath);
+            const resolved = match &&
+                resolvePackageTargets(pkg.dir, expandConditionalTarget(match.target, match.wildcard));
+            return resolved
+                ? { resolved }
+                : { resolved: null, reason: `"${subpath}" is not exported by workspace package "${name}"` };
+        }
+
+        const entry = subpath === '.'
+            ? probe(path.join(pkg.dir, pkg.json.module || pkg.json.main || 'index'))
+            : probe(path.join(pkg.dir, subpath));
+        return entry
+            ? { resolved: entry }
+            : { resolved: null, reason: `Cannot find "${subpath}" in workspace package "${name}"` };
+    }
+
+    function resolvePackageImport(importerDir, specifier) {
+        const pkg = getPackageJson(importerDir);
+        const match = pkg?.json.imports && matchSubpathPattern(pkg.json.imports, specifier);
+        if (!match) {
+            return { resolved: null, reason: `No "imports" entry in package.json matches "${specifier}"` };
+        }
+
+        const targets = expandConditionalTarget(match.target, match.wildcard);
+        // "#dep": "some-package" maps onto an external dependency
+        if (targets.length && targets.every(target => !isRelativeSpecifier(target))) {
+            return { resolved: null, external: true };
+        }
+        const resolved = resolvePackageTargets(pkg.dir, targets);
+        return resolved
+            ? { resolved }
+            : { resolved: null, reason: `package.json "imports" entry "${match.pattern}" points to a missing file` };
+    }
+
+    function resolveAlias(importerDir, specifier) {
+        const options = getCompilerOptions(importerDir);
+
+        if (options.paths) {
+            const match = matchSubpathPattern(options.paths, specifier);
+            // A bare "*" mapping is a catch-all that usually falls through to node_modules
+            if (match && match.pattern !== '*') {
+                const targets = [].concat(match.target)
+                    .map(target => match.wildcard === null ? target : target.split('*').join(match.wildcard));
+                for (const target of targets) {
+                    const resolved = probe(path.join(options.pathsBase, target));
+                    if (resolved) return { resolved };
+                }
+                return { resolved: null, reason: `Path alias "${match.pattern}" does not match an existing file` };
+            }
+        }
+
+        if (options.baseUrl !== undefined) {
+            const resolved = probe(path.join(options.baseUrl, specifier));
+            if (resolved) return { resolved };
+        }
+        return null;
+    }
+
+    function resolveSpecifier(importer, specifier) {
+        const importerDir = path.dirname(importer);
+
+        if (isRelativeSpecifier(specifier)) {
+            const resolved = probe(path.join(importerDir, specifier));
+            return resolved
+                ? { resolved }
+                : { resolved: null, reason: 'File not found' };
+        }
+
+        if (specifier.startsWith('#')) {
+            return resolvePackageImport(importerDir, specifier);
+        }
+
+        const aliased = resolveAlias(importerDir, specifier);
+        if (aliased) return aliased;
+
+        const workspace = resolveWorkspacePackage(specifier);
+        if (workspace) return workspace;
+
+        return { resolved: null, external: true };
+    }
+
+    // Returns { resolved } for analyzed project files, { external: true } for packages
+    // and builtins, { resolved: null, existing } for files that exist but are not
+    // analyzed, or { resolved: null, reason } for imports that point nowhere.
+    function resolve(importer, specifier) {
+        const result = resolveSpecifier(importer, specifier);
+        if (result.resolved && !knownFiles.has(result.resolved)) {
+            return { resolved: null, existing: toPosix(result.resolved) };
+        }
+        return result;
+    }
+
+    return { resolve };
+}
+
+module.exports = { createResolver, isRelativeSpecifier, splitPackageSpecifier };
@@ -0,0 +1,175 @@
+// src/core/rules.js
+// Loading and running of rules: the built-in checks and plugins listed in the configuration.
+//
+// A rule is an object `{ id, description, run(context, options) }`. `run` receives the
+// analysis results (files, dependencies, deadCode, git, summary, config) plus helpers
+// (inScope, readSource, getAst, createTaskKey) and synchronously returns
+// `{ findings: [{ file, line, message, severity }], tasks: [taskDefinition] }`.
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const BUILTIN_RULES = require('../rules');
+const { ConfigError } = require('./config');
+const { createTaskKey } = require('./backlog');
+const { parseSource, extractScriptContent } = require('../utils/astUtils');
+
+// The `tasks.generate*` switches turn off the matching built-in rule
+const BUILTIN_RULE_TOGGLES = {
+    'security': 'generateSecurity',
+    'testing-setup': 'generateTesting',
+    'complexity': 'generateRefactoring',
+    'broken-imports': 'generateBrokenImports',
+    'circular-dependency': 'generateCircularDependencies',
+    'dependencies': 'generateDependencyCleanup',
+    'dead-code': 'generateDeadCode',
+    'duplicate-code': 'generateDuplicateCode',
+    'documentation': 'generateDocumentation'
+};
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+function validateRule(rule, origin) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id || typeof rule.run !== 'function') {
+        throw new ConfigError(`Invalid rule in plugin "${origin}": a rule needs a string "id" and a "run(context, options)" function`);
+    }
+    return { ...rule, origin };
+}
+
+// A plugin is a local file or an npm package exporting one rule, an array of rules or `{ rules }`
+function loadPlugin(specifier, projectPath) {
+    let modulePath;
+    try {
+        modulePath = require.resolve(specifier, { paths: [projectPath, __dirname] });
+    } catch (error) {
+        throw new ConfigError(`Cannot find rule plugin "${specifier}"`);
+    }
+
+    let exported;
+    try {
+        exported = require(modulePath);
+    } catch (error) {
+        throw new ConfigError(`Cannot load rule plugin "${specifier}": ${error.message}`);
+    }
+
+    const rules = Array.isArray(exported) ? exported
+        : Array.isArray(exported?.rules) ? exported.rules
+        : [exported];
+    return rules.map(rule => validateRule(rule, specifier));
+}
+
+function isRuleEnabled(rule, config) {
+    const toggle = BUILTIN_RULE_TOGGLES[rule.id];
+    if (toggle && config.tasks[toggle] === false) return false;
+    return config.rules[rule.id] !== false;
+}
+
+// Built-in rules first, then plugin rules. A plugin rule with the id of an
+// existing rule replaces it in place.
+function loadRules(config, projectPath) {
+    const rules = BUILTIN_RULES.map(rule => ({ ...rule, origin: 'built-in' }));
+
+    config.plugins.forEach(specifier => {
+        loadPlugin(specifier, projectPath).forEach(rule => {
+            const index = rules.findIndex(existing => existing.id === rule.id);
+            if (index === -1) {
+                rules.push(rule);
+            } else {
+                rules[index] = rule;
+            }
+        });
+    });
+
+    return rules.filter(rule => isRuleEnabled(rule, config));
+}
+
+function normalizeFinding(rule, finding) {
+    return {
+        ...finding,
+        rule: rule.id,
+        message: String(finding.message),
+        severity: SEVERITIES.includes(finding.severity) ? finding.severity : 'warning'
+    };
+}
+
+function normalizeTask(rule, task) {
+    if (!task || typeof task.title !== 'string' || typeof task.prompt !== 'string') {
+        console.log(chalk.yellow(`⚠️  Rule "${rule.id}" returned a task without a title or prompt; skipping it`));
+        return null;
+    }
+
+    const { key, title, priority, description, estimatedEffort, tags, sourceFiles, prompt, ...extra } = task;
+    return {
+        key: key || createTaskKey(rule.id, [title, ...(sourceFiles || [])]),
+        rule: rule.id,
+        title,
+        priority: priority || 'medium',
+        status: 'pending',
+        description: description || title,
+        estimatedEffort: estimatedEffort || 'medium',
+        tags: tags || [rule.id],
+        sourceFiles: sourceFiles || [],
+        ...extra,
+        prompt
+    };
+}
+
+// The context every rule receives: the machine context plus helpers
+function createRuleContext(context) {
+    const changedFiles = context.scope ? new Set(context.scope.changedFiles) : null;
+    const astCache = new Map();
+    const readSource = file => fs.readFileSync(path.join(context.projectPath, file), 'utf8');
+
+    return {
+        ...context,
+        // With --since, only findings in changed files should turn into tasks
+        inScope: file => !changedFiles || changedFiles.has(file),
+        readSource,
+        getAst(file) {
+            if (!astCache.has(file)) {
+                let ast = null;
+                try {
+                    ast = parseSource(extractScriptContent(readSource(file), file));
+                } catch (error) {
+                    // Unreadable or unparsable files have no AST
+                }
+                astCache.set(file, ast);
+            }
+            return astCache.get(file);
+        },
+        createTaskKey
+    };
+}
+
+function runRules(rules, context) {
+    const ruleContext = createRuleContext(context);
+    const findings = [];
+    const tasks = [];
+
+    rules.forEach(rule => {
+        const setting = context.config.rules[rule.id];
+        const options = setting && typeof setting === 'object' ? setting : {};
+
+        let result;
+        try {
+            result = rule.run(ruleContext, options) || {};
+        } catch (error) {
+            console.log(chalk.yellow(`⚠️  Rule "${rule.id}" failed: ${error.message}`));
+            return;
+        }
+        if (typeof result.then === 'function') {
+            console.log(chalk.yellow(`⚠️  Rule "${rule.id}" returned a promise; rules must return their results synchronously`));
+            return;
+        }
+
+        (result.findings || []).forEach(finding => findings.push(normalizeFinding(rule, finding)));
+        (result.tasks || []).forEach(task => {
+            const normalized = normalizeTask(rule, task);
+            if (normalized) tasks.push(normalized);
+        });
+    });
+
+    return { findings, tasks };
+}
+
+module.exports = { loadRules, runRules };
@@ -0,0 +1,320 @@
+// src/core/security.js
+// Offline security smell detection: dangerous calls found in the AST of each script, and
+// hard-coded secrets found in its text by known token formats and by entropy. Secret
+// values are never stored; findings only say where a secret is, and prompts show the
+// source with every secret replaced by a placeholder.
+
+const { walk } = require('../utils/astUtils');
+
+const SMELL_TYPES = {
+    'eval': { label: 'Dynamic code execution', severity: 'error' },
+    'command-injection': { label: 'Shell command built from input', severity: 'error' },
+    'sql-injection': { label: 'SQL built by string concatenation', severity: 'error' },
+    'html-injection': { label: 'Unescaped HTML insertion', severity: 'warning' },
+    'weak-crypto': { label: 'Weak cryptography', severity: 'warning' },
+    'hardcoded-secret': { label: 'Hard-coded secret', severity: 'error' }
+};
+
+// What the task prompt asks for, per smell type
+const REMEDIATIONS = {
+    'eval': 'Replace `eval`/`new Function` with explicit logic, a lookup table or `JSON.parse`; never run strings that can contain input.',
+    'command-injection': 'Use `execFile`/`spawn` with an argument array instead of a shell command string, and validate every argument.',
+    'sql-injection': 'Use parameterized queries or the query builder\'s placeholders instead of concatenating values into SQL.',
+    'html-injection': 'Use `textContent` or framework rendering instead of raw HTML, or sanitize the HTML with a vetted library first.',
+    'weak-crypto': 'Use SHA-256 or better for hashes and an authenticated cipher such as AES-GCM; keep MD5/SHA-1 only for non-security checksums.',
+    'hardcoded-secret': 'Move the secret to an environment variable or secret store, and rotate it: it is in the repository history.'
+};
+
+const CHILD_PROCESS_MODULES = new Set(['child_process', 'node:child_process']);
+const SHELL_FUNCTIONS = new Set(['exec', 'execSync']);
+const HTML_PROPERTIES = new Set(['innerHTML', 'outerHTML']);
+// Functions such as escapeHtml, sanitize or DOMPurify.sanitize
+const SANITIZER_PATTERN = /escape|saniti[sz]e|purify|encode/i;
+const WEAK_HASHES = new Set(['md2', 'md4', 'md5', 'sha1', 'sha-1']);
+const WEAK_CIPHERS = /^(des|des3|des-ede3?|rc2|rc4|bf|blowfish)(-|$)|-ecb$/i;
+const SQL_PATTERN = /\b(select\s[\s\S]*\bfrom|insert\s+into|update\s+\S+\s+set|delete\s+from)\b/i;
+
+const SECRET_PATTERNS = [
+    { kind: 'private key', pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z]+ )*PRIVATE KEY-----/g },
+    { kind: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { kind: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g },
+    { kind: 'Slack token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+    { kind: 'Stripe key', pattern: /\b[rs]k_live_[A-Za-z0-9]{16,}\b/g },
+    { kind: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { kind: 'API key', pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{32,}\b/g },
+    { kind: 'JSON web token', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g }
+];
+// A quoted value assigned to a name that sounds like a credential
+const SECRET_ASSIGNMENT = /([A-Za-z0-9_$]*(?:password|passwd|pwd|secret|token|api[_-]?key|apikey|access[_-]?key|private[_-]?key|auth[_-]?key|credentials?)[A-Za-z0-9_$]*)["']?\s*[:=]\s*(["'`])([^"'`\s]{8,})\2/gi;
+// Names of the environment variables that hold a secret, such as `OPENAI_API_KEY`
+const ENV_NAME_PATTERN = /^[A-Z][A-Z0-9]*(_[A-Z0-9]+)+$/;
+const MIN_SECRET_ENTROPY = 3.5;
+const PLACEHOLDER_PATTERN = /^(x+|\*+|\.+)$|change.?me|your[_-]|example|placeholder|dummy|test|\$\{|<[^>]*>|process\.env/i;
+
+// Bits per character; random keys score well above words and identifiers
+function getEntropy(text) {
+    const counts = {};
+    for (const char of text) counts[char] = (counts[char] || 0) + 1;
+    return Object.values(counts).reduce((sum, count) => {
+        const share = count / text.length;
+        return sum - share * Math.log2(share);
+    }, 0);
+}
+
+function getLine(text, index) {
+    let line = 1;
+    for (let i = 0; i < index; i++) {
+        if (text.charCodeAt(i) === 10) line++;
+    }
+    return line;
+}
+
+// `[{ kind, start, end }]` of the secret values in a text, without overlaps
+function findSecretRanges(text) {
+    const ranges = [];
+    SECRET_PATTERNS.forEach(({ kind, pattern }) => {
+        for (const match of text.matchAll(pattern)) {
+            ranges.push({ kind, start: match.index, end: match.index + match[0].length });
+        }
+    });
+    for (const match of text.matchAll(SECRET_ASSIGNMENT)) {
+        const value = match[3];
+        if (PLACEHOLDER_PATTERN.test(value) || ENV_NAME_PATTERN.test(value) || getEntropy(value) < MIN_SECRET_ENTROPY) continue;
+        const start = match.index + match[0].lastIndexOf(value);
+        ranges.push({ kind: `value of \`${match[1]}\``, start, end: start + value.length });
+    }
+
+    return ranges
+        .sort((a, b) => a.start - b.start)
+        .filter((range, index, sorted) => index === 0 || range.start >= sorted[index - 1].end);
+}
+
+// The text with every secret replaced by a placeholder; line breaks are kept so line
+// numbers still match the original
+function redactSecrets(text) {
+    const ranges = findSecretRanges(text);
+    if (ranges.length === 0) return text;
+    let result = '';
+    let last = 0;
+    ranges.forEach(range => {
+        const lineBreaks = text.slice(range.start, range.end).replace(/[^\n]/g, '');
+        result += `${text.slice(last, range.start)}[REDACTED ${range.kind.replace(/`/g, '')}]${lineBreaks}`;
+        last = range.end;
+    });
+    return result + text.slice(last);
+}
+
+function getStaticText(node) {
+    if (node.type === 'StringLiteral') return node.value;
+    if (node.type === 'TemplateLiteral') return node.quasis.map(quasi => quasi.value.cooked || '').join(' ');
+    if (node.type === 'BinaryExpression' && node.operator === '+') return `${getStaticText(node.left)} ${getStaticText(node.right)}`;
+    return '';
+}
+
+// A string assembled at runtime: concatenation or a template literal with placeholders
+// that includes at least one value which is not a literal
+function isDynamicString(node) {
+    if (node.type === 'TemplateLiteral') return node.expressions.length > 0;
+    if (node.type !== 'BinaryExpression' || node.operator !== '+') return false;
+    const isLiteral = part => part.type === 'StringLiteral' || part.type === 'NumericLiteral' ||
+        (part.type === 'TemplateLiteral' && part.expressions.length === 0) ||
+        (part.type === 'BinaryExpression' && part.operator === '+' && isLiteral(part.left) && isLiteral(part.right));
+    return !isLiteral(node);
+}
+
+function isChildProcessSource(node) {
+    return node?.type === 'StringLiteral' && CHILD_PROCESS_MODULES.has(node.value);
+}
+
+function isChildProcessRequire(node) {
+    return node?.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+        node.callee.name === 'require' && isChildProcessSource(node.arguments[0]);
+}
+
+// Local names bound to the child_process module and to its exec functions
+function findChildProcessBindings(ast) {
+    const modules = new Set();
+    const functions = new Set();
+    walk(ast, {
+        enter(node) {
+            if (node.type === 'ImportDeclaration' && isChildProcessSource(node.source)) {
+                node.specifiers.forEach(specifier => {
+                    if (specifier.type === 'ImportSpecifier') {
+                        if (SHELL_FUNCTIONS.has(specifier.imported.name || specifier.imported.value)) functions.add(specifier.local.name);
+                    } else {
+                        modules.add(specifier.local.name);
+                    }
+                });
+            }
+            if (node.type === 'VariableDeclarator' && isChildProcessRequire(node.init)) {
+                if (node.id.type === 'Identifier') modules.add(node.id.name);
+                if (node.id.type === 'ObjectPattern') {
+                    node.id.properties
+                        .filter(property => property.type === 'ObjectProperty' && SHELL_FUNCTIONS.has(property.key.name))
+                        .forEach(property => functions.add(property.value.name));
+                }
+            }
+        }
+    });
+    return { modules, functions };
+}
+
+function getPropertyName(member) {
+    if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+    return member.property.type === 'StringLiteral' ? member.property.value : null;
+}
+
+function getCalleeName(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    return callee.type === 'MemberExpression' ? getPropertyName(callee) : null;
+}
+
+function isSanitizerCall(node) {
+    return node.type === 'CallExpression' && SANITIZER_PATTERN.test(getCalleeName(node.callee) || '');
+}
+
+// The file's functions and variables by name, so escaping done by a helper can be found
+function collectDefinitions(ast) {
+    const definitions = new Map();
+    const add = (name, node) => {
+        if (!definitions.has(name)) definitions.set(name, []);
+        definitions.get(name).push(node);
+    };
+    walk(ast, {
+        enter(node) {
+            if (node.type === 'FunctionDeclaration' && node.id) add(node.id.name, node.body);
+            if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) add(node.id.name, node.init);
+        }
+    });
+    return definitions;
+}
+
+// Whether an expression, or a function or variable of the file it uses, calls a sanitizer
+function usesSanitizer(node, definitions, seen = new Set()) {
+    let found = false;
+    walk(node, {
+        enter(child) {
+            if (found) return false;
+            if (isSanitizerCall(child)) {
+                found = true;
+                return false;
+            }
+            if (child.type === 'Identifier' && definitions.has(child.name) && !seen.has(child.name)) {
+                seen.add(child.name);
+                found = definitions.get(child.name).some(definition => usesSanitizer(definition, definitions, seen));
+            }
+            return true;
+        }
+    });
+    return found;
+}
+
+// HTML that is not a constant: skipped when it is sanitized as a whole, and only info when it
+// is built from values some of which are escaped, as the author evidently took care
+function checkHtml(node, html, description, getDefinitions, report) {
+    if (html.type === 'StringLiteral' || (html.type === 'TemplateLiteral' && html.expressions.length === 0) || isSanitizerCall(html)) return;
+    if (usesSanitizer(html, getDefinitions())) {
+        report('html-injection', node, `${description} HTML built with escaped values; check that every value is escaped`, 'info');
+    } else {
+        report('html-injection', node, `${description} HTML that is not a constant`);
+    }
+}
+
+function isShellCall(callee, bindings) {
+    if (callee.type === 'Identifier') return bindings.functions.has(callee.name);
+    if (callee.type !== 'MemberExpression' || !SHELL_FUNCTIONS.has(getPropertyName(callee))) return false;
+    return (callee.object.type === 'Identifier' && bindings.modules.has(callee.object.name)) || isChildProcessRequire(callee.object);
+}
+
+function checkCall(node, bindings, getDefinitions, report) {
+    const { callee } = node;
+    const [firstArgument] = node.arguments;
+    const calleeName = getCalleeName(callee);
+
+    if (calleeName === 'eval' && (callee.type === 'Identifier' || ['window', 'global', 'globalThis'].includes(callee.object?.name))) {
+        report('eval', node, '`eval` runs a string as code');
+    } else if (callee.type === 'Identifier' && callee.name === 'Function') {
+        report('eval', node, '`Function(...)` runs a string as code');
+    } else if (isShellCall(callee, bindings) && firstArgument && isDynamicString(firstArgument)) {
+        report('command-injection', node, `\`${calleeName}\` runs a shell command built from other values`);
+    } else if (calleeName === 'insertAdjacentHTML' && node.arguments[1]) {
+        checkHtml(node, node.arguments[1], '`insertAdjacentHTML` inserts', getDefinitions, report);
+    } else if (calleeName === 'createHash' && firstArgument?.type === 'StringLiteral' && WEAK_HASHES.has(firstArgument.value.toLowerCase())) {
+        const severity = firstArgument.value.toLowerCase().startsWith('sha') ? 'info' : undefined;
+        report('weak-crypto', node, `\`createHash('${firstArgument.value}')\` uses a hash algorithm with known collisions`, severity);
+    } else if (calleeName === 'createCipher' || calleeName === 'createDecipher') {
+        report('weak-crypto', node, `\`${calleeName}\` derives keys insecurely and is deprecated; use \`${calleeName}iv\``);
+    } else if (/^create(De)?cipheriv$/.test(calleeName || '') && firstArgument?.type === 'StringLiteral' && WEAK_CIPHERS.test(firstArgument.value)) {
+        report('weak-crypto', node, `\`${firstArgument.value}\` is a weak cipher or mode`);
+    }
+}
+
+// Smells found in a parsed script: `[{ type, severity, line, message }]`. `content` is the
+// script's text, which is also searched for secrets when it could not be parsed (`ast` null).
+function findSecuritySmells(ast, content) {
+    const smells = [];
+    const report = (type, node, message, severity) => smells.push({
+        type,
+        severity: severity || SMELL_TYPES[type].severity,
+        line: node.loc?.start.line || null,
+        message
+    });
+
+    if (ast) {
+        const bindings = findChildProcessBindings(ast);
+        let definitions = null;
+        const getDefinitions = () => definitions || (definitions = collectDefinitions(ast));
+        walk(ast, {
+            enter(node, parent) {
+                if (node.type === 'CallExpression') checkCall(node, bindings, getDefinitions, report);
+                if (node.type === 'NewExpression' && node.callee.type === 'Identifier' && node.callee.name === 'Function') {
+                    report('eval', node, '`new Function(...)` runs a string as code');
+                }
+                if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+                    HTML_PROPERTIES.has(getPropertyName(node.left))) {
+                    checkHtml(node, node.right, `Assigning to \`${getPropertyName(node.left)}\` inserts`, getDefinitions, report);
+                }
+                if (node.type === 'JSXAttribute' && node.name.name === 'dangerouslySetInnerHTML') {
+                    report('html-injection', node, '`dangerouslySetInnerHTML` inserts raw HTML');
+                }
+                // Only the outermost part of a concatenation, and not tagged templates such as sql`...`
+                const insideConcatenation = parent?.type === 'BinaryExpression' && parent.operator === '+';
+                if (!insideConcatenation && parent?.type !== 'TaggedTemplateExpression' &&
+                    isDynamicString(node) && SQL_PATTERN.test(getStaticText(node))) {
+                    report('sql-injection', node, 'SQL query built by inserting values into the query string');
+                }
+            }
+        });
+    }
+
+    smells.push(...findSecrets(content));
+    return smells.sort((a, b) => (a.line || 0) - (b.line || 0));
+}
+
+// Hard-coded secrets in any text, such as a configuration or .env file, as smells
+function findSecrets(content) {
+    return findSecretRanges(content).map(range => ({
+        type: 'hardcoded-secret',
+        severity: SMELL_TYPES['hardcoded-secret'].severity,
+        line: getLine(content, range.start),
+        message: `Hard-coded ${range.kind}`
+    }));
+}
+
+// Every file's smells as findings, most severe first. `dataFiles` holds the secrets found in
+// files that are not scripts, in the same `{ [file]: { security } }` shape.
+function collectSecurityFindings(fileAnalysis, dataFiles = {}) {
+    const order = ['error', 'warning', 'info'];
+    return Object.entries({ ...fileAnalysis, ...dataFiles })
+        .flatMap(([file, analysis]) => (analysis.security || []).map(smell => ({ file, ...smell })))
+        .sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity) || a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+}
+
+module.exports = {
+    SMELL_TYPES,
+    REMEDIATIONS,
+    findSecuritySmells,
+    findSecrets,
+    collectSecurityFindings,
+    redactSecrets
+};
@@ -0,0 +1,156 @@
+// src/core/templates.js
+// Mustache-style prompt templates: rendering, and choosing the template for each task
+//
+// Supported syntax: {{name}} and {{dotted.name}} (also {{{name}}} and {{&name}}; nothing is
+// escaped because prompts are Markdown), {{#section}}...{{/section}} for lists and
+// conditionals, {{^section}}...{{/section}} for "empty or false", {{.}} and {{! comments }}.
+// Section and comment tags on a line of their own do not leave an empty line behind.
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./config');
+
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+// Templates picked up from the analyzed project without any configuration
+const PROJECT_TEMPLATES_DIR = path.join('.airefactor', 'templates');
+
+const TAG_PATTERN = /\{\{(\{?)\s*([#^/!&]?)\s*([\s\S]*?)\s*\}?\}\}/g;
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{\{[#^/!][^}]*\}\})[ \t]*(?:\r?\n|$)/gm;
+
+function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
+    const source = template.replace(STANDALONE_TAG_PATTERN, '$1');
+    let position = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+        const [tag, , type, name] = match;
+        const current = stack[stack.length - 1];
+        if (match.index > position) {
+            current.children.push({ type: 'text', value: source.slice(position, match.index) });
+        }
+        position = match.index + tag.length;
+
+        if (type === '!') continue;
+        if (type === '#' || type === '^') {
+            const section = { type: type === '#' ? 'section' : 'inverted', name, children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (type === '/') {
+            if (stack.length === 1 || current.name !== name) {
+                throw new Error(`Unexpected {{/${name}}}${stack.length > 1 ? `, expected {{/${current.name}}}` : ''}`);
+            }
+            stack.pop();
+        } else {
+            current.children.push({ type: 'variable', name });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+    }
+    if (position < source.length) {
+        root.children.push({ type: 'text', value: source.slice(position) });
+    }
+    return root.children;
+}
+
+// Looks a dotted name up in the innermost context that has its first segment
+function lookup(contexts, name) {
+    if (name === '.') return contexts[contexts.length - 1];
+
+    const [first, ...rest] = name.split('.');
+    for (let i = contexts.length - 1; i >= 0; i--) {
+        const context = contexts[i];
+        if (context !== null && typeof context === 'object' && first in context) {
+            return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[first]);
+        }
+    }
+    return undefined;
+}
+
+function isEmpty(value) {
+    return !value || (Array.isArray(value) && value.length === 0);
+}
+
+function renderNodes(nodes, contexts) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+
+        const value = lookup(contexts, node.name);
+        if (node.type === 'variable') return value == null ? '' : String(value);
+        if (node.type === 'inverted') return isEmpty(value) ? renderNodes(node.children, contexts) : '';
+
+        if (isEmpty(value)) return '';
+        if (Array.isArray(value)) {
+            return value.map(item => renderNodes(node.children, [...contexts, item])).join('');
+        }
+        return renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts);
+    }).join('');
+}
+
+function renderTemplate(template, view) {
+    const nodes = typeof template === 'string' ? parseTemplate(template) : template.nodes;
+    return renderNodes(nodes, [view]);
+}
+
+function readTemplate(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new ConfigError(`Cannot read prompt template ${filePath}: ${error.message}`);
+    }
+    try {
+        return { file: filePath, nodes: parseTemplate(content) };
+    } catch (error) {
+        throw new ConfigError(`Invalid prompt template ${filePath}: ${error.message}`);
+    }
+}
+
+function readProjectTemplate(projectPath, fileName) {
+    const filePath = path.join(projectPath, PROJECT_TEMPLATES_DIR, fileName);
+    return fs.existsSync(filePath) ? readTemplate(filePath) : null;
+}
+
+// Collects every template a run can use, so broken templates are reported before any prompt
+// is written. Configured templates win over the project's .airefactor/templates directory,
+// which wins over the built-in ones.
+function loadPromptTemplates(config, projectPath) {
+    const configured = config.templates;
+    const projectTagTemplates = {};
+    const projectDir = path.join(projectPath, PROJECT_TEMPLATES_DIR);
+    if (fs.existsSync(projectDir)) {
+        fs.readdirSync(projectDir)
+            .map(file => /^task\.(.+)\.md$/.exec(file))
+            .filter(Boolean)
+            .forEach(([file, tag]) => {
+                projectTagTemplates[tag] = readTemplate(path.join(projectDir, file));
+            });
+    }
+
+    return {
+        task: configured.task ? readTemplate(configured.task)
+            : readProjectTemplate(projectPath, 'task.md') || readTemplate(path.join(BUILTIN_TEMPLATES_DIR, 'task.md')),
+        master: configured.master ? readTemplate(configured.master)
+            : readProjectTemplate(projectPath, 'master.md') || readTemplate(path.join(BUILTIN_TEMPLATES_DIR, 'master.md')),
+        tags: {
+            ...projectTagTemplates,
+            ...Object.fromEntries(Object.entries(configured.tags).map(([tag, file]) => [tag, readTemplate(file)]))
+        }
+    };
+}
+
+// The first of the task's tags that has its own template decides; otherwise the task template
+function selectTaskTemplate(templates, task) {
+    const tag = (task.tags || []).find(candidate => templates.tags[candidate]);
+    return tag ? templates.tags[tag] : templates.task;
+}
+
+module.exports = {
+    renderTemplate,
+    loadPromptTemplates,
+    selectTaskTemplate
+};
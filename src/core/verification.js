@@ -0,0 +1,62 @@
+// src/core/verification.js
+// Checking a task before it is completed: metrics of its files before and after the work,
+// and whether the rule that created it still reports the problem
+
+const { isComplexFunction, getFunctionThresholds, collectFunctions } = require('./metrics');
+
+// What `complete --verify` compares; lower is better for all of them
+const VERIFICATION_METRICS = [
+    { key: 'findings', label: 'Findings' },
+    { key: 'complexFunctions', label: 'Complex Functions' },
+    { key: 'maxCyclomaticComplexity', label: 'Max Cyclomatic Complexity' },
+    { key: 'maxCognitiveComplexity', label: 'Max Cognitive Complexity' },
+    { key: 'complexity', label: 'Complexity' },
+    { key: 'linesOfCode', label: 'Lines of Code' }
+];
+
+// The files a task is about: its source files plus the files of the functions and cycles it names
+function getTaskFiles(task) {
+    return [...new Set([
+        ...(task.sourceFiles || []),
+        ...(task.functions || []).map(fn => fn.file),
+        ...(task.cycles || []).flat()
+    ])];
+}
+
+// The rule's findings in the task's files; findings without a file concern the whole project.
+// A codemod task only counts the findings of its own codemods.
+function getTaskFindings(task, findings) {
+    const files = new Set(getTaskFiles(task));
+    return (findings || []).filter(finding => finding.rule === task.rule &&
+        (!finding.file || files.has(finding.file)) &&
+        (!task.codemods || task.codemods.includes(finding.codemod)));
+}
+
+// Size and complexity of the task's files in an analysis context
+function measureTask(task, context) {
+    const files = getTaskFiles(task).filter(file => context.files[file]);
+    const analyses = Object.fromEntries(files.map(file => [file, context.files[file]]));
+    const functions = collectFunctions(analyses);
+    const thresholds = getFunctionThresholds(context.config);
+
+    return {
+        findings: getTaskFindings(task, context.findings).length,
+        complexFunctions: functions.filter(fn => isComplexFunction(fn, thresholds)).length,
+        maxCyclomaticComplexity: Math.max(0, ...functions.map(fn => fn.cyclomaticComplexity || 0)),
+        maxCognitiveComplexity: Math.max(0, ...functions.map(fn => fn.cognitiveComplexity || 0)),
+        complexity: files.reduce((sum, file) => sum + (analyses[file].complexity || 0), 0),
+        linesOfCode: files.reduce((sum, file) => sum + (analyses[file].linesOfCode || 0), 0)
+    };
+}
+
+// The tasks of a fresh rule run that still describe this task's problem: the same task, or
+// one about the same files that no other backlog task accounts for, such as a plugin task
+// whose default key includes its title.
+function findRemainingTasks(task, freshTasks, backlog) {
+    const files = new Set(getTaskFiles(task));
+    const otherKeys = new Set(backlog.tasks.filter(other => other !== task).map(other => other.key));
+    return freshTasks.filter(fresh => fresh.key === task.key ||
+        (!otherKeys.has(fresh.key) && getTaskFiles(fresh).some(file => files.has(file))));
+}
+
+module.exports = { VERIFICATION_METRICS, getTaskFiles, getTaskFindings, measureTask, findRemainingTasks };
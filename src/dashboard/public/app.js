@@ -0,0 +1,453 @@
+// Dashboard page: renders /api/data and renders again whenever the server reports that
+// the analysis files changed
+
+const state = {
+    data: null,
+    fileSort: { key: 'hotspot', direction: 'desc' },
+    selectedFile: null,
+    positions: new Map(),
+    viewBox: null
+};
+
+const STATUS_COLUMNS = [
+    { status: 'pending', title: 'Pending' },
+    { status: 'completed', title: 'Completed' },
+    { status: 'resolved', title: 'Resolved' }
+];
+
+function $(selector) {
+    return document.querySelector(selector);
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+function showToast(message, isError = false) {
+    const toast = $('#toast');
+    toast.textContent = message;
+    toast.className = isError ? 'error' : '';
+    toast.hidden = false;
+    clearTimeout(showToast.timer);
+    showToast.timer = setTimeout(() => { toast.hidden = true; }, isError ? 8000 : 4000);
+}
+
+async function fetchJson(url, options) {
+    const response = await fetch(url, options);
+    const body = await response.json();
+    if (!response.ok && response.status !== 409) throw new Error(body.error || response.statusText);
+    return body;
+}
+
+// --- SUMMARY ---
+function inlineMarkdown(text) {
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+}
+
+// Enough Markdown for analysis_summary.md: headings, lists and paragraphs
+function renderMarkdown(markdown) {
+    const html = [];
+    let inList = false;
+    markdown.split('\n').forEach(line => {
+        const heading = /^(#{1,4})\s+(.*)$/.exec(line);
+        const item = /^\s*(?:[-*]|\d+\.)\s+(.*)$/.exec(line);
+        if (!item && inList) {
+            html.push('</ul>');
+            inList = false;
+        }
+        if (heading) {
+            html.push(`<h${heading[1].length + 1}>${inlineMarkdown(heading[2])}</h${heading[1].length + 1}>`);
+        } else if (item) {
+            if (!inList) html.push('<ul>');
+            inList = true;
+            html.push(`<li>${inlineMarkdown(item[1])}</li>`);
+        } else if (line.trim()) {
+            html.push(`<p>${inlineMarkdown(line)}</p>`);
+        }
+    });
+    if (inList) html.push('</ul>');
+    return html.join('\n');
+}
+
+function renderSummary() {
+    const { project, tasks } = state.data;
+    const countStatus = status => tasks.filter(task => task.status === status).length;
+    const cards = [
+        ['Files', project.fileCount],
+        ['Lines of Code', project.linesOfCode],
+        ['Complexity', project.complexity],
+        ['Findings', project.findings],
+        ['Pending Tasks', countStatus('pending')],
+        ['Completed Tasks', countStatus('completed')],
+        ['Frameworks', (project.frameworks || []).join(', ') || 'None'],
+        ['Tests', project.hasTests ? 'Yes' : 'No']
+    ];
+    $('#cards').innerHTML = cards
+        .map(([label, value]) => `<div class="card"><strong>${escapeHtml(value)}</strong><span>${escapeHtml(label)}</span></div>`)
+        .join('');
+    $('#summary-text').innerHTML = renderMarkdown(state.data.summary || 'No summary found.');
+}
+
+// --- FILES ---
+function renderFiles() {
+    const filter = $('#file-filter').value.toLowerCase();
+    const { key, direction } = state.fileSort;
+    const files = state.data.files
+        .filter(file => file.file.toLowerCase().includes(filter))
+        .sort((a, b) => {
+            const order = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+            return direction === 'asc' ? order : -order;
+        });
+
+    document.querySelectorAll('#file-table th').forEach(th => {
+        th.className = `${th.dataset.key === 'file' ? '' : 'number'} ${th.dataset.key === key ? `sorted-${direction}` : ''}`;
+    });
+    $('#file-table tbody').innerHTML = files.map(file => `<tr>
+        <td>${escapeHtml(file.file)}</td>
+        <td class="number">${file.linesOfCode}</td>
+        <td class="number">${file.complexity}</td>
+        <td class="number">${file.functions}</td>
+        <td class="number">${file.maxFunctionComplexity}</td>
+        <td class="number">${state.data.gitAvailable ? file.commits : '-'}</td>
+        <td class="number">${state.data.gitAvailable ? file.authors : '-'}</td>
+        <td class="number ${file.hotspot >= 50 ? 'hot' : ''}">${state.data.gitAvailable ? file.hotspot : '-'}</td>
+    </tr>`).join('');
+    $('#file-count').textContent = `${files.length} of ${state.data.files.length} files`;
+}
+
+// --- DEPENDENCIES ---
+function getGraphModel() {
+    const { graph, circular } = state.data.dependencies;
+    const nodes = [...new Set([...Object.keys(graph), ...Object.values(graph).flat()])];
+    const edges = Object.entries(graph).flatMap(([from, targets]) => targets.map(to => ({ from, to })));
+    const cycleGroups = circular.map(group => new Set(group.files));
+    const inCycle = new Set(circular.flatMap(group => group.files));
+    edges.forEach(edge => {
+        edge.cycle = cycleGroups.some(group => group.has(edge.from) && group.has(edge.to));
+    });
+    return { nodes, edges, inCycle };
+}
+
+// A few hundred steps of a simple force simulation: nodes repel each other, edges pull
+// their ends together. Files that were already placed keep their position.
+function layoutGraph(nodes, edges) {
+    const positions = new Map();
+    nodes.forEach((node, index) => {
+        const angle = (index / nodes.length) * Math.PI * 2;
+        positions.set(node, state.positions.get(node) || { x: Math.cos(angle) * 300, y: Math.sin(angle) * 300 });
+    });
+
+    const iterations = nodes.length > 400 ? 60 : 200;
+    for (let step = 0; step < iterations; step++) {
+        const forces = new Map(nodes.map(node => [node, { x: 0, y: 0 }]));
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const a = positions.get(nodes[i]);
+                const b = positions.get(nodes[j]);
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distanceSquared = Math.max(dx * dx + dy * dy, 1);
+                const push = 2000 / distanceSquared;
+                forces.get(nodes[i]).x += dx * push;
+                forces.get(nodes[i]).y += dy * push;
+                forces.get(nodes[j]).x -= dx * push;
+                forces.get(nodes[j]).y -= dy * push;
+            }
+        }
+        edges.forEach(({ from, to }) => {
+            const a = positions.get(from);
+            const b = positions.get(to);
+            forces.get(from).x += (b.x - a.x) * 0.02;
+            forces.get(from).y += (b.y - a.y) * 0.02;
+            forces.get(to).x -= (b.x - a.x) * 0.02;
+            forces.get(to).y -= (b.y - a.y) * 0.02;
+        });
+        const cooling = 1 - step / iterations;
+        nodes.forEach(node => {
+            const position = positions.get(node);
+            const force = forces.get(node);
+            position.x += Math.max(-20, Math.min(20, force.x - position.x * 0.01)) * cooling;
+            position.y += Math.max(-20, Math.min(20, force.y - position.y * 0.01)) * cooling;
+        });
+    }
+    state.positions = positions;
+    return positions;
+}
+
+function basename(file) {
+    return file.split('/').pop();
+}
+
+function renderGraph() {
+    const svg = $('#graph');
+    const { nodes, edges, inCycle } = getGraphModel();
+    if (nodes.length === 0) {
+        svg.innerHTML = '<text x="20" y="30">No imports between project files.</text>';
+        return;
+    }
+
+    const positions = layoutGraph(nodes, edges);
+    const selected = state.selectedFile;
+    const neighbours = new Set(edges
+        .filter(edge => edge.from === selected || edge.to === selected)
+        .flatMap(edge => [edge.from, edge.to]));
+    const showLabels = nodes.length <= 80;
+
+    if (!state.viewBox) {
+        const xs = [...positions.values()].map(position => position.x);
+        const ys = [...positions.values()].map(position => position.y);
+        const margin = 60;
+        state.viewBox = {
+            x: Math.min(...xs) - margin,
+            y: Math.min(...ys) - margin,
+            width: Math.max(...xs) - Math.min(...xs) + margin * 2,
+            height: Math.max(...ys) - Math.min(...ys) + margin * 2
+        };
+    }
+    const { x, y, width, height } = state.viewBox;
+    svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+
+    const lines = edges.map(edge => {
+        const a = positions.get(edge.from);
+        const b = positions.get(edge.to);
+        const highlight = selected && (edge.from === selected || edge.to === selected);
+        return `<line x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}" class="${highlight ? 'highlight' : edge.cycle ? 'cycle' : ''}"></line>`;
+    });
+    const circles = nodes.map(node => {
+        const position = positions.get(node);
+        const className = node === selected ? 'selected' : neighbours.has(node) ? 'neighbour' : inCycle.has(node) ? 'cycle' : '';
+        const label = showLabels || node === selected || neighbours.has(node)
+            ? `<text x="${position.x + 7}" y="${position.y + 3}">${escapeHtml(basename(node))}</text>`
+            : '';
+        return `<circle cx="${position.x}" cy="${position.y}" r="5" class="${className}" data-file="${escapeHtml(node)}"><title>${escapeHtml(node)}</title></circle>${label}`;
+    });
+    svg.innerHTML = lines.join('') + circles.join('');
+
+    $('#graph-files').innerHTML = nodes.map(node => `<option value="${escapeHtml(node)}">`).join('');
+    renderGraphDetails(edges);
+}
+
+function fileLinks(files) {
+    if (files.length === 0) return '<p class="muted">None</p>';
+    return `<ul>${files.map(file => `<li><a data-file="${escapeHtml(file)}">${escapeHtml(file)}</a></li>`).join('')}</ul>`;
+}
+
+function renderGraphDetails(edges) {
+    const file = state.selectedFile;
+    const details = $('#graph-details');
+    if (!file) return;
+    const cycles = state.data.dependencies.circular.filter(group => group.files.includes(file));
+    details.innerHTML = `<h3>${escapeHtml(file)}</h3>
+        <h4>Imports</h4>${fileLinks(edges.filter(edge => edge.from === file).map(edge => edge.to))}
+        <h4>Imported by</h4>${fileLinks(edges.filter(edge => edge.to === file).map(edge => edge.from))}
+        ${cycles.length ? `<h4>Import cycles</h4><ul>${cycles.flatMap(group => group.cycles)
+        .filter(cycle => cycle.includes(file))
+        .map(cycle => `<li>${escapeHtml(cycle.join(' → '))}</li>`).join('')}</ul>` : ''}`;
+}
+
+function selectFile(file) {
+    state.selectedFile = file;
+    renderGraph();
+}
+
+function setupGraphInteraction() {
+    const svg = $('#graph');
+    let drag = null;
+
+    svg.addEventListener('wheel', event => {
+        event.preventDefault();
+        const box = state.viewBox;
+        if (!box) return;
+        const scale = event.deltaY > 0 ? 1.15 : 1 / 1.15;
+        const rect = svg.getBoundingClientRect();
+        const px = box.x + ((event.clientX - rect.left) / rect.width) * box.width;
+        const py = box.y + ((event.clientY - rect.top) / rect.height) * box.height;
+        state.viewBox = {
+            x: px - (px - box.x) * scale,
+            y: py - (py - box.y) * scale,
+            width: box.width * scale,
+            height: box.height * scale
+        };
+        svg.setAttribute('viewBox', `${state.viewBox.x} ${state.viewBox.y} ${state.viewBox.width} ${state.viewBox.height}`);
+    }, { passive: false });
+
+    svg.addEventListener('mousedown', event => {
+        drag = { x: event.clientX, y: event.clientY, box: { ...state.viewBox }, moved: false };
+    });
+    window.addEventListener('mousemove', event => {
+        if (!drag || !state.viewBox) return;
+        const rect = svg.getBoundingClientRect();
+        const dx = ((event.clientX - drag.x) / rect.width) * drag.box.width;
+        const dy = ((event.clientY - drag.y) / rect.height) * drag.box.height;
+        if (Math.abs(event.clientX - drag.x) + Math.abs(event.clientY - drag.y) > 3) drag.moved = true;
+        state.viewBox = { ...drag.box, x: drag.box.x - dx, y: drag.box.y - dy };
+        svg.setAttribute('viewBox', `${state.viewBox.x} ${state.viewBox.y} ${state.viewBox.width} ${state.viewBox.height}`);
+    });
+    window.addEventListener('mouseup', event => {
+        const clicked = drag && !drag.moved && event.target.dataset?.file;
+        drag = null;
+        if (clicked) selectFile(event.target.dataset.file);
+    });
+
+    $('#graph-details').addEventListener('click', event => {
+        if (event.target.dataset.file) selectFile(event.target.dataset.file);
+    });
+    $('#graph-filter').addEventListener('change', event => {
+        if (state.positions.has(event.target.value)) selectFile(event.target.value);
+    });
+}
+
+// --- BACKLOG ---
+function renderTaskCard(task) {
+    const tags = (task.tags || []).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
+    const codemods = (task.codemods || []).map(id => `<span class="tag codemod" title="Fixable without AI: ai-refactor codemod">🪄 ${escapeHtml(id)}</span>`).join('');
+    const verification = task.verification
+        ? `<div class="meta">Verified ${new Date(task.verification.at).toLocaleString()}: ${task.verification.passed ? 'passed' : task.verification.forced ? 'failed, completed with --force' : 'failed'}</div>`
+        : '';
+    return `<div class="task ${escapeHtml(task.priority)}">
+        <h3>[${escapeHtml(task.id)}] ${escapeHtml(task.title)}</h3>
+        <div class="meta">${escapeHtml(task.priority)} priority · ${escapeHtml(task.estimatedEffort)} effort${task.runs ? ` · ${task.runs} AI runs` : ''}${task.patches ? ` · ${task.patches} patches` : ''}</div>
+        <p>${escapeHtml(task.description)}</p>
+        <div>${tags}${codemods}</div>
+        ${verification}
+        <div class="actions">
+            ${task.status !== 'resolved' ? `<button class="action" data-copy="${escapeHtml(task.id)}">Copy prompt</button>` : ''}
+            ${task.status === 'pending' ? `<button class="action" data-complete="${escapeHtml(task.id)}">Mark complete</button>` : ''}
+        </div>
+    </div>`;
+}
+
+function renderBacklog() {
+    const { tasks } = state.data;
+    const tagSelect = $('#task-tag');
+    const currentTag = tagSelect.value;
+    const allTags = [...new Set(tasks.flatMap(task => task.tags || []))].sort();
+    tagSelect.innerHTML = '<option value="">All tags</option>' +
+        allTags.map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('');
+    tagSelect.value = allTags.includes(currentTag) ? currentTag : '';
+
+    const text = $('#task-filter').value.toLowerCase();
+    const priority = $('#task-priority').value;
+    const tag = tagSelect.value;
+    const visible = tasks.filter(task =>
+        (!priority || task.priority === priority) &&
+        (!tag || (task.tags || []).includes(tag)) &&
+        (!text || [task.id, task.title, task.description, ...(task.tags || []), ...(task.sourceFiles || [])]
+            .some(value => String(value).toLowerCase().includes(text))));
+
+    $('#board').innerHTML = STATUS_COLUMNS.map(column => {
+        const columnTasks = visible.filter(task => task.status === column.status);
+        return `<div class="column">
+            <h2>${column.title} (${columnTasks.length})</h2>
+            ${columnTasks.map(renderTaskCard).join('') || '<p class="muted">No tasks</p>'}
+        </div>`;
+    }).join('');
+}
+
+async function copyPrompt(taskId) {
+    const response = await fetch(`/api/tasks/${encodeURIComponent(taskId)}/prompt`);
+    if (!response.ok) throw new Error((await response.json()).error);
+    const prompt = await response.text();
+    if (navigator.clipboard) {
+        await navigator.clipboard.writeText(prompt);
+    } else {
+        const textarea = document.createElement('textarea');
+        textarea.value = prompt;
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        textarea.remove();
+    }
+    showToast(`Copied the prompt of ${taskId} (${prompt.length} characters)`);
+}
+
+function describeVerification(verification) {
+    const changes = Object.keys(verification.before)
+        .filter(key => verification.before[key] !== 0 || verification.after[key] !== 0)
+        .map(key => `${key}: ${verification.before[key]} → ${verification.after[key]}`);
+    return [...changes, ...verification.remaining.map(message => `• ${message}`)].join('\n');
+}
+
+async function completeTask(taskId, force = false) {
+    const result = await fetchJson(`/api/tasks/${encodeURIComponent(taskId)}/complete`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ verify: $('#task-verify').checked, force })
+    });
+    const details = result.verification ? `\n${describeVerification(result.verification)}` : '';
+    if (result.outcome === 'refused') {
+        if (window.confirm(`${result.message}${details}\n\nComplete it anyway?`)) {
+            await completeTask(taskId, true);
+        }
+        return;
+    }
+    showToast(`${result.message}${details}`);
+    await loadData();
+}
+
+// --- PAGE ---
+function render() {
+    const { project } = state.data;
+    $('#project').textContent = `${project.path} · analyzed ${new Date(project.analyzedAt).toLocaleString()}`;
+    renderSummary();
+    renderFiles();
+    renderBacklog();
+    if ($('#dependencies').classList.contains('active')) renderGraph();
+}
+
+async function loadData() {
+    try {
+        state.data = await fetchJson('/api/data');
+        render();
+    } catch (error) {
+        showToast(error.message, true);
+    }
+}
+
+function setupPage() {
+    document.querySelectorAll('nav button').forEach(button => {
+        button.addEventListener('click', () => {
+            document.querySelectorAll('nav button, .view').forEach(element => element.classList.remove('active'));
+            button.classList.add('active');
+            $(`#${button.dataset.view}`).classList.add('active');
+            if (button.dataset.view === 'dependencies' && state.data) renderGraph();
+        });
+    });
+
+    document.querySelectorAll('#file-table th').forEach(th => {
+        th.addEventListener('click', () => {
+            const { key, direction } = state.fileSort;
+            state.fileSort = {
+                key: th.dataset.key,
+                direction: key === th.dataset.key && direction === 'desc' ? 'asc' : 'desc'
+            };
+            renderFiles();
+        });
+    });
+    $('#file-filter').addEventListener('input', renderFiles);
+    ['#task-filter', '#task-priority', '#task-tag'].forEach(selector => $(selector).addEventListener('input', renderBacklog));
+
+    $('#board').addEventListener('click', event => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        button.disabled = true;
+        const action = button.dataset.copy ? copyPrompt(button.dataset.copy) : completeTask(button.dataset.complete);
+        action
+            .catch(error => showToast(error.message, true))
+            .finally(() => { button.disabled = false; });
+    });
+
+    setupGraphInteraction();
+
+    const events = new EventSource('/api/events');
+    events.addEventListener('change', loadData);
+    events.addEventListener('open', () => $('#live').classList.remove('offline'));
+    events.addEventListener('error', () => $('#live').classList.add('offline'));
+}
+
+setupPage();
+loadData();
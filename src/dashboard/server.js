@@ -0,0 +1,221 @@
+// src/dashboard/server.js
+// The local web dashboard: a small HTTP server over an analysis directory. It needs no
+// external services. Analysis files are re-read whenever they change on disk, and open
+// pages are told over server-sent events to refresh.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const { getHotspotScore } = require('../core/hotspots');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const STATIC_FILES = {
+    '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+    '/app.js': { file: 'app.js', type: 'text/javascript; charset=utf-8' },
+    '/style.css': { file: 'style.css', type: 'text/css; charset=utf-8' }
+};
+const WATCH_INTERVAL_MS = 1000;
+const MAX_BODY_BYTES = 64 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// DNS rebinding lets another site point its own domain name at this machine, but its
+// requests still carry that name in the Host header. IP addresses, localhost and the
+// address the server listens on are the only names accepted.
+function isAllowedHost(hostHeader, host) {
+    if (!hostHeader) return false;
+    let hostname;
+    try {
+        hostname = new URL(`http://${hostHeader}`).hostname;
+    } catch (error) {
+        return false;
+    }
+    hostname = hostname.replace(/^\[|\]$/g, '');
+    return hostname === 'localhost' || hostname === host || net.isIP(hostname) !== 0;
+}
+
+function readJson(filePath) {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+function getMaxFunctionComplexity(analysis) {
+    return Math.max(0, ...(analysis.functions || []).map(fn => fn.cyclomaticComplexity || 0));
+}
+
+// Everything the page shows, built from the analysis files
+function loadDashboardData(analysisDir, files) {
+    const context = readJson(path.join(analysisDir, files.context));
+    if (!context) {
+        throw new HttpError(404, `No analysis found in ${analysisDir}. Run analyze first.`);
+    }
+    const backlog = readJson(path.join(analysisDir, files.backlog)) || { tasks: [] };
+    const dependencies = readJson(path.join(analysisDir, files.dependencies)) || context.dependencies;
+    const summaryPath = path.join(analysisDir, files.summary);
+    const git = context.git || { available: false, files: {}, hotspots: [] };
+
+    return {
+        project: {
+            path: context.projectPath,
+            analyzedAt: context.timestamp,
+            ...context.summary,
+            findings: (context.findings || []).length
+        },
+        summary: fs.existsSync(summaryPath) ? fs.readFileSync(summaryPath, 'utf8') : '',
+        gitAvailable: git.available,
+        files: Object.entries(context.files).map(([file, analysis]) => ({
+            file,
+            linesOfCode: analysis.linesOfCode || 0,
+            complexity: analysis.complexity || 0,
+            functions: (analysis.functions || []).length,
+            maxFunctionComplexity: getMaxFunctionComplexity(analysis),
+            commits: git.files[file]?.commits || 0,
+            authors: git.files[file]?.authorCount || 0,
+            hotspot: getHotspotScore(git.hotspots, file)
+        })),
+        dependencies: {
+            graph: dependencies.graph || {},
+            circular: dependencies.circular || [],
+            unresolved: dependencies.unresolved || []
+        },
+        // Prompts are fetched one at a time, so the board stays light
+        tasks: backlog.tasks.map(({ prompt, history, runs, patches, ...task }) => ({
+            ...task,
+            runs: (runs || []).length,
+            patches: (patches || []).length
+        }))
+    };
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+// A JSON body is required for changes: browsers cannot send one cross-origin without a
+// CORS preflight, which this server never answers, so other sites cannot complete tasks
+async function readJsonBody(req) {
+    if (!(req.headers['content-type'] || '').startsWith('application/json')) {
+        throw new HttpError(415, 'Expected a JSON request body');
+    }
+    const body = await readBody(req);
+    try {
+        return body ? JSON.parse(body) : {};
+    } catch (error) {
+        throw new HttpError(400, `Invalid JSON: ${error.message}`);
+    }
+}
+
+// Starts the dashboard. `actions.getPrompt(taskId)` returns a task's prompt and
+// `actions.completeTask(taskId, { verify, force })` completes it; both return null for
+// unknown tasks and throw when they fail. Resolves with the listening server.
+function startDashboard(analysisDir, { port, host, files, actions }) {
+    let cached = null;
+    const clients = new Set();
+
+    const getData = () => {
+        if (!cached) cached = loadDashboardData(analysisDir, files);
+        return cached;
+    };
+
+    const watched = Object.values(files).map(file => path.join(analysisDir, file));
+    const onChange = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        cached = null;
+        clients.forEach(client => client.write('event: change\ndata: {}\n\n'));
+    };
+    watched.forEach(file => fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, onChange));
+
+    async function handle(req, res) {
+        if (!isAllowedHost(req.headers.host, host)) {
+            throw new HttpError(403, `Requests for host "${req.headers.host || ''}" are not accepted`);
+        }
+        const url = new URL(req.url, 'http://localhost');
+        const staticFile = STATIC_FILES[url.pathname];
+
+        if (req.method === 'GET' && staticFile) {
+            // Read first, so a missing asset still gets an error response
+            const content = fs.readFileSync(path.join(PUBLIC_DIR, staticFile.file));
+            res.writeHead(200, { 'Content-Type': staticFile.type });
+            res.end(content);
+            return;
+        }
+        if (req.method === 'GET' && url.pathname === '/api/data') {
+            sendJson(res, 200, getData());
+            return;
+        }
+        if (req.method === 'GET' && url.pathname === '/api/events') {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+            res.write('retry: 2000\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+
+        const taskMatch = /^\/api\/tasks\/([^/]+)\/(prompt|complete)$/.exec(url.pathname);
+        if (taskMatch && req.method === 'GET' && taskMatch[2] === 'prompt') {
+            const prompt = actions.getPrompt(decodeURIComponent(taskMatch[1]));
+            if (prompt === null) throw new HttpError(404, 'Task not found');
+            res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+            res.end(prompt);
+            return;
+        }
+        if (taskMatch && req.method === 'POST' && taskMatch[2] === 'complete') {
+            const body = await readJsonBody(req);
+            const result = actions.completeTask(decodeURIComponent(taskMatch[1]), {
+                verify: body.verify === true,
+                force: body.force === true
+            });
+            if (result === null) throw new HttpError(404, 'Task not found');
+            // Do not wait for the file watcher: the next page load must see the change
+            cached = null;
+            sendJson(res, result.outcome === 'refused' ? 409 : 200, result);
+            return;
+        }
+
+        throw new HttpError(404, 'Not found');
+    }
+
+    // A failing action answers this request only; configuration errors list their details
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            // Too late for an error response once the headers are out
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            const details = Array.isArray(error.errors) ? error.errors : [];
+            sendJson(res, error instanceof HttpError ? error.status : 500, { error: [error.message, ...details].join(' ') });
+        });
+    });
+    server.on('close', () => watched.forEach(file => fs.unwatchFile(file, onChange)));
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server));
+    });
+}
+
+module.exports = { startDashboard, loadDashboardData };
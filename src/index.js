@@ -6,127 +6,191 @@
 const fs = require('fs');
 const path = require('path');
 const program = require('commander');
+const { parseSource, extractScriptContent } = require('./utils/astUtils');
+const { analyzeFunctions, isComplexFunction, getFunctionThresholds, collectFunctions } = require('./core/metrics');
+const { extractModuleInfo, extractModuleInfoWithRegex } = require('./core/modules');
+const { createResolver } = require('./core/resolver');
+const {
+    buildDependencyGraph,
+    findCircularDependencies,
+    countEdges
+} = require('./core/dependencyGraph');
+const { findDeadCode } = require('./core/deadCode');
+const { findClones, encodeTokens } = require('./core/clones');
+const { findSecuritySmells, findSecrets, collectSecurityFindings, redactSecrets } = require('./core/security');
+const { auditDependencies } = require('./core/dependencyAudit');
+const { FILE_ANALYSIS_VERSION, loadPreviousFileAnalysis, getCachedAnalysis } = require('./core/cache');
+const { formatTaskId, loadTaskBacklog, addHistory, mergeTaskBacklog } = require('./core/backlog');
+const { getCurrentCommit, getFileChurn, getChangedFiles } = require('./core/git');
+const { computeHotspots } = require('./core/hotspots');
+const { DEFAULT_IGNORE, loadConfig, resolveConfig, ConfigError } = require('./core/config');
+const { loadRules, runRules } = require('./core/rules');
+const { loadProvider, completeWithProvider } = require('./core/providers');
+const { PatchError, extractChanges, applyHunks } = require('./core/patches');
+const { createBackup, restoreBackup } = require('./core/backups');
+const { CODEMODS, CODEMOD_EXTENSIONS, findCodemod, runCodemod, findCodemodFixes } = require('./core/codemods');
+const { createUnifiedDiff, colorizeDiff } = require('./utils/diffUtils');
+const { toPosix } = require('./utils/fileUtils');
+const { renderTemplate, loadPromptTemplates, selectTaskTemplate } = require('./core/templates');
+const { getRelevantRanges, keepTaskFragments, findRelatedFiles, createRelatedFile, fitToTokenBudget } = require('./core/promptContext');
+const { estimateTokens } = require('./utils/tokenUtils');
+const { startDashboard } = require('./dashboard/server');
+const { createReport } = require('./core/reports');
+const { BASELINE_VERSION, createBaseline, compareToBaseline, formatSummaryLine } = require('./core/qualityGate');
+const REPORT_FORMATS = require('./reports');
+const { VERIFICATION_METRICS, getTaskFindings, measureTask, findRemainingTasks } = require('./core/verification');
+const {
+    GIT_IGNORE_FILES,
+    TOOL_IGNORE_FILE,
+    compileIgnorePatterns,
+    readIgnoreFiles,
+    readAncestorIgnoreFiles,
+    findIgnoreRule
+} = require('./utils/ignoreUtils');
+const {
+    TREND_METRICS,
+    getMetricValue,
+    createSnapshot,
+    appendSnapshot,
+    loadHistory,
+    sparkline,
+    historyToCsv
+} = require('./core/history');
 
 // --- PROMPT GENERATION FUNCTIONS ---
-function generateTaskPrompt(task, context) {
-    // Generate source file context
-    let sourceContext = '';
-    if (task.sourceFiles?.length) {
-        sourceContext = task.sourceFiles.map(file => {
-            const fullPath = path.join(context.projectPath, file);
-            if (fs.existsSync(fullPath)) {
-                const content = fs.readFileSync(fullPath, 'utf8');
-                const ext = path.extname(file).slice(1);
-                return `### ${file}
-\`\`\`${ext}
-${content}
-\`\`\``;
-            }
-            return `### ${file} (File not found)`;
-        }).join('\n\n');
-    }
+// Project facts shared by the task and master prompt templates
+function describeProject(context) {
+    return {
+        path: context.projectPath,
+        frameworks: context.summary.frameworks.join(', ') || 'Vanilla JavaScript',
+        fileCount: context.summary.fileCount,
+        linesOfCode: context.summary.linesOfCode,
+        complexity: context.summary.complexity,
+        hasTests: context.summary.hasTests ? 'Yes' : 'No'
+    };
+}
 
-    return `# ${task.title}
+// The configuration an analysis ran with; settings added since then get their defaults
+function getContextConfig(context) {
+    return resolveConfig(context.config || {});
+}
 
-**Task ID:** ${task.id}
-**Priority:** ${task.priority}
-**Estimated Effort:** ${task.estimatedEffort}
-**Status:** ${task.status}
-**Tags:** ${task.tags?.join(', ') || 'none'}
+function loadContextTemplates(context) {
+    return loadPromptTemplates(getContextConfig(context), context.projectPath);
+}
 
-## Description
-${task.description}
+// Neighbours of the task's files in the dependency graph, so the prompt shows the code
+// they call and the callers a change must not break
+function getRelatedFiles(task, context, config, depth) {
+    if (!depth || !task.sourceFiles?.length) return [];
 
-## Project Context
-- **Framework(s):** ${context.summary.frameworks.join(', ') || 'Vanilla JavaScript'}
-- **Total Files:** ${context.summary.fileCount}
-- **Lines of Code:** ${context.summary.linesOfCode}
-- **Code Complexity:** ${context.summary.complexity}
-- **Has Tests:** ${context.summary.hasTests ? 'Yes' : 'No'}
+    const related = findRelatedFiles(task.sourceFiles, context.dependencies, Object.keys(context.files || {}), {
+        depth,
+        maxFiles: config.prompts.relatedMaxFiles
+    });
+    return related
+        .filter(entry => fs.existsSync(path.join(context.projectPath, entry.path)))
+        .map(entry => createRelatedFile(
+            entry,
+            redactSecrets(fs.readFileSync(path.join(context.projectPath, entry.path), 'utf8')),
+            context.files?.[entry.path],
+            config.prompts.relatedFullSourceLines
+        ));
+}
 
-## Task Details
-${task.prompt}
+// Renders a task prompt within a token budget: `options.maxTokens`, else the configured
+// prompts.maxTokens (0 means no limit). Returns the prompt, its estimated size in tokens
+// and what had to be left out to fit.
+function generateTaskPrompt(task, context, options = {}) {
+    const config = getContextConfig(context);
+    const templates = options.templates || loadContextTemplates(context);
+    const maxTokens = options.maxTokens ?? config.prompts.maxTokens;
+    const relatedDepth = options.relatedDepth ?? config.prompts.relatedDepth;
+
+    // Findings of the rule that created the task, limited to the task's files
+    const findings = (context.findings || []).filter(finding =>
+        finding.rule === task.rule &&
+        (!finding.file || !task.sourceFiles?.length || task.sourceFiles.includes(finding.file))
+    );
 
-## Source Files to Analyze
-${sourceContext || 'No specific source files provided for this task.'}
+    const sourceFiles = (task.sourceFiles || []).map(file => {
+        const fullPath = path.join(context.projectPath, file);
+        if (!fs.existsSync(fullPath)) {
+            return { path: file, found: false };
+        }
+        // Hard-coded secrets never leave the machine in a prompt
+        const content = redactSecrets(fs.readFileSync(fullPath, 'utf8'));
+        const entry = {
+            path: file,
+            found: true,
+            language: path.extname(file).slice(1),
+            content,
+            original: content,
+            mode: 'full'
+        };
+        return task.fragments ? keepTaskFragments(entry, task.fragments) : entry;
+    });
 
-## Expected Deliverables
-Please provide:
-1. **Analysis** of the current state
-2. **Specific recommendations** for improvement
-3. **Implementation steps** or code examples
-4. **Testing considerations** (if applicable)
-5. **Documentation updates** needed
+    const render = ({ sourceFiles: files, relatedFiles }) => {
+        const shrunk = [...files, ...relatedFiles].filter(entry => entry.omission);
+        const shownRelated = relatedFiles.filter(entry => !entry.dropped);
+        return renderTemplate(selectTaskTemplate(templates, task), {
+            task: { ...task, tagList: task.tags?.join(', ') || 'none' },
+            project: describeProject(context),
+            sourceFiles: files,
+            related: shownRelated.length === 0 ? null : { depth: relatedDepth, files: shownRelated },
+            findings,
+            omitted: shrunk.length === 0 ? null : {
+                maxTokens,
+                files: shrunk.map(entry => ({ file: entry.path, detail: entry.omission }))
+            },
+            generatedAt: new Date(context.timestamp).toLocaleString(),
+            toolVersion: context.analysisVersion
+        });
+    };
 
-## Notes
-- This analysis was generated on ${new Date(context.timestamp).toLocaleString()}
-- Task generated by AI Refactor Tool v${context.analysisVersion}
-- Copy this entire prompt to your AI assistant for best results
+    // A task about fragments of files is only shown those fragments
+    const relatedFiles = task.fragments ? [] : getRelatedFiles(task, context, config, relatedDepth);
+    const result = fitToTokenBudget({ sourceFiles, relatedFiles }, render, maxTokens, {
+        getRelevantRanges: file => getRelevantRanges(file, task, findings, context.files?.[file]),
+        getAnalysis: file => context.files?.[file]
+    });
 
----
-Ready to paste into Claude, ChatGPT, or any AI assistant!`;
+    return {
+        content: result.content,
+        tokens: result.tokens,
+        maxTokens,
+        overBudget: result.overBudget,
+        omissions: [...result.sourceFiles, ...result.relatedFiles]
+            .filter(entry => entry.omission)
+            .map(entry => ({ file: entry.path, detail: entry.omission }))
+    };
 }
 
-function generateMasterPrompt(backlog, context) {
+function generateMasterPrompt(backlog, context, templates = loadContextTemplates(context)) {
     const pendingTasks = backlog.tasks.filter(t => t.status === 'pending');
-    const taskSummaries = pendingTasks.map(task => 
-        `**[${task.id}] ${task.title}** (${task.priority})
-   - ${task.description}
-   - Effort: ${task.estimatedEffort}
-   - Files: ${task.sourceFiles?.join(', ') || 'none'}`
-    ).join('\n\n');
 
-    return `# AI Refactoring Master Analysis
-
-## Project Overview
-**Project:** ${context.projectPath}
-**Analysis Date:** ${new Date(context.timestamp).toLocaleString()}
-**Framework(s):** ${context.summary.frameworks.join(', ') || 'Vanilla JavaScript'}
-**Total Files:** ${context.summary.fileCount}
-**Lines of Code:** ${context.summary.linesOfCode}
-**Code Complexity:** ${context.summary.complexity}
-**Has Tests:** ${context.summary.hasTests ? 'Yes' : 'No'}
-
-## Generated Tasks Summary
-Total tasks identified: ${backlog.tasks.length}
-Pending tasks: ${pendingTasks.length}
-
-${taskSummaries}
-
-## How to Use Individual Task Prompts
-1. Each task has been saved as a separate .txt file in the /prompts directory
-2. Copy the entire content of any task file
-3. Paste it into your AI assistant (Claude, ChatGPT, etc.)
-4. The AI will have full context about your project and the specific task
-
-## File Structure
-\`\`\`
-ai-analysis/
-├── prompts/
-│   ├── [T-001] Add Testing Framework Setup.txt
-│   ├── [T-002] Refactor High Complexity Functions.txt
-│   └── ...
-├── analysis_summary.md
-├── machine_context.json
-├── task_backlog.json
-└── AI_ANALYSIS_MASTER_PROMPT.txt (this file)
-\`\`\`
+    return renderTemplate(templates.master, {
+        project: describeProject(context),
+        backlog: {
+            totalTasks: backlog.tasks.length,
+            pendingCount: pendingTasks.length
+        },
+        pendingTasks: pendingTasks.map(task => ({
+            ...task,
+            fileList: task.sourceFiles?.join(', ') || 'none'
+        })),
+        generatedAt: new Date(context.timestamp).toLocaleString(),
+        toolVersion: context.analysisVersion
+    });
+}
 
-## Next Steps
-1. Review the analysis_summary.md for an overview
-2. Choose a task from the prompts/ directory
-3. Copy the task prompt and work with your AI assistant
-4. Implement the suggested improvements
-5. Mark tasks as completed in task_backlog.json
-
----
-Generated by AI Refactor Tool v${context.analysisVersion}`;
-const program = require('commander');
-const babelParser = require('@babel/parser');
 const crypto = require('crypto');
 const chalk = require('chalk');
 
 // --- CONSTANTS ---
+const TOOL_NAME = 'ai-refactor-tool';
+const TOOL_VERSION = '3.0.0';
 const ANALYSIS_DIR = 'ai-analysis';
 const ANALYSIS_SUMMARY_FILE = 'analysis_summary.md';
 const MACHINE_CONTEXT_FILE = 'machine_context.json';
@@ -134,14 +198,28 @@ const TASK_BACKLOG_FILE = 'task_backlog.json';
 const CODE_INVENTORY_FILE = 'code_inventory.json';
 const DEPENDENCY_MAP_FILE = 'dependency_map.json';
 const METRICS_FILE = 'code_metrics.json';
+const DEAD_CODE_FILE = 'dead_code.json';
+const DUPLICATES_FILE = 'duplicates.json';
+const SECURITY_FILE = 'security_findings.json';
+const HISTORY_FILE = 'metrics_history.jsonl';
+const RESPONSES_DIR = 'responses';
+const BACKUPS_DIR = 'backups';
+
+// Files analyzed with Babel; a patch must leave them parseable
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.svelte', '.astro'];
 
 // Supported file extensions for analysis
 const SUPPORTED_EXTENSIONS = [
-    '.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.astro',
+    '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.svelte', '.astro',
     '.json', '.md', '.css', '.scss', '.sass', '.less',
     '.html', '.htm', '.xml', '.yml', '.yaml', '.toml'
 ];
 
+// Files other than scripts that are searched for hard-coded secrets
+const DATA_EXTENSIONS = ['.json', '.xml', '.yml', '.yaml', '.toml'];
+// .env, .env.local, .env.production and so on
+const ENV_FILE_PATTERN = /^\.env(\..+)?$/;
+
 // --- UTILITY FUNCTIONS ---
 function createDirectory(dir) {
     if (!fs.existsSync(dir)) {
@@ -151,7 +229,86 @@ function createDirectory(dir) {
 }
 
 // --- COMPLETE TASK COMMAND ---
-function completeTask(analysisDir, taskId) {
+// Re-analyzes the project in memory, reusing cached results for files that did not change,
+// and re-runs the rule that created the task. Returns null when that rule is not enabled.
+function verifyTask(analysisDir, backlog, task) {
+    const context = loadMachineContext(analysisDir);
+    if (!context) {
+        throw new Error('No analysis found. Run analyze command first.');
+    }
+
+    const { projectPath, config } = context;
+    const rules = loadRules(config, projectPath).filter(rule => rule.id === task.rule);
+    if (rules.length === 0) return null;
+
+    console.log(chalk.cyan(`🔍 Checking ${task.id} against the current source with the ${task.rule} rule...`));
+    const previousFiles = context.fileAnalysisVersion === FILE_ANALYSIS_VERSION ? context.files : {};
+    const current = {
+        ...context,
+        ...analyzeCurrentSource(projectPath, config, previousFiles),
+        scope: null
+    };
+    const { findings, tasks } = runRules(rules, current);
+    current.findings = findings;
+
+    return {
+        at: new Date().toISOString(),
+        rule: task.rule,
+        passed: findRemainingTasks(task, tasks, backlog).length === 0,
+        before: measureTask(task, context),
+        after: measureTask(task, current),
+        remaining: getTaskFindings(task, findings).slice(0, 10).map(finding =>
+            `${finding.file ? `${finding.file}${finding.line ? `:${finding.line}` : ''}: ` : ''}${finding.message}`)
+    };
+}
+
+function printVerification(verification) {
+    console.log(chalk.blue('\n📏 Before → after:'));
+    VERIFICATION_METRICS.forEach(metric => {
+        const before = verification.before[metric.key];
+        const after = verification.after[metric.key];
+        if (before === 0 && after === 0) return;
+        const color = after < before ? chalk.green : after > before ? chalk.red : chalk.gray;
+        console.log(`   ${metric.label.padEnd(28)} ${before} → ${color(after)}`);
+    });
+    if (!verification.passed) {
+        console.log(chalk.yellow(`\n⚠️  The ${verification.rule} rule still reports:`));
+        verification.remaining.forEach(message => console.log(chalk.yellow(`   • ${message}`)));
+    }
+    console.log('');
+}
+
+// Completes a task, verifying it first when asked. Shared by the complete command and the
+// dashboard, so it reports `{ outcome, message, verification }` instead of printing; the
+// caller saves the backlog unless the outcome is 'unchanged'. A refused completion still
+// changes the backlog when it records the failed verification.
+function completeBacklogTask(analysisDir, backlog, task, options = {}) {
+    if (task.status === 'completed') {
+        return { outcome: 'unchanged', message: `Task ${task.id} is already completed` };
+    }
+    if (task.status === 'resolved') {
+        return { outcome: 'unchanged', message: `Task ${task.id} was already resolved: the problem no longer shows up in the analysis` };
+    }
+
+    const verification = options.verify ? verifyTask(analysisDir, backlog, task) : null;
+    if (options.verify && !verification && !options.force) {
+        return { outcome: 'refused', message: `Cannot verify task ${task.id}: the ${task.rule || 'unknown'} rule that created it is not enabled` };
+    }
+    if (verification) {
+        task.verification = verification;
+        if (!verification.passed && !options.force) {
+            return { outcome: 'refused', message: `Task ${task.id} is not done: the ${task.rule} rule still reports the problem`, verification };
+        }
+        if (!verification.passed) verification.forced = true;
+    }
+
+    task.status = 'completed';
+    task.completedAt = new Date().toISOString();
+    addHistory(task, 'completed', task.completedAt);
+    return { outcome: 'completed', message: `Task ${task.id} marked as completed: ${task.title}`, verification };
+}
+
+function completeTask(analysisDir, taskId, options = {}) {
     const backlogPath = path.join(analysisDir, TASK_BACKLOG_FILE);
     
     if (!fs.existsSync(backlogPath)) {
@@ -167,19 +324,33 @@ function completeTask(analysisDir, taskId) {
         process.exit(1);
     }
 
-    if (task.status === 'completed') {
-        console.log(chalk.yellow(`⚠️  Task ${taskId} is already completed`));
+    let result;
+    try {
+        result = completeBacklogTask(analysisDir, backlog, task, options);
+    } catch (error) {
+        if (error instanceof ConfigError) reportConfigError(error);
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exit(1);
+    }
+    if (result.verification) printVerification(result.verification);
+
+    if (result.outcome === 'unchanged') {
+        console.log(chalk.yellow(`⚠️  ${result.message}`));
         return;
     }
 
-    // Mark as completed
-    task.status = 'completed';
-    task.completedAt = new Date().toISOString();
-    
     // Save updated backlog
     fs.writeFileSync(backlogPath, JSON.stringify(backlog, null, 2));
-    
-    console.log(chalk.green(`✅ Task ${taskId} marked as completed: ${task.title}`));
+
+    if (result.outcome === 'refused') {
+        console.error(chalk.red(`❌ ${result.message}`));
+        console.log(chalk.cyan(`💡 Use --force to complete it ${result.verification ? 'anyway' : 'without verification'}`));
+        process.exit(1);
+    }
+    if (result.verification?.forced) {
+        console.log(chalk.yellow('⚠️  Completed anyway because of --force'));
+    }
+    console.log(chalk.green(`✅ ${result.message}`));
     
     // Show remaining tasks
     const remainingTasks = backlog.tasks.filter(t => t.status === 'pending');
@@ -198,12 +369,16 @@ function completeTask(analysisDir, taskId) {
 
 function getFileHash(filePath) {
     const content = fs.readFileSync(filePath);
-    return crypto.createHash('md5').update(content).digest('hex');
+    return crypto.createHash('sha256').update(content).digest('hex');
 }
 
 function isTextFile(filePath) {
     const ext = path.extname(filePath).toLowerCase();
-    return SUPPORTED_EXTENSIONS.includes(ext);
+    return SUPPORTED_EXTENSIONS.includes(ext) || ENV_FILE_PATTERN.test(path.basename(filePath));
+}
+
+function isDataFile(filePath) {
+    return DATA_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) || ENV_FILE_PATTERN.test(path.basename(filePath));
 }
 
 // --- ENHANCED FILE ANALYSIS ---
@@ -214,42 +389,34 @@ function analyzeJavaScriptFile(filePath) {
         // Try to parse with Babel
         let ast = null;
         try {
-            ast = babelParser.parse(content, {
-                sourceType: 'module',
-                allowImportExportEverywhere: true,
-                allowReturnOutsideFunction: true,
-                plugins: ['jsx', 'typescript', 'decorators-legacy']
-            });
+            ast = parseSource(extractScriptContent(content, filePath), { tokens: true });
         } catch (parseError) {
             // If parsing fails, continue with regex-based analysis
             console.log(chalk.yellow(`⚠️  Parse warning for ${filePath}: ${parseError.message}`));
         }
 
-        const imports = [];
-        const exports = [];
-
-        // Basic regex-based analysis (fallback)
-        const importMatches = content.match(/import.*?from\s+['"`]([^'"`]+)['"`]/g) || [];
-        const exportMatches = content.match(/export\s+(?:default\s+)?(?:class|function|const|let|var)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/g) || [];
-        
-        importMatches.forEach(imp => {
-            const match = imp.match(/from\s+['"`]([^'"`]+)['"`]/);
-            if (match) imports.push(match[1]);
-        });
+        const { functions, complexity } = ast
+            ? analyzeFunctions(ast)
+            : { functions: [], complexity: 0 };
 
-        exportMatches.forEach(exp => {
-            const match = exp.match(/(?:class|function|const|let|var)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/);
-            if (match) exports.push(match[1]);
-        });
+        // Fall back to regex-based extraction when the AST is unavailable
+        const { imports, exports } = ast
+            ? extractModuleInfo(ast)
+            : extractModuleInfoWithRegex(content);
 
         return {
             type: 'javascript',
             imports,
             exports,
-            complexity: calculateComplexity(content),
+            complexity,
+            functions,
             linesOfCode: content.split('\n').length,
             hasTests: content.includes('test(') || content.includes('describe(') || content.includes('it('),
-            frameworks: detectFrameworks(content, filePath)
+            frameworks: detectFrameworks(content, filePath),
+            security: findSecuritySmells(ast, content),
+            codemods: ast ? findCodemodFixes(ast, content, filePath) : [],
+            // For duplicate code detection, which compares token streams across files
+            tokens: ast ? encodeTokens(ast.tokens) : null
         };
     } catch (error) {
         return {
@@ -258,25 +425,15 @@ function analyzeJavaScriptFile(filePath) {
             imports: [],
             exports: [],
             complexity: 0,
-            linesOfCode: 0
+            functions: [],
+            linesOfCode: 0,
+            security: [],
+            codemods: [],
+            tokens: null
         };
     }
 }
 
-function calculateComplexity(content) {
-    // Simple cyclomatic complexity estimation
-    const complexityKeywords = ['if', 'else', 'for', 'while', 'case', 'catch', 'return', '&&', '||'];
-    let complexity = 1;
-    
-    complexityKeywords.forEach(keyword => {
-        const regex = new RegExp(`\\b${keyword}\\b`, 'g');
-        const matches = content.match(regex);
-        if (matches) complexity += matches.length;
-    });
-    
-    return complexity;
-}
-
 function detectFrameworks(content, filePath) {
     const frameworks = [];
     
@@ -406,49 +563,200 @@ function analyzeConfigFile(filePath) {
 }
 
 // --- ENHANCED DIRECTORY TRAVERSAL ---
+// Returns the files to analyze plus everything that was skipped and why.
+// Ignore patterns use .gitignore syntax; configured patterns take precedence over ignore files.
 function traverseDirectory(dir, options = {}) {
-    const { ignorePatterns = ['.git', 'node_modules', '.next', 'dist', 'build', 'ai-analysis'] } = options;
+    const {
+        ignorePatterns = DEFAULT_IGNORE,
+        useGitignore = true,
+        maxFileSize = 1024 * 1024
+    } = options;
+    const ignoreFileNames = useGitignore ? [...GIT_IGNORE_FILES, TOOL_IGNORE_FILE] : [TOOL_IGNORE_FILE];
+    const configuredRules = compileIgnorePatterns(ignorePatterns, dir, 'configuration');
     const fileList = [];
+    const skipped = [];
+
+    function skip(fullPath, reason, detail) {
+        skipped.push({ relativePath: path.relative(dir, fullPath), reason, detail });
+    }
     
-    function traverse(currentDir) {
+    function traverse(currentDir, inheritedRules) {
+        const rules = [...inheritedRules, ...readIgnoreFiles(currentDir, ignoreFileNames, dir)];
+        let items;
         try {
-            const items = fs.readdirSync(currentDir);
-            
-            for (const item of items) {
-                // More precise ignore checking
-                if (ignorePatterns.some(pattern => {
-                    return item === pattern || 
-                           item.includes(pattern) || 
-                           path.basename(currentDir) === pattern;
-                })) continue;
-                
-                const fullPath = path.join(currentDir, item);
-                
-                // Skip if path contains ignored patterns
-                const relativePath = path.relative(dir, fullPath);
-                if (ignorePatterns.some(pattern => relativePath.includes(pattern))) continue;
-                
-                const stat = fs.statSync(fullPath);
-                
-                if (stat.isDirectory()) {
-                    traverse(fullPath);
-                } else if (isTextFile(fullPath) && stat.size < 1024 * 1024) { // Skip files > 1MB
-                    fileList.push({
-                        path: fullPath,
-                        relativePath: path.relative(dir, fullPath),
-                        size: stat.size,
-                        modified: stat.mtime,
-                        hash: getFileHash(fullPath)
-                    });
-                }
-            }
+            items = fs.readdirSync(currentDir);
         } catch (error) {
             console.log(chalk.yellow(`⚠️  Warning: Cannot read directory ${currentDir}: ${error.message}`));
+            return;
+        }
+            
+        for (const item of items) {
+            const fullPath = path.join(currentDir, item);
+
+            let stat;
+            try {
+                stat = fs.statSync(fullPath);
+            } catch (error) {
+                skip(fullPath, 'unreadable', error.message);
+                continue;
+            }
+
+            const rule = findIgnoreRule(configuredRules, fullPath, stat.isDirectory()) ||
+                findIgnoreRule(rules, fullPath, stat.isDirectory());
+            if (rule && !rule.negate) {
+                skip(fullPath, 'ignored', `matches "${rule.pattern}" in ${rule.source}`);
+                continue;
+            }
+            
+            if (stat.isDirectory()) {
+                traverse(fullPath, rules);
+            } else if (!isTextFile(fullPath)) {
+                skip(fullPath, 'unsupported-type', `${path.extname(item) || 'no'} extension`);
+            } else if (stat.size > maxFileSize) {
+                skip(fullPath, 'too-large', `${(stat.size / 1024).toFixed(0)} KB exceeds the ${(maxFileSize / 1024).toFixed(0)} KB limit`);
+            } else {
+                fileList.push({
+                    path: fullPath,
+                    relativePath: path.relative(dir, fullPath),
+                    size: stat.size,
+                    modified: stat.mtime,
+                    hash: getFileHash(fullPath)
+                });
+            }
         }
     }
     
-    traverse(dir);
-    return fileList;
+    traverse(dir, useGitignore ? readAncestorIgnoreFiles(dir, ignoreFileNames) : []);
+    return { files: fileList, skipped };
+}
+
+// Parses every script in the inventory, reusing results from `previousFiles` for files
+// whose hash has not changed, and totals the project metrics. `dataFiles` lists the
+// configuration and .env files with hard-coded secrets.
+function analyzeInventoryFiles(inventoryFiles, previousFiles, config) {
+    const cacheStats = { reused: 0, reanalyzed: 0 };
+    const fileAnalysis = {};
+    const dataFiles = {};
+    const metrics = {
+        totalLinesOfCode: 0,
+        totalComplexity: 0,
+        frameworks: new Set(),
+        hasTests: false,
+        configFiles: []
+    };
+
+    inventoryFiles.forEach(file => {
+        const fullPath = file.path;
+        const ext = path.extname(fullPath);
+        
+        if (SCRIPT_EXTENSIONS.includes(ext)) {
+            let analysis = getCachedAnalysis(previousFiles, file);
+            if (analysis) {
+                cacheStats.reused++;
+            } else {
+                analysis = { ...analyzeJavaScriptFile(fullPath), hash: file.hash };
+                cacheStats.reanalyzed++;
+            }
+            fileAnalysis[file.relativePath] = analysis;
+            
+            metrics.totalLinesOfCode += analysis.linesOfCode || 0;
+            metrics.totalComplexity += analysis.complexity || 0;
+            if (analysis.hasTests) metrics.hasTests = true;
+            
+            analysis.frameworks?.forEach(fw => metrics.frameworks.add(fw));
+            
+        } else if (['package.json', 'composer.json', 'requirements.txt'].includes(path.basename(fullPath))) {
+            const configAnalysis = analyzeConfigFile(fullPath);
+            metrics.configFiles.push({
+                file: file.relativePath,
+                type: configAnalysis.configType,
+                content: configAnalysis.content
+            });
+        }
+
+        if (isDataFile(fullPath)) {
+            let security = [];
+            try {
+                security = findSecrets(fs.readFileSync(fullPath, 'utf8'));
+            } catch (error) {
+                // Unreadable files have no secrets to report
+            }
+            if (security.length > 0) dataFiles[file.relativePath] = { security };
+        }
+    });
+
+    // Convert Set to Array for JSON serialization; configured frameworks are always listed
+    metrics.frameworks = [...new Set([
+        ...(config.frameworks.autoDetect ? metrics.frameworks : []),
+        ...config.frameworks.preferred
+    ])];
+
+    return { fileAnalysis, dataFiles, metrics, cacheStats };
+}
+
+// Version control: churn, authorship and hotspots from local git history
+function collectGitInfo(baseDir, fileAnalysis, config) {
+    const churn = getFileChurn(baseDir, config.git.historyWindow);
+    return {
+        available: churn !== null,
+        window: config.git.historyWindow,
+        files: churn || {},
+        hotspots: churn ? computeHotspots(fileAnalysis, churn) : []
+    };
+}
+
+// The analysis context fields that describe the source, computed without writing anything.
+// Files whose hash matches `previousFiles` are not parsed again.
+function analyzeCurrentSource(projectPath, config, previousFiles) {
+    const { files } = traverseDirectory(projectPath, {
+        ignorePatterns: config.ignore,
+        useGitignore: config.files.useGitignore,
+        maxFileSize: config.files.sizeLimitKB * 1024
+    });
+    const { fileAnalysis, dataFiles, metrics } = analyzeInventoryFiles(files, previousFiles, config);
+    const { dependencyMap, deadCode, clones } = analyzeProjectStructure(projectPath, files, fileAnalysis, metrics, config);
+
+    return {
+        summary: {
+            fileCount: files.length,
+            totalSize: files.reduce((sum, f) => sum + f.size, 0),
+            linesOfCode: metrics.totalLinesOfCode,
+            complexity: metrics.totalComplexity,
+            frameworks: metrics.frameworks,
+            hasTests: metrics.hasTests
+        },
+        files: fileAnalysis,
+        dataFiles,
+        dependencies: dependencyMap,
+        deadCode,
+        clones,
+        metrics
+    };
+}
+
+// The module graph with its cycles and npm audit, the code nothing uses and duplicated code
+function analyzeProjectStructure(baseDir, inventoryFiles, fileAnalysis, metrics, config) {
+    // Resolve imports into file-to-file edges
+    const resolver = createResolver(baseDir, inventoryFiles.map(f => f.relativePath));
+    const dependencyMap = buildDependencyGraph(fileAnalysis, resolver);
+    dependencyMap.circular = findCircularDependencies(dependencyMap);
+    dependencyMap.audit = auditDependencies(metrics.configFiles, dependencyMap);
+
+    // Exports nobody imports and files no entry point can reach
+    const deadCode = findDeadCode({
+        fileAnalysis,
+        dependencyMap,
+        configFiles: metrics.configFiles,
+        frameworks: metrics.frameworks,
+        inventoryFiles,
+        entryPoints: config.entryPoints,
+        resolver,
+        projectRoot: baseDir
+    });
+
+    const clones = findClones(fileAnalysis, config.duplication);
+
+    return { dependencyMap, deadCode, clones };
 }
 
 // --- ENHANCED ANALYSIS LOGIC ---
@@ -460,12 +768,38 @@ function runAnalysis(baseDir, options = {}) {
         process.exit(1);
     }
 
+    const config = loadAnalysisConfig(baseDir, options);
+    let rules;
+    let templates;
+    try {
+        rules = loadRules(config, baseDir);
+        templates = loadPromptTemplates(config, baseDir);
+    } catch (error) {
+        reportConfigError(error);
+    }
+
+    // A bad ref must fail before anything in the analysis directory is overwritten
+    let scope = null;
+    if (options.since) {
+        const changed = getChangedFiles(baseDir, options.since);
+        if (!changed) {
+            console.error(chalk.red(`❌ Cannot resolve git ref "${options.since}" in ${baseDir}`));
+            process.exit(1);
+        }
+        scope = { since: options.since, base: changed.base, changedFiles: changed.files };
+        console.log(chalk.cyan(`🎯 Limiting tasks to ${changed.files.length} files changed since ${options.since}`));
+    }
+
     const analysisDir = path.join(baseDir, ANALYSIS_DIR);
     createDirectory(analysisDir);
 
     // 1. Inventory all files
     console.log(chalk.cyan('📋 Creating file inventory...'));
-    const files = traverseDirectory(baseDir, options);
+    const { files, skipped } = traverseDirectory(baseDir, {
+        ignorePatterns: config.ignore,
+        useGitignore: config.files.useGitignore,
+        maxFileSize: config.files.sizeLimitKB * 1024
+    });
     
     const codeInventory = {
         totalFiles: files.length,
@@ -475,7 +809,9 @@ function runAnalysis(baseDir, options = {}) {
             ...f,
             extension: path.extname(f.relativePath),
             directory: path.dirname(f.relativePath)
-        }))
+        })),
+        totalSkipped: skipped.length,
+        skippedFiles: skipped
     };
 
     // Count file types
@@ -489,59 +825,15 @@ function runAnalysis(baseDir, options = {}) {
         JSON.stringify(codeInventory, null, 2)
     );
 
-    // 2. Analyze individual files
+    // 2. Analyze individual files, reusing unchanged results from the previous run
     console.log(chalk.cyan('🔬 Analyzing individual files...'));
-    const fileAnalysis = {};
-    const dependencyMap = { internal: {}, external: [] };
-    const metrics = {
-        totalLinesOfCode: 0,
-        totalComplexity: 0,
-        frameworks: new Set(),
-        hasTests: false,
-        configFiles: []
-    };
-
-    codeInventory.files.forEach(file => {
-        const fullPath = file.path;
-        const ext = path.extname(fullPath);
-        
-        if (['.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.astro'].includes(ext)) {
-            const analysis = analyzeJavaScriptFile(fullPath);
-            fileAnalysis[file.relativePath] = analysis;
-            
-            metrics.totalLinesOfCode += analysis.linesOfCode || 0;
-            metrics.totalComplexity += analysis.complexity || 0;
-            if (analysis.hasTests) metrics.hasTests = true;
-            
-            analysis.frameworks?.forEach(fw => metrics.frameworks.add(fw));
-            
-            // Build dependency map
-            analysis.imports?.forEach(imp => {
-                if (imp.startsWith('.')) {
-                    // Internal dependency
-                    if (!dependencyMap.internal[file.relativePath]) {
-                        dependencyMap.internal[file.relativePath] = [];
-                    }
-                    dependencyMap.internal[file.relativePath].push(imp);
-                } else {
-                    // External dependency
-                    if (!dependencyMap.external.includes(imp)) {
-                        dependencyMap.external.push(imp);
-                    }
-                }
-            });
-        } else if (['package.json', 'composer.json', 'requirements.txt'].includes(path.basename(fullPath))) {
-            const configAnalysis = analyzeConfigFile(fullPath);
-            metrics.configFiles.push({
-                file: file.relativePath,
-                type: configAnalysis.configType,
-                content: configAnalysis.content
-            });
-        }
-    });
+    const previousFiles = options.full
+        ? {}
+        : loadPreviousFileAnalysis(path.join(analysisDir, MACHINE_CONTEXT_FILE));
+    const { fileAnalysis, dataFiles, metrics, cacheStats } = analyzeInventoryFiles(codeInventory.files, previousFiles, config);
+    const { dependencyMap, deadCode, clones } = analyzeProjectStructure(baseDir, codeInventory.files, fileAnalysis, metrics, config);
 
-    // Convert Set to Array for JSON serialization
-    metrics.frameworks = Array.from(metrics.frameworks);
+    const gitInfo = collectGitInfo(baseDir, fileAnalysis, config);
 
     // 3. Save analysis results
     fs.writeFileSync(
@@ -550,22 +842,33 @@ function runAnalysis(baseDir, options = {}) {
     );
 
     fs.writeFileSync(
-        path.join(analysisDir, METRICS_FILE),
-        JSON.stringify(metrics, null, 2)
+        path.join(analysisDir, DEAD_CODE_FILE),
+        JSON.stringify(deadCode, null, 2)
     );
 
-    // 4. Generate AI-friendly summary
-    const summary = generateAnalysisSummary(codeInventory, fileAnalysis, dependencyMap, metrics, baseDir);
     fs.writeFileSync(
-        path.join(analysisDir, ANALYSIS_SUMMARY_FILE),
-        summary
+        path.join(analysisDir, DUPLICATES_FILE),
+        JSON.stringify(clones, null, 2)
+    );
+
+    // Locations only: secret values are never written to the analysis directory
+    const securityFindings = collectSecurityFindings(fileAnalysis, dataFiles);
+    fs.writeFileSync(
+        path.join(analysisDir, SECURITY_FILE),
+        JSON.stringify({ summary: countBySeverity(securityFindings), findings: securityFindings }, null, 2)
     );
 
-    // 5. Generate machine context
+    fs.writeFileSync(
+        path.join(analysisDir, METRICS_FILE),
+        JSON.stringify(metrics, null, 2)
+    );
+
+    // 4. Generate machine context
     const machineContext = {
         timestamp: new Date().toISOString(),
         projectPath: baseDir,
         analysisVersion: '3.0',
+        fileAnalysisVersion: FILE_ANALYSIS_VERSION,
         summary: {
             fileCount: codeInventory.totalFiles,
             totalSize: codeInventory.totalSize,
@@ -575,38 +878,74 @@ function runAnalysis(baseDir, options = {}) {
             hasTests: metrics.hasTests
         },
         files: fileAnalysis,
+        dataFiles,
         dependencies: dependencyMap,
+        deadCode,
+        clones,
+        git: gitInfo,
+        scope,
+        config,
         metrics: metrics
     };
 
+    // 5. Run the built-in and plugin rules
+    const { findings, tasks: ruleTasks } = runRules(rules, machineContext);
+    machineContext.findings = findings;
+
     fs.writeFileSync(
         path.join(analysisDir, MACHINE_CONTEXT_FILE),
         JSON.stringify(machineContext, null, 2)
     );
 
-    // 6. Generate initial task backlog
-    const taskBacklog = generateTaskBacklog(machineContext);
+    // 6. Generate AI-friendly summary
+    const summary = generateAnalysisSummary(codeInventory, fileAnalysis, dependencyMap, metrics, baseDir, deadCode, clones, gitInfo, config, findings, securityFindings);
     fs.writeFileSync(
-        path.join(analysisDir, TASK_BACKLOG_FILE),
-        JSON.stringify(taskBacklog, null, 2)
+        path.join(analysisDir, ANALYSIS_SUMMARY_FILE),
+        summary
     );
 
-    // 7. Generate individual prompt files for each task
+    // 7. Generate the task backlog and merge it into the existing one
+    const backlogPath = path.join(analysisDir, TASK_BACKLOG_FILE);
+    // A --since run only sees part of the project, so it must not resolve tasks outside that part
+    const { backlog: taskBacklog, stats: backlogStats } = mergeTaskBacklog(
+        loadTaskBacklog(backlogPath),
+        generateTaskBacklog(ruleTasks, findings),
+        { resolveMissing: !scope }
+    );
+    fs.writeFileSync(backlogPath, JSON.stringify(taskBacklog, null, 2));
+
+    // 8. Generate individual prompt files for each open task
     console.log(chalk.cyan('📝 Generating AI prompt files...'));
     const promptsDir = path.join(analysisDir, 'prompts');
     createDirectory(promptsDir);
-    
-    taskBacklog.tasks.forEach(task => {
-        const promptContent = generateTaskPrompt(task, machineContext);
+
+    // Prompt files are named after task IDs, so stale ones from earlier runs would be misleading
+    fs.readdirSync(promptsDir)
+        .filter(file => file.endsWith('.txt'))
+        .forEach(file => fs.unlinkSync(path.join(promptsDir, file)));
+
+    const activeTasks = taskBacklog.tasks.filter(task => task.status !== 'resolved');
+    activeTasks.forEach(task => {
+        const prompt = generateTaskPrompt(task, machineContext, { templates });
         const fileName = `[${task.id}] ${task.title.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, ' ').trim()}.txt`;
         const filePath = path.join(promptsDir, fileName);
         
-        fs.writeFileSync(filePath, promptContent);
-        console.log(chalk.gray(`   ✓ Created prompt: ${fileName}`));
+        fs.writeFileSync(filePath, prompt.content);
+        console.log(chalk.gray(`   ✓ Created prompt: ${fileName} (~${prompt.tokens} tokens)`));
+        if (prompt.overBudget) {
+            console.log(chalk.yellow(`   ⚠️  Still over the ${config.prompts.maxTokens} token budget after shrinking its source files`));
+        }
     });
 
-    // 8. Generate master prompt file with all tasks
-    const masterPrompt = generateMasterPrompt(taskBacklog, machineContext);
+    // 9. Record a metrics snapshot for the trend command
+    appendSnapshot(path.join(analysisDir, HISTORY_FILE), createSnapshot(machineContext, taskBacklog, {
+        commit: getCurrentCommit(baseDir),
+        complexFunctions: collectFunctions(fileAnalysis)
+            .filter(fn => isComplexFunction(fn, getFunctionThresholds(config))).length
+    }));
+
+    // 10. Generate master prompt file with all tasks
+    const masterPrompt = generateMasterPrompt(taskBacklog, machineContext, templates);
     fs.writeFileSync(
         path.join(analysisDir, 'AI_ANALYSIS_MASTER_PROMPT.txt'),
         masterPrompt
@@ -614,11 +953,90 @@ function runAnalysis(baseDir, options = {}) {
 
     console.log(chalk.green(`✅ Analysis complete! Results saved in: ${analysisDir}`));
     console.log(chalk.blue(`📊 Found ${codeInventory.totalFiles} files with ${metrics.totalLinesOfCode} lines of code`));
+    console.log(chalk.gray(`🙈 Skipped ${codeInventory.totalSkipped} files and directories (reasons listed in ${CODE_INVENTORY_FILE})`));
+    console.log(chalk.blue(`♻️  Reused ${cacheStats.reused} cached file analyses, re-analyzed ${cacheStats.reanalyzed} files`));
     console.log(chalk.blue(`🔧 Detected frameworks: ${metrics.frameworks.join(', ') || 'None'}`));
-    console.log(chalk.yellow(`📁 Generated ${taskBacklog.tasks.length} AI prompt files in: ${promptsDir}`));
+    if (dependencyMap.circular.length > 0) {
+        console.log(chalk.yellow(`🔄 Found ${dependencyMap.circular.length} groups of circular dependencies`));
+    }
+    if (clones.groups.length > 0) {
+        console.log(chalk.yellow(`📑 Found ${clones.groups.length} groups of duplicated code (${clones.duplicatedLines} duplicated lines)`));
+    }
+    if (securityFindings.length > 0) {
+        const counts = countBySeverity(securityFindings);
+        console.log(chalk.red(`🔒 Found ${securityFindings.length} security smells (${counts.error} errors, ${counts.warning} warnings, ${counts.info} info), listed in ${SECURITY_FILE}`));
+    }
+    console.log(chalk.blue(`🗂️  Backlog: ${backlogStats.added} new, ${backlogStats.kept} unchanged, ${backlogStats.reopened} reopened, ${backlogStats.resolved} resolved tasks`));
+    console.log(chalk.yellow(`📁 Generated ${activeTasks.length} AI prompt files in: ${promptsDir}`));
+    const codemodCounts = countCodemodFindings(findings);
+    if (codemodCounts.length > 0) {
+        console.log(chalk.cyan(`🪄 ${codemodCounts.reduce((sum, [, count]) => sum + count, 0)} findings can be fixed without AI: ${codemodCounts.map(([id]) => `ai-refactor codemod ${baseDir} ${id}`).join(', ')}`));
+    }
+}
+
+function countBySeverity(findings) {
+    const counts = { error: 0, warning: 0, info: 0 };
+    findings.forEach(finding => counts[finding.severity]++);
+    return counts;
+}
+
+// [codemod id, number of findings it can fix], most first
+function countCodemodFindings(findings) {
+    const counts = {};
+    findings.filter(finding => finding.codemod).forEach(finding => {
+        counts[finding.codemod] = (counts[finding.codemod] || 0) + 1;
+    });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
 }
 
-function generateAnalysisSummary(inventory, analysis, dependencies, metrics, projectPath) {
+// Settings for this run: defaults < .airefactor.json < command line flags
+function loadAnalysisConfig(baseDir, options) {
+    try {
+        const { config, source } = loadConfig(baseDir, options.config);
+        if (source) {
+            console.log(chalk.gray(`⚙️  Using configuration from ${source}`));
+        }
+
+        return resolveConfig(config, {
+            ignore: options.ignorePatterns,
+            prompts: {
+                maxTokens: options.maxTokens,
+                relatedDepth: options.relatedDepth
+            },
+            entryPoints: options.entryPoints,
+            files: {
+                useGitignore: options.useGitignore,
+                sizeLimitKB: options.sizeLimitKB
+            },
+            complexity: {
+                maxComplexity: options.maxComplexity,
+                maxFileSize: options.maxFileSize
+            },
+            check: {
+                maxLinesOfCodeGrowth: options.maxLocGrowth,
+                maxComplexityGrowth: options.maxComplexityGrowth
+            }
+        });
+    } catch (error) {
+        reportConfigError(error);
+    }
+}
+
+// Configuration and plugin problems are fatal: print every error and stop
+function reportConfigError(error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(chalk.red(`❌ ${error.message}`));
+    error.errors.forEach(message => console.error(chalk.red(`   • ${message}`)));
+    process.exit(1);
+}
+
+function generateAnalysisSummary(inventory, analysis, dependencies, metrics, projectPath, deadCode, clones, gitInfo, config, findings, securityFindings) {
+    const { maxComplexity, maxFileSize } = config.complexity;
+    const thresholds = getFunctionThresholds(config);
+    const complexFunctions = collectFunctions(analysis)
+        .filter(fn => isComplexFunction(fn, thresholds))
+        .sort((a, b) => b.cognitiveComplexity - a.cognitiveComplexity);
+
     return `# AI Refactoring Analysis Report
 
 ## Project Overview
@@ -649,16 +1067,64 @@ ${dependencies.external.length > 10 ? `... and ${dependencies.external.length -
 ## Potential Refactoring Areas
 
 ### Code Quality
-- Files with high complexity (>20): ${Object.entries(analysis)
-    .filter(([, a]) => a.complexity && a.complexity > 20)
+- Files with high complexity (>${maxComplexity}): ${Object.entries(analysis)
+    .filter(([, a]) => a.complexity && a.complexity > maxComplexity)
     .length}
-- Large files (>500 LOC): ${Object.entries(analysis)
-    .filter(([, a]) => a.linesOfCode && a.linesOfCode > 500)
+- Large files (>${maxFileSize} LOC): ${Object.entries(analysis)
+    .filter(([, a]) => a.linesOfCode && a.linesOfCode > maxFileSize)
     .length}
+- Functions with high complexity (cyclomatic >${thresholds.cyclomatic} or cognitive >${thresholds.cognitive}): ${complexFunctions.length}
+
+### Most Complex Functions
+${complexFunctions.slice(0, 5)
+    .map(fn => `- \`${fn.name}\` in ${fn.file} (lines ${fn.startLine}-${fn.endLine}): cyclomatic ${fn.cyclomaticComplexity}, cognitive ${fn.cognitiveComplexity}`)
+    .join('\n') || 'None above the thresholds'}
+
+### Hotspots (churn × complexity, commits since ${gitInfo.window})
+${!gitInfo.available
+    ? 'Git history not available'
+    : gitInfo.hotspots.slice(0, 5)
+        .map(hotspot => `- ${hotspot.file}: score ${hotspot.score} (${hotspot.commits} commits, complexity ${hotspot.complexity}, ${hotspot.authorCount} authors)`)
+        .join('\n') || 'No recently changed complex files'}
+
+### Unused Code
+- Entry points: ${deadCode.entryPoints.length ? deadCode.entryPoints.slice(0, 5).join(', ') + (deadCode.entryPoints.length > 5 ? ', ...' : '') : 'None detected'}
+- Unreachable files: ${deadCode.unreachableFiles.length}
+- Unused exports: ${deadCode.unusedExports.length}
+
+### Duplicated Code (at least ${clones.minTokens} tokens and ${clones.minLines} lines, identifiers ignored)
+- Clone groups: ${clones.groups.length}
+- Duplicated lines: ${clones.duplicatedLines}${clones.groups.slice(0, 5)
+    .map(group => `\n- ${group.fragments.length} copies of ${group.lines} lines${group.exact ? '' : ' (renamed identifiers)'}: ${group.fragments.map(fragment => `${fragment.file}:${fragment.startLine}-${fragment.endLine}`).join(', ')}`)
+    .join('')}
+
+### Security Smells
+${securityFindings.filter(finding => finding.severity !== 'info').slice(0, 10)
+    .map(finding => `- **${finding.severity}** ${finding.file}${finding.line ? `:${finding.line}` : ''}: ${finding.message}`)
+    .join('\n') || 'None found'}
 
 ### Architecture
 - Internal dependencies: ${Object.keys(dependencies.internal).length} files have internal imports
+- Module graph: ${countEdges(dependencies.graph)} file-to-file edges between ${Object.keys(dependencies.graph).length} files
+- Broken imports: ${dependencies.unresolved.length} imports could not be resolved
+- Circular dependencies: ${dependencies.circular.reduce((sum, group) => sum + group.cycles.length, 0)} import cycles in ${dependencies.circular.length} groups of files
+${dependencies.circular.slice(0, 5)
+    .map(group => `  - ${group.cycles[0].join(' → ')}${group.cycles.length > 1 ? ` (+${group.cycles.length - 1} related cycles)` : ''}`)
+    .join('\n')}
 - External dependencies: ${dependencies.external.length} unique packages
+- Unused npm packages: ${dependencies.audit.unused.length}${dependencies.audit.unused.length ? ` (${dependencies.audit.unused.slice(0, 5).map(dep => dep.name).join(', ')})` : ''}
+- Undeclared npm packages: ${dependencies.audit.undeclared.length}${dependencies.audit.undeclared.length ? ` (${dependencies.audit.undeclared.slice(0, 5).map(dep => dep.name).join(', ')})` : ''}
+- Dev dependencies used in production code: ${dependencies.audit.devOnlyInProduction.length}
+
+### Rule Findings
+${Object.entries(findings.reduce((counts, finding) => {
+    counts[finding.rule] = (counts[finding.rule] || 0) + 1;
+    return counts;
+}, {}))
+    .map(([rule, count]) => `- **${rule}**: ${count} finding${count === 1 ? '' : 's'}`)
+    .join('\n') || 'No findings'}${countCodemodFindings(findings).length > 0
+    ? `\n- Fixable without AI: ${countCodemodFindings(findings).map(([id, count]) => `${count} by \`${id}\``).join(', ')} (see \`ai-refactor codemod\`)`
+    : ''}
 
 ### Recommendations
 1. **Code Organization**: Review file structure and module organization
@@ -674,75 +1140,70 @@ Each task is designed to be AI-assistable and includes relevant context.
 `;
 }
 
-function generateTaskBacklog(context) {
-    const tasks = [];
-    let taskId = 1;
-
-    // Generate tasks based on analysis
-    if (!context.summary.hasTests) {
-        tasks.push({
-            id: `T-${String(taskId).padStart(3, '0')}`,
-            title: 'Add Testing Framework Setup',
-            priority: 'high',
-            status: 'pending',
-            description: 'Set up a testing framework and create initial test structure',
-            estimatedEffort: 'medium',
-            tags: ['testing', 'setup'],
-            sourceFiles: ['package.json'],
-            prompt: `Please help set up a comprehensive testing framework for this project. Analyze the current tech stack and recommend appropriate testing tools. Create basic test structure and configuration files.`
-        });
-        taskId++;
-    }
-
-    if (context.summary.complexity > 100) {
-        const highComplexityFiles = Object.entries(context.files)
-            .filter(([, file]) => file.complexity && file.complexity > 20)
-            .map(([path]) => path);
-            
-        if (highComplexityFiles.length > 0) {
-            tasks.push({
-                id: `T-${String(taskId).padStart(3, '0')}`,
-                title: 'Refactor High Complexity Functions',
-                priority: 'medium',
-                status: 'pending',
-                description: 'Identify and refactor functions with high cyclomatic complexity',
-                estimatedEffort: 'large',
-                tags: ['refactoring', 'complexity'],
-                sourceFiles: highComplexityFiles.slice(0, 5), // Limit to first 5
-                prompt: `Please analyze these high-complexity files and suggest refactoring strategies to reduce complexity while maintaining functionality.`
-            });
-            taskId++;
-        }
-    }
-
-    // Add documentation task if no README found
-    const hasReadme = Object.keys(context.files).some(file => 
-        file.toLowerCase().includes('readme')
-    );
-    
-    if (!hasReadme) {
-        tasks.push({
-            id: `T-${String(taskId).padStart(3, '0')}`,
-            title: 'Create Project Documentation',
-            priority: 'medium',
-            status: 'pending',
-            description: 'Create comprehensive project documentation including README',
-            estimatedEffort: 'medium',
-            tags: ['documentation'],
-            sourceFiles: ['package.json'],
-            prompt: `Please help create comprehensive project documentation. Analyze the project structure and create a detailed README.md with installation, usage, and contribution guidelines.`
-        });
-        taskId++;
-    }
+// The codemods that can fix a task's findings without an AI, unless the rule named them itself
+function getTaskCodemods(task, findings) {
+    if (task.codemods) return task.codemods;
+    const ids = findings
+        .filter(finding => finding.codemod && finding.rule === task.rule && task.sourceFiles.includes(finding.file))
+        .map(finding => finding.codemod);
+    return [...new Set(ids)];
+}
 
+// Numbers the tasks the rules produced; mergeTaskBacklog later maps them onto existing IDs
+function generateTaskBacklog(tasks, findings = []) {
     return {
         version: '3.0',
         generated: new Date().toISOString(),
         totalTasks: tasks.length,
-        tasks
+        tasks: tasks.map((task, index) => {
+            const codemods = getTaskCodemods(task, findings);
+            return { id: formatTaskId(index + 1), ...task, ...(codemods.length > 0 ? { codemods } : {}) };
+        })
     };
 }
 
+// The saved prompt of a task; a different token budget or related depth needs a fresh one.
+// Throws when no prompt can be built, so the dashboard can answer with an error.
+function loadTaskPrompt(analysisDir, task, options) {
+    const promptsDir = path.join(analysisDir, 'prompts');
+    const promptFiles = fs.existsSync(promptsDir) ? fs.readdirSync(promptsDir) : [];
+    // Prompt files are named `[T-001] Title.txt`; the brackets keep T-100 from matching T-1000
+    const promptFile = promptFiles.find(f => f.startsWith(`[${task.id}] `));
+
+    if (options.maxTokens === undefined && options.relatedDepth === undefined && promptFile && fs.existsSync(path.join(promptsDir, promptFile))) {
+        const content = fs.readFileSync(path.join(promptsDir, promptFile), 'utf8');
+        return { content, tokens: estimateTokens(content), overBudget: false };
+    }
+
+    // Fallback to generating prompt on the fly
+    const context = loadMachineContext(analysisDir);
+    if (!context) {
+        throw new Error('Could not generate prompt - missing context');
+    }
+    return generateTaskPrompt(task, context, {
+        maxTokens: options.maxTokens,
+        relatedDepth: options.relatedDepth
+    });
+}
+
+// loadTaskPrompt for commands, which end when the prompt cannot be built
+function loadPromptForCommand(analysisDir, task, options) {
+    try {
+        return loadTaskPrompt(analysisDir, task, options);
+    } catch (error) {
+        if (error instanceof ConfigError) reportConfigError(error);
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exit(1);
+    }
+}
+
+function loadMachineContext(analysisDir) {
+    const contextPath = path.join(analysisDir, MACHINE_CONTEXT_FILE);
+    return fs.existsSync(contextPath)
+        ? JSON.parse(fs.readFileSync(contextPath, 'utf8'))
+        : null;
+}
+
 // --- WORK COMMAND (Updated) ---
 async function runWork(analysisDir, options) {
     const backlogPath = path.join(analysisDir, TASK_BACKLOG_FILE);
@@ -799,28 +1260,539 @@ async function runWork(analysisDir, options) {
         process.exit(1);
     }
 
-    // Check if prompt file exists
-    const promptFiles = fs.existsSync(promptsDir) ? fs.readdirSync(promptsDir) : [];
-    const promptFile = promptFiles.find(f => f.includes(task.id));
-    
-    if (promptFile && fs.existsSync(path.join(promptsDir, promptFile))) {
-        const promptContent = fs.readFileSync(path.join(promptsDir, promptFile), 'utf8');
-        process.stdout.write(promptContent);
-    } else {
-        // Fallback to generating prompt on the fly
-        const contextPath = path.join(analysisDir, MACHINE_CONTEXT_FILE);
-        const context = fs.existsSync(contextPath) 
-            ? JSON.parse(fs.readFileSync(contextPath, 'utf8'))
-            : null;
-            
-        if (context) {
-            const promptContent = generateTaskPrompt(task, context);
-            process.stdout.write(promptContent);
-        } else {
-            console.error(chalk.red('❌ Could not generate prompt - missing context'));
-            process.exit(1);
+    const prompt = loadPromptForCommand(analysisDir, task, options);
+    process.stdout.write(prompt.content);
+    // stderr, so the prompt itself can still be piped or redirected
+    console.error(chalk.gray(`\n📏 Estimated size: ~${prompt.tokens} tokens`));
+    if (prompt.overBudget) {
+        console.error(chalk.yellow(`⚠️  Still over the ${prompt.maxTokens} token budget after shrinking its source files`));
+    }
+}
+
+// The backlog, one of its tasks and the machine context, for commands that act on a task
+function loadTaskForCommand(analysisDir, taskId) {
+    const backlogPath = path.join(analysisDir, TASK_BACKLOG_FILE);
+    if (!fs.existsSync(backlogPath)) {
+        console.error(chalk.red(`❌ Task backlog not found at "${backlogPath}". Run 'analyze' first.`));
+        process.exit(1);
+    }
+
+    const backlog = JSON.parse(fs.readFileSync(backlogPath, 'utf8'));
+    const task = backlog.tasks.find(t => t.id.toLowerCase() === taskId.toLowerCase());
+    if (!task) {
+        console.error(chalk.red(`❌ Task ${taskId} not found`));
+        process.exit(1);
+    }
+
+    const context = loadMachineContext(analysisDir);
+    if (!context) {
+        console.error(chalk.red(`❌ Machine context not found in "${analysisDir}". Run 'analyze' first.`));
+        process.exit(1);
+    }
+    return { backlogPath, backlog, task, context };
+}
+
+// --- RUN COMMAND ---
+// Sends a task prompt to the configured provider, saves the answer under responses/
+// and records the run on the task
+async function runTask(analysisDir, options) {
+    const { backlogPath, backlog, task, context } = loadTaskForCommand(analysisDir, options.task);
+
+    // Provider settings are read now rather than taken from the analysis, so a key or
+    // model can change without re-analyzing
+    let provider;
+    let settings;
+    try {
+        const { config } = loadConfig(context.projectPath, options.config);
+        ({ provider, settings } = loadProvider(resolveConfig(config, {
+            ai: {
+                provider: options.provider,
+                model: options.model,
+                baseUrl: options.baseUrl
+            }
+        }), context.projectPath));
+    } catch (error) {
+        reportConfigError(error);
+    }
+
+    const prompt = loadPromptForCommand(analysisDir, task, options);
+    console.log(chalk.blue(`🤖 Sending ${task.id} to ${provider.id} (${settings.model}), ~${prompt.tokens} tokens...`));
+
+    let result;
+    try {
+        result = await completeWithProvider(provider, { prompt: prompt.content, task }, settings);
+    } catch (error) {
+        console.error(chalk.red(`❌ ${provider.id} request failed: ${error.message}`));
+        process.exit(1);
+    }
+
+    const responsesDir = path.join(analysisDir, RESPONSES_DIR);
+    createDirectory(responsesDir);
+    const responseFile = path.join(responsesDir, `${task.id}.md`);
+    fs.writeFileSync(responseFile, result.content);
+
+    const run = {
+        at: new Date().toISOString(),
+        provider: provider.id,
+        model: result.model,
+        inputTokens: result.inputTokens,
+        outputTokens: result.outputTokens,
+        ...(result.tokensEstimated && { tokensEstimated: true }),
+        durationMs: result.durationMs,
+        response: path.posix.join(RESPONSES_DIR, `${task.id}.md`)
+    };
+    task.runs = [...(task.runs || []), run];
+    fs.writeFileSync(backlogPath, JSON.stringify(backlog, null, 2));
+
+    const estimated = result.tokensEstimated ? ' (estimated)' : '';
+    console.log(chalk.green(`✅ Response saved to: ${responseFile}`));
+    console.log(chalk.gray(`   Model: ${run.model} | Tokens: ${run.inputTokens} in, ${run.outputTokens} out${estimated} | Time: ${(run.durationMs / 1000).toFixed(1)}s`));
+}
+
+// --- APPLY COMMAND ---
+// Files a response may change: the task's source files and the related files its prompt showed
+function getPatchableFiles(task, context) {
+    const config = getContextConfig(context);
+    const related = config.prompts.relatedDepth > 0
+        ? findRelatedFiles(task.sourceFiles || [], context.dependencies, Object.keys(context.files || {}), {
+            depth: config.prompts.relatedDepth,
+            maxFiles: config.prompts.relatedMaxFiles
+        }).map(entry => entry.path)
+        : [];
+    return [...new Set([...(task.sourceFiles || []), ...related])];
+}
+
+// Maps a path from a response onto a patchable file: exact, or the one file ending with it
+function resolvePatchTarget(file, patchableFiles, projectPath) {
+    const relative = toPosix(path.isAbsolute(file) ? path.relative(projectPath, file) : file).replace(/^\.\//, '');
+    if (patchableFiles.includes(relative)) return relative;
+    const matches = patchableFiles.filter(candidate => candidate.endsWith(`/${relative}`));
+    return matches.length === 1 ? matches[0] : null;
+}
+
+function readProjectFile(projectPath, file) {
+    const fullPath = path.join(projectPath, file);
+    return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+}
+
+// The new content of every file a response changes, in the order they appear
+function buildPatchedFiles(changes, projectPath) {
+    const patched = new Map();
+    changes.forEach(change => {
+        const current = patched.has(change.target)
+            ? patched.get(change.target)
+            : readProjectFile(projectPath, change.target);
+
+        if (change.type === 'diff') {
+            patched.set(change.target, applyHunks(change.isNew ? null : current, change.hunks, change.target));
+            return;
+        }
+
+        let lines = change.content.split('\n');
+        // A first line that only names the file is a label, unless the file starts with it too
+        if (change.labelLine && !(current || '').startsWith(lines[0])) lines = lines.slice(1);
+        let content = lines.join('\n');
+        if (current?.endsWith('\n') && !content.endsWith('\n')) content += '\n';
+        patched.set(change.target, content);
+    });
+    return patched;
+}
+
+function getParseError(file, content) {
+    try {
+        parseSource(extractScriptContent(content, file));
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+async function confirm(question) {
+    const readline = require('readline');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => rl.question(question, resolve));
+    rl.close();
+    return /^y(es)?$/i.test(answer.trim());
+}
+
+// Applies the code changes in an AI response to the task's files. Every changed file is
+// backed up first; the patch is rolled back when a file stops parsing.
+async function runApply(analysisDir, options) {
+    const { backlogPath, backlog, task, context } = loadTaskForCommand(analysisDir, options.task);
+    const projectPath = context.projectPath;
+
+    if (options.revert) {
+        revertPatch(analysisDir, backlogPath, backlog, task, projectPath);
+        return;
+    }
+
+    const lastRun = (task.runs || [])[task.runs?.length - 1];
+    const responsePath = options.response || (lastRun && path.join(analysisDir, lastRun.response));
+    if (!responsePath || !fs.existsSync(responsePath)) {
+        console.error(chalk.red(`❌ No response to apply${responsePath ? ` at "${responsePath}"` : ''}. Pass --response <file> or use 'run' first.`));
+        process.exit(1);
+    }
+
+    const { changes, unlabeled } = extractChanges(fs.readFileSync(responsePath, 'utf8'));
+    if (changes.length === 0) {
+        console.error(chalk.red(`❌ No unified diffs or code blocks labelled with a file name in ${responsePath}`));
+        process.exit(1);
+    }
+    if (unlabeled > 0) {
+        console.log(chalk.gray(`ℹ️  Ignoring ${unlabeled} code blocks without a file name`));
+    }
+
+    const patchableFiles = getPatchableFiles(task, context);
+    const outside = [];
+    changes.forEach(change => {
+        change.target = resolvePatchTarget(change.file, patchableFiles, projectPath);
+        if (!change.target) outside.push(change.file);
+    });
+    if (outside.length > 0) {
+        console.error(chalk.red(`❌ The response changes files outside task ${task.id}: ${[...new Set(outside)].join(', ')}`));
+        console.error(chalk.gray(`   Allowed are its source files and related files: ${patchableFiles.join(', ') || 'none'}`));
+        process.exit(1);
+    }
+
+    let patched;
+    try {
+        patched = buildPatchedFiles(changes, projectPath);
+    } catch (error) {
+        if (!(error instanceof PatchError)) throw error;
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exit(1);
+    }
+
+    const changed = [...patched.entries()]
+        .map(([file, content]) => ({ file, before: readProjectFile(projectPath, file), after: content }))
+        .filter(entry => entry.before !== entry.after);
+    if (changed.length === 0) {
+        console.log(chalk.yellow('⚠️  The response does not change any file'));
+        return;
+    }
+
+    changed.forEach(({ file, before, after }) => {
+        console.log(`\n${colorizeDiff(createUnifiedDiff(before, after, file))}`);
+        const shrunk = change => change.type === 'full' && change.target === file;
+        if (before && changes.some(shrunk) && after.split('\n').length < before.split('\n').length / 2) {
+            console.log(chalk.yellow(`⚠️  ${file} would lose more than half its lines; the code block may be an excerpt rather than the whole file`));
         }
+    });
+    console.log('');
+
+    if (options.dryRun) {
+        console.log(chalk.cyan(`💡 Dry run: ${changed.length} files would change`));
+        return;
+    }
+    if (!options.yes && !(await confirm(`Apply changes to ${changed.length} files? [y/N] `))) {
+        console.log(chalk.gray('Nothing was changed.'));
+        return;
     }
+
+    const relativeResponse = toPosix(path.relative(analysisDir, responsePath));
+    const backupDir = createBackup(path.join(analysisDir, BACKUPS_DIR, task.id), projectPath, changed.map(entry => entry.file), {
+        task: task.id,
+        response: relativeResponse
+    });
+    changed.forEach(({ file, after }) => {
+        const fullPath = path.join(projectPath, file);
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, after);
+    });
+
+    // Only files that parsed before can be blamed on the patch
+    const broken = changed
+        .filter(({ file, before }) => SCRIPT_EXTENSIONS.includes(path.extname(file)) && (before === null || !getParseError(file, before)))
+        .map(({ file, after }) => ({ file, error: getParseError(file, after) }))
+        .filter(entry => entry.error);
+    if (broken.length > 0) {
+        restoreBackup(backupDir, projectPath);
+        fs.rmSync(backupDir, { recursive: true, force: true });
+        console.error(chalk.red('❌ The patched files no longer parse, so every change was rolled back:'));
+        broken.forEach(({ file, error }) => console.error(chalk.red(`   • ${file}: ${error}`)));
+        process.exit(1);
+    }
+
+    const at = new Date().toISOString();
+    task.patches = [...(task.patches || []), {
+        at,
+        response: relativeResponse,
+        files: changed.map(entry => entry.file),
+        backup: toPosix(path.relative(analysisDir, backupDir))
+    }];
+    addHistory(task, 'patched', at);
+    fs.writeFileSync(backlogPath, JSON.stringify(backlog, null, 2));
+
+    console.log(chalk.green(`✅ Applied changes to ${changed.length} files for task ${task.id}`));
+    console.log(chalk.gray(`💾 Backup saved to: ${backupDir}`));
+    console.log(chalk.cyan(`💡 Undo with: ai-refactor apply ${analysisDir} --task ${task.id} --revert`));
+}
+
+// Restores the files of the task's most recent patch that is not reverted yet
+function revertPatch(analysisDir, backlogPath, backlog, task, projectPath) {
+    const patch = [...(task.patches || [])].reverse().find(entry => !entry.revertedAt);
+    if (!patch) {
+        console.error(chalk.red(`❌ Task ${task.id} has no applied patch to revert`));
+        process.exit(1);
+    }
+
+    const files = restoreBackup(path.join(analysisDir, patch.backup), projectPath);
+    patch.revertedAt = new Date().toISOString();
+    addHistory(task, 'reverted', patch.revertedAt);
+    fs.writeFileSync(backlogPath, JSON.stringify(backlog, null, 2));
+
+    console.log(chalk.green(`✅ Reverted the patch applied to task ${task.id} at ${new Date(patch.at).toLocaleString()}`));
+    files.forEach(file => console.log(chalk.gray(`   • ${file}`)));
+}
+
+// --- CODEMOD COMMAND ---
+// The files a codemod run covers: one file, or every script in a directory that is not ignored
+function findCodemodFiles(target, options) {
+    if (fs.statSync(target).isFile()) {
+        return { baseDir: path.dirname(target), files: [{ path: target, relativePath: path.basename(target) }] };
+    }
+    const config = loadAnalysisConfig(target, { config: options.config, ignorePatterns: options.ignore || [] });
+    const { files } = traverseDirectory(target, {
+        ignorePatterns: config.ignore,
+        useGitignore: config.files.useGitignore,
+        maxFileSize: config.files.sizeLimitKB * 1024
+    });
+    return { baseDir: target, files };
+}
+
+// Runs one codemod, or all of them in order, over a file or directory
+function runCodemods(target, transform, options) {
+    const codemods = transform === 'all' ? CODEMODS : [findCodemod(transform)].filter(Boolean);
+    if (codemods.length === 0) {
+        console.error(chalk.red(`❌ Unknown transform "${transform}". Available: ${CODEMODS.map(codemod => codemod.id).join(', ')}, all`));
+        process.exit(1);
+    }
+    if (!fs.existsSync(target)) {
+        console.error(chalk.red(`❌ Not found: ${target}`));
+        process.exit(1);
+    }
+
+    const { files } = findCodemodFiles(target, options);
+    const scripts = files.filter(file => CODEMOD_EXTENSIONS.includes(path.extname(file.path)));
+    console.log(chalk.blue(`🪄 Running ${codemods.map(codemod => codemod.id).join(', ')} on ${scripts.length} files`));
+
+    const changed = [];
+    const unparsable = [];
+    scripts.forEach(file => {
+        const relativePath = toPosix(file.relativePath);
+        const before = fs.readFileSync(file.path, 'utf8');
+        let after = before;
+        let fixCount = 0;
+        for (const codemod of codemods) {
+            // Only the original can fail to parse: every result is checked before it is kept
+            const result = runCodemod(codemod, file.path, after);
+            if (!result) {
+                unparsable.push(relativePath);
+                return;
+            }
+            if (result.output === after) continue;
+
+            const parseError = getParseError(relativePath, result.output);
+            if (parseError) {
+                console.log(chalk.yellow(`⚠️  Skipped ${codemod.id} in ${relativePath}: the result would not parse (${parseError})`));
+                continue;
+            }
+            after = result.output;
+            fixCount += result.fixes.length;
+        }
+        if (after === before) return;
+        changed.push({ file: relativePath, path: file.path, before, after, fixCount });
+    });
+
+    if (unparsable.length > 0) {
+        console.log(chalk.gray(`🙈 Skipped ${unparsable.length} files that do not parse`));
+    }
+    if (changed.length === 0) {
+        console.log(chalk.green('✨ Nothing to change'));
+        return;
+    }
+
+    const fixTotal = changed.reduce((sum, entry) => sum + entry.fixCount, 0);
+    if (options.dryRun) {
+        changed.forEach(({ file, before, after }) => console.log(`\n${colorizeDiff(createUnifiedDiff(before, after, file))}`));
+        console.log(chalk.cyan(`\n💡 Dry run: ${fixTotal} changes in ${changed.length} files would be made`));
+        return;
+    }
+
+    changed.forEach(entry => {
+        fs.writeFileSync(entry.path, entry.after);
+        console.log(chalk.gray(`   ✓ ${entry.file} (${entry.fixCount} changes)`));
+    });
+    console.log(chalk.green(`✅ Made ${fixTotal} changes in ${changed.length} files`));
+    console.log(chalk.cyan('💡 Review the changes and run your tests before committing them'));
+}
+
+// --- SERVE COMMAND ---
+// The dashboard's actions go through the same code as the work and complete commands
+function runServe(analysisDir, options) {
+    if (!fs.existsSync(path.join(analysisDir, MACHINE_CONTEXT_FILE))) {
+        console.error(chalk.red(`❌ No analysis found in ${analysisDir}. Run analyze first.`));
+        process.exit(1);
+    }
+    const backlogPath = path.join(analysisDir, TASK_BACKLOG_FILE);
+    const findTask = (backlog, taskId) => backlog.tasks.find(t => t.id.toLowerCase() === taskId.toLowerCase());
+    const readBacklog = () => loadTaskBacklog(backlogPath) || { tasks: [] };
+
+    const actions = {
+        getPrompt(taskId) {
+            const task = findTask(readBacklog(), taskId);
+            return task ? loadTaskPrompt(analysisDir, task, {}).content : null;
+        },
+        completeTask(taskId, completeOptions) {
+            const backlog = readBacklog();
+            const task = findTask(backlog, taskId);
+            if (!task) return null;
+            const result = completeBacklogTask(analysisDir, backlog, task, completeOptions);
+            if (result.outcome !== 'unchanged') {
+                fs.writeFileSync(backlogPath, JSON.stringify(backlog, null, 2));
+            }
+            console.log(chalk.gray(`   ${result.outcome === 'completed' ? '✓' : '✗'} ${result.message}`));
+            return result;
+        }
+    };
+
+    startDashboard(analysisDir, {
+        port: options.port,
+        host: options.host,
+        files: {
+            context: MACHINE_CONTEXT_FILE,
+            backlog: TASK_BACKLOG_FILE,
+            summary: ANALYSIS_SUMMARY_FILE,
+            dependencies: DEPENDENCY_MAP_FILE
+        },
+        actions
+    }).then(server => {
+        const { port } = server.address();
+        console.log(chalk.green(`✅ Dashboard running at http://${options.host}:${port}`));
+        console.log(chalk.gray('   It reloads when the analysis changes. Press Ctrl+C to stop.'));
+    }).catch(error => {
+        console.error(chalk.red(`❌ Cannot start the dashboard: ${error.message}`));
+        process.exit(1);
+    });
+}
+
+// --- CHECK COMMAND ---
+function readBaseline(baselinePath) {
+    if (!fs.existsSync(baselinePath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    } catch (error) {
+        console.error(chalk.red(`❌ Cannot read baseline ${baselinePath}: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+// Analyzes the project in memory and compares it to the committed baseline. New problems
+// exit with code 1 so CI fails the build; the last line is a key=value summary for scripts.
+function runCheck(baseDir, options) {
+    if (!fs.existsSync(baseDir)) {
+        console.error(chalk.red(`❌ Directory not found: ${baseDir}`));
+        process.exit(1);
+    }
+
+    const config = loadAnalysisConfig(baseDir, {
+        config: options.config,
+        ignorePatterns: options.ignore,
+        maxLocGrowth: options.maxLocGrowth,
+        maxComplexityGrowth: options.maxComplexityGrowth
+    });
+    let rules;
+    try {
+        rules = loadRules(config, baseDir);
+    } catch (error) {
+        reportConfigError(error);
+    }
+    const baselinePath = options.baseline || path.resolve(baseDir, config.check.baseline);
+
+    console.log(chalk.blue(`🚦 Checking ${baseDir} against its baseline...`));
+    const source = analyzeCurrentSource(baseDir, config, loadPreviousFileAnalysis(path.join(baseDir, ANALYSIS_DIR, MACHINE_CONTEXT_FILE)));
+    const context = {
+        timestamp: new Date().toISOString(),
+        projectPath: baseDir,
+        ...source,
+        git: collectGitInfo(baseDir, source.files, config),
+        scope: null,
+        config
+    };
+    const { findings, tasks } = runRules(rules, context);
+    context.findings = findings;
+    const current = createBaseline(context, tasks);
+
+    if (options.updateBaseline) {
+        fs.writeFileSync(baselinePath, `${JSON.stringify(current, null, 2)}\n`);
+        console.log(chalk.green(`✅ Baseline written to ${baselinePath}`));
+        console.log(chalk.gray(`   Tolerated from now on: ${Object.keys(current.complexFiles).length} files over the complexity limit, ${current.cycles.length} import cycles, ${current.findings.length} high-priority findings`));
+        console.log(chalk.gray('   Commit it so CI checks against it.'));
+        return;
+    }
+
+    const baseline = readBaseline(baselinePath);
+    if (!baseline) {
+        console.error(chalk.red(`❌ No baseline found at ${baselinePath}`));
+        console.error(chalk.yellow(`💡 Record the current state with: ai-refactor check ${baseDir} --update-baseline`));
+        process.exit(1);
+    }
+    if (baseline.version !== BASELINE_VERSION) {
+        console.error(chalk.red(`❌ Baseline ${baselinePath} has version ${baseline.version}; this tool reads version ${BASELINE_VERSION}. Record it again with --update-baseline.`));
+        process.exit(1);
+    }
+
+    const result = compareToBaseline(baseline, current, config.check);
+    if (result.passed) {
+        console.log(chalk.green(`✅ No new problems since the baseline of ${new Date(baseline.created).toLocaleString()}`));
+    } else {
+        console.log(chalk.red(`❌ ${result.violations.length} new problems since the baseline of ${new Date(baseline.created).toLocaleString()}:`));
+        result.violations.forEach(violation => console.log(chalk.red(`   • ${violation.message}`)));
+    }
+    if (result.summary.fixed > 0) {
+        console.log(chalk.cyan(`🎉 ${result.summary.fixed} problems recorded in the baseline are fixed. Run with --update-baseline to keep them from coming back.`));
+    }
+    console.log(formatSummaryLine(result.summary));
+
+    if (!result.passed) process.exit(1);
+}
+
+// --- REPORT COMMAND ---
+// Rule descriptions come from the rules the analysis was configured with; a plugin that
+// can no longer be loaded only costs its descriptions
+function loadReportRules(context) {
+    try {
+        return loadRules(getContextConfig(context), context.projectPath);
+    } catch (error) {
+        console.log(chalk.yellow(`⚠️  Rule descriptions unavailable: ${error.message}`));
+        return [];
+    }
+}
+
+function runReport(analysisDir, options) {
+    const format = REPORT_FORMATS.find(candidate => candidate.id === options.format);
+    if (!format) {
+        console.error(chalk.red(`❌ Unknown report format "${options.format}". Use one of: ${REPORT_FORMATS.map(candidate => candidate.id).join(', ')}`));
+        process.exit(1);
+    }
+    const context = loadMachineContext(analysisDir);
+    if (!context) {
+        console.error(chalk.red(`❌ No analysis found in ${analysisDir}. Run analyze first.`));
+        process.exit(1);
+    }
+
+    const backlog = loadTaskBacklog(path.join(analysisDir, TASK_BACKLOG_FILE));
+    const report = createReport(context, backlog, {
+        tool: { name: TOOL_NAME, version: TOOL_VERSION },
+        rules: loadReportRules(context)
+    });
+    const outputPath = options.output || path.join(analysisDir, `report${format.extension}`);
+    createDirectory(path.dirname(path.resolve(outputPath)));
+    fs.writeFileSync(outputPath, format.render(report));
+
+    const { findings, tasks } = report.summary;
+    console.log(chalk.green(`✅ ${format.description} written to ${outputPath}`));
+    console.log(chalk.gray(`   ${report.findings.length} findings (${findings.error} errors, ${findings.warning} warnings, ${findings.info} info), ${report.tasks.length} tasks (${tasks.pending} pending)`));
 }
 
 // --- STATUS COMMAND ---
@@ -849,24 +1821,112 @@ function runStatus(analysisDir) {
     if (backlog) {
         const pendingTasks = backlog.tasks.filter(t => t.status === 'pending');
         const completedTasks = backlog.tasks.filter(t => t.status === 'completed');
+        const resolvedTasks = backlog.tasks.filter(t => t.status === 'resolved');
         console.log(`${chalk.cyan('Pending Tasks:')} ${pendingTasks.length}`);
         console.log(`${chalk.cyan('Completed Tasks:')} ${completedTasks.length}`);
+        console.log(`${chalk.cyan('Resolved Tasks:')} ${resolvedTasks.length}`);
+    }
+}
+
+// --- TREND COMMAND ---
+function formatTrendDelta(metric, delta) {
+    if (delta === 0 || Number.isNaN(delta)) return chalk.gray('±0');
+    const text = `${delta > 0 ? '+' : ''}${delta}`;
+    if (!metric.better) return chalk.gray(text);
+    const improved = metric.better === 'lower' ? delta < 0 : delta > 0;
+    return improved ? chalk.green(text) : chalk.red(text);
+}
+
+function runTrend(analysisDir, options) {
+    const history = loadHistory(path.join(analysisDir, HISTORY_FILE));
+
+    if (history.length === 0) {
+        console.log(chalk.red('❌ No metrics history found. Run analyze command first.'));
+        return;
+    }
+
+    if (options.export) {
+        const format = path.extname(options.export).toLowerCase();
+        if (!['.csv', '.json'].includes(format)) {
+            console.error(chalk.red('❌ Export file must end in .csv or .json'));
+            process.exit(1);
+        }
+        fs.writeFileSync(
+            options.export,
+            format === '.csv' ? historyToCsv(history) : JSON.stringify(history, null, 2)
+        );
+        console.log(chalk.green(`✅ Exported ${history.length} snapshots to: ${options.export}`));
+        return;
+    }
+
+    const recent = history.slice(-(parseInt(options.last, 10) || 10));
+    const first = recent[0];
+    const latest = recent[recent.length - 1];
+
+    console.log(chalk.blue(`📈 Metrics trend over the last ${recent.length} of ${history.length} runs`));
+    console.log(chalk.gray(`   ${new Date(first.timestamp).toLocaleString()} → ${new Date(latest.timestamp).toLocaleString()}\n`));
+
+    if (options.table) {
+        const header = ['Date', 'Commit', 'LOC', 'Complexity', 'Complex Fns', 'Pending', 'Completed'];
+        const rows = recent.map(snapshot => [
+            new Date(snapshot.timestamp).toLocaleDateString(),
+            snapshot.commit ? snapshot.commit.slice(0, 7) : '-',
+            snapshot.linesOfCode,
+            snapshot.complexity,
+            snapshot.complexFunctions,
+            snapshot.tasks.pending,
+            snapshot.tasks.completed
+        ].map(String));
+        const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)));
+        const formatRow = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+
+        console.log(chalk.cyan(formatRow(header)));
+        rows.forEach(row => console.log(formatRow(row)));
+        return;
     }
+
+    TREND_METRICS.forEach(metric => {
+        const values = recent.map(snapshot => getMetricValue(snapshot, metric.key));
+        const current = getMetricValue(latest, metric.key);
+        const delta = current - getMetricValue(first, metric.key);
+        console.log(`${chalk.cyan(metric.label.padEnd(20))} ${sparkline(values).padEnd(recent.length)}  ${String(current ?? '-').padStart(7)}  ${formatTrendDelta(metric, delta)}`);
+    });
 }
 
 // --- COMMAND LINE INTERFACE ---
 program
-    .name('ai-refactor-tool')
+    .name(TOOL_NAME)
     .description('Enhanced AI-assisted codebase analysis and refactoring tool')
-    .version('3.0.0');
+    .version(TOOL_VERSION);
 
 program
     .command('analyze <directory>')
     .description('Analyze a codebase and generate AI-friendly analysis')
     .option('-i, --ignore <patterns...>', 'Additional patterns to ignore', [])
+    .option('-e, --entry <files...>', 'Additional entry point files or directories for unused code detection', [])
+    .option('--full', 'Ignore cached results from the previous run and re-analyze every file')
+    .option('-s, --since <ref>', 'Only generate tasks for files changed since a git branch, tag or commit')
+    .option('-c, --config <file>', 'Use this configuration file instead of looking for .airefactor.json')
+    .option('--max-complexity <number>', 'Complexity above which a file is reported as highly complex', Number)
+    .option('--max-file-size <number>', 'Lines of code above which a file is reported as large', Number)
+    .option('--no-gitignore', 'Do not skip files listed in .gitignore and .ignore files')
+    .option('--size-limit <kb>', 'Skip files larger than this many kilobytes (default: 1024)', Number)
+    .option('--max-tokens <count>', 'Shrink the source files in each task prompt to fit this many tokens', Number)
+    .option('--related-depth <steps>', 'Import steps followed to add related files to task prompts (0 for none)', Number)
     .action((directory, options) => {
         runAnalysis(directory, { 
-            ignorePatterns: [...(options.ignore || []), '.git', 'node_modules', 'dist', 'build', 'ai-analysis'] 
+            ignorePatterns: options.ignore || [],
+            entryPoints: options.entry || [],
+            config: options.config,
+            maxComplexity: options.maxComplexity,
+            maxFileSize: options.maxFileSize,
+            // Only an explicit --no-gitignore overrides the configuration
+            useGitignore: options.gitignore === false ? false : undefined,
+            sizeLimitKB: options.sizeLimit,
+            maxTokens: options.maxTokens,
+            relatedDepth: options.relatedDepth,
+            full: options.full,
+            since: options.since
         });
     });
 
@@ -874,16 +1934,83 @@ program
     .command('work <analysisDir>')
     .description('Work with generated tasks')
     .option('-t, --task <taskId>', 'Generate prompt for specific task')
+    .option('--max-tokens <count>', 'Rebuild the task prompt to fit this many tokens', Number)
+    .option('--related-depth <steps>', 'Rebuild the task prompt with related files up to this many import steps away', Number)
     .action(runWork);
 
+program
+    .command('run <analysisDir>')
+    .description('Send a task prompt to an AI provider and save its response')
+    .requiredOption('-t, --task <taskId>', 'Task to run')
+    .option('-p, --provider <name>', 'Provider: openai, anthropic, ollama, llamacpp, mock or a provider module')
+    .option('-m, --model <name>', 'Model to use instead of the configured one')
+    .option('--base-url <url>', 'API base URL, e.g. of a local OpenAI-compatible server')
+    .option('-c, --config <file>', 'Use this configuration file instead of looking for .airefactor.json')
+    .option('--max-tokens <count>', 'Rebuild the task prompt to fit this many tokens', Number)
+    .option('--related-depth <steps>', 'Rebuild the task prompt with related files up to this many import steps away', Number)
+    .action(runTask);
+
+program
+    .command('apply <analysisDir>')
+    .description('Apply the code changes in an AI response to the task\'s files')
+    .requiredOption('-t, --task <taskId>', 'Task the response belongs to')
+    .option('-r, --response <file>', 'Response to apply (default: the task\'s latest response from run)')
+    .option('--dry-run', 'Only show the changes')
+    .option('-y, --yes', 'Apply without asking for confirmation')
+    .option('--revert', 'Restore the files changed by the task\'s most recent patch')
+    .action(runApply);
+
+program
+    .command('codemod <directory> <transform>')
+    .description(`Rewrite code with a built-in transform: ${CODEMODS.map(codemod => codemod.id).join(', ')} or all`)
+    .option('--dry-run', 'Only show the changes as a diff')
+    .option('-i, --ignore <patterns...>', 'Additional patterns to ignore', [])
+    .option('-c, --config <file>', 'Use this configuration file instead of looking for .airefactor.json')
+    .action(runCodemods);
+
+program
+    .command('serve <analysisDir>')
+    .description('Start a local web dashboard for an analysis')
+    .option('-p, --port <number>', 'Port to listen on', Number, 4300)
+    .option('--host <address>', 'Address to listen on', '127.0.0.1')
+    .action(runServe);
+
+program
+    .command('check <directory>')
+    .description('Analyze a codebase and fail if it has new problems compared to a baseline')
+    .option('-b, --baseline <file>', 'Baseline file (default: .airefactor-baseline.json in the directory)')
+    .option('--update-baseline', 'Record the current state as the baseline instead of checking against it')
+    .option('--max-loc-growth <percent>', 'Allowed growth in lines of code over the baseline', Number)
+    .option('--max-complexity-growth <percent>', 'Allowed growth in total complexity over the baseline', Number)
+    .option('-i, --ignore <patterns...>', 'Additional patterns to ignore', [])
+    .option('-c, --config <file>', 'Use this configuration file instead of looking for .airefactor.json')
+    .action(runCheck);
+
+program
+    .command('report <analysisDir>')
+    .description('Export the analysis as a SARIF, HTML, JUnit or JSON report')
+    .requiredOption('-f, --format <format>', `Report format: ${REPORT_FORMATS.map(format => format.id).join(', ')}`)
+    .option('-o, --output <file>', 'File to write (default: report.<format extension> in the analysis directory)')
+    .action(runReport);
+
 program
     .command('status <analysisDir>')
     .description('Show project analysis status and metrics')
     .action(runStatus);
 
+program
+    .command('trend <analysisDir>')
+    .description('Show how metrics changed across analysis runs')
+    .option('-n, --last <count>', 'Number of most recent runs to show', '10')
+    .option('--table', 'Show one row per run instead of sparklines')
+    .option('-e, --export <file>', 'Export the full history as CSV or JSON (by file extension)')
+    .action(runTrend);
+
 program
     .command('complete <analysisDir> <taskId>')
     .description('Mark a task as completed')
+    .option('--verify', 'Re-run the rule that created the task and refuse if it still reports the problem')
+    .option('-f, --force', 'Complete the task even if verification fails')
     .action(completeTask);
 
 program
@@ -911,4 +2038,4 @@ if (require.main === module) {
     program.parse();
 }
 
-module.exports = { runAnalysis, runWork, runStatus };
+module.exports = { runAnalysis, runWork, runTask, runApply, runCodemods, runServe, runCheck, runReport, runStatus, runTrend };
@@ -0,0 +1,41 @@
+// src/providers/anthropic.js
+// Provider: the Anthropic Messages API
+
+const { ProviderError, joinUrl, postJson } = require('./http');
+
+const API_VERSION = '2023-06-01';
+
+module.exports = {
+    id: 'anthropic',
+    description: 'The Anthropic Messages API',
+    defaults: {
+        baseUrl: 'https://api.anthropic.com',
+        apiKeyEnv: 'ANTHROPIC_API_KEY'
+    },
+
+    async complete({ prompt }, settings) {
+        const response = await postJson(joinUrl(settings.baseUrl, '/v1/messages'), {
+            model: settings.model,
+            max_tokens: settings.maxOutputTokens,
+            temperature: settings.temperature,
+            messages: [{ role: 'user', content: prompt }]
+        }, {
+            headers: {
+                'anthropic-version': API_VERSION,
+                ...(settings.apiKey && { 'x-api-key': settings.apiKey })
+            },
+            timeoutSeconds: settings.timeoutSeconds
+        });
+
+        const blocks = (response.content || []).filter(block => block.type === 'text');
+        if (blocks.length === 0) {
+            throw new ProviderError('The response contains no text');
+        }
+        return {
+            content: blocks.map(block => block.text).join(''),
+            model: response.model,
+            inputTokens: response.usage?.input_tokens,
+            outputTokens: response.usage?.output_tokens
+        };
+    }
+};
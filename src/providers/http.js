@@ -0,0 +1,80 @@
+// src/providers/http.js
+// Minimal JSON-over-HTTP client shared by the provider adapters
+
+const http = require('http');
+const https = require('https');
+
+class ProviderError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+    }
+}
+
+function joinUrl(baseUrl, endpoint) {
+    return baseUrl.replace(/\/+$/, '') + endpoint;
+}
+
+// The error message an API put in its response body, whichever of the common shapes it uses
+function describeErrorBody(json, text) {
+    if (typeof json?.error === 'string') return json.error;
+    if (json?.error?.message) return json.error.message;
+    return text.slice(0, 200) || 'empty response';
+}
+
+function postJson(url, body, { headers = {}, timeoutSeconds }) {
+    return new Promise((resolve, reject) => {
+        let target;
+        try {
+            target = new URL(url);
+        } catch (error) {
+            reject(new ProviderError(`Invalid URL "${url}"`));
+            return;
+        }
+
+        const payload = JSON.stringify(body);
+        const client = target.protocol === 'https:' ? https : http;
+        const request = client.request(target, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'content-length': Buffer.byteLength(payload),
+                ...headers
+            },
+            timeout: timeoutSeconds * 1000
+        }, response => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                text += chunk;
+            });
+            response.on('end', () => {
+                let json = null;
+                try {
+                    json = JSON.parse(text);
+                } catch (error) {
+                    // Reported below, or as part of the HTTP error
+                }
+
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    reject(new ProviderError(`${url} answered ${response.statusCode}: ${describeErrorBody(json, text)}`, response.statusCode));
+                } else if (!json) {
+                    reject(new ProviderError(`${url} did not answer with JSON`));
+                } else {
+                    resolve(json);
+                }
+            });
+        });
+
+        request.on('timeout', () => {
+            request.destroy(new ProviderError(`No answer from ${url} within ${timeoutSeconds} seconds`));
+        });
+        request.on('error', error => {
+            reject(error instanceof ProviderError ? error : new ProviderError(`Request to ${url} failed: ${error.message}`));
+        });
+        request.end(payload);
+    });
+}
+
+module.exports = { ProviderError, joinUrl, postJson };
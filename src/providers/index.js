@@ -0,0 +1,10 @@
+// src/providers/index.js
+// Built-in provider adapters, by id
+
+module.exports = [
+    require('./openai'),
+    require('./anthropic'),
+    require('./ollama'),
+    require('./llamacpp'),
+    require('./mock')
+];
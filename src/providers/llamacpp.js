@@ -0,0 +1,14 @@
+// src/providers/llamacpp.js
+// Provider: a local llama.cpp server, through its OpenAI-compatible endpoint
+
+const openai = require('./openai');
+
+module.exports = {
+    ...openai,
+    id: 'llamacpp',
+    description: 'A local llama.cpp server (llama-server)',
+    defaults: {
+        baseUrl: 'http://localhost:8080/v1',
+        model: 'local'                  // the server answers with whatever model it loaded
+    }
+};
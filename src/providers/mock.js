@@ -0,0 +1,42 @@
+// src/providers/mock.js
+// Provider: deterministic answers without a model, for tests and dry runs. Answers with
+// <fixturesDir>/<task id>.md or <fixturesDir>/default.md when one exists, otherwise with a
+// canned response derived from the prompt.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function readFixture(fixturesDir, task) {
+    if (!fixturesDir) return null;
+    const file = [`${task.id}.md`, 'default.md']
+        .map(name => path.join(fixturesDir, name))
+        .find(candidate => fs.existsSync(candidate));
+    return file ? fs.readFileSync(file, 'utf8') : null;
+}
+
+module.exports = {
+    id: 'mock',
+    description: 'Deterministic answers from fixture files, without calling a model',
+    defaults: {
+        model: 'mock'
+    },
+
+    async complete({ prompt, task }, settings) {
+        const fixture = readFixture(settings.fixturesDir, task);
+        if (fixture !== null) return { content: fixture };
+
+        const fingerprint = crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 12);
+        return {
+            content: [
+                `# Mock response for ${task.id}: ${task.title}`,
+                '',
+                'No model was called. This answer comes from the mock provider.',
+                '',
+                `- Prompt fingerprint: ${fingerprint}`,
+                `- Source files: ${(task.sourceFiles || []).join(', ') || 'none'}`,
+                ''
+            ].join('\n')
+        };
+    }
+};
@@ -0,0 +1,36 @@
+// src/providers/ollama.js
+// Provider: a local Ollama server, through its native /api/chat endpoint
+
+const { ProviderError, joinUrl, postJson } = require('./http');
+
+module.exports = {
+    id: 'ollama',
+    description: 'A local Ollama server',
+    defaults: {
+        baseUrl: 'http://localhost:11434'
+    },
+
+    async complete({ prompt }, settings) {
+        const response = await postJson(joinUrl(settings.baseUrl, '/api/chat'), {
+            model: settings.model,
+            messages: [{ role: 'user', content: prompt }],
+            stream: false,
+            options: {
+                temperature: settings.temperature,
+                num_predict: settings.maxOutputTokens
+            }
+        }, {
+            timeoutSeconds: settings.timeoutSeconds
+        });
+
+        if (typeof response.message?.content !== 'string') {
+            throw new ProviderError('The response contains no message');
+        }
+        return {
+            content: response.message.content,
+            model: response.model,
+            inputTokens: response.prompt_eval_count,
+            outputTokens: response.eval_count
+        };
+    }
+};
@@ -0,0 +1,36 @@
+// src/providers/openai.js
+// Provider: OpenAI, and any server with an OpenAI-compatible /chat/completions endpoint
+
+const { ProviderError, joinUrl, postJson } = require('./http');
+
+module.exports = {
+    id: 'openai',
+    description: 'OpenAI or any OpenAI-compatible /chat/completions endpoint',
+    defaults: {
+        baseUrl: 'https://api.openai.com/v1',
+        apiKeyEnv: 'OPENAI_API_KEY'
+    },
+
+    async complete({ prompt }, settings) {
+        const response = await postJson(joinUrl(settings.baseUrl, '/chat/completions'), {
+            model: settings.model,
+            messages: [{ role: 'user', content: prompt }],
+            max_tokens: settings.maxOutputTokens,
+            temperature: settings.temperature
+        }, {
+            headers: settings.apiKey ? { authorization: `Bearer ${settings.apiKey}` } : {},
+            timeoutSeconds: settings.timeoutSeconds
+        });
+
+        const content = response.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new ProviderError('The response contains no message');
+        }
+        return {
+            content,
+            model: response.model,
+            inputTokens: response.usage?.prompt_tokens,
+            outputTokens: response.usage?.completion_tokens
+        };
+    }
+};
@@ -0,0 +1,155 @@
+// src/reports/html.js
+// A single HTML file with its styles inlined, so it can be attached to a CI run or mailed
+// around and opened without the dashboard or network access
+
+const { escapeMarkup } = require('../utils/markupUtils');
+
+const TOP_FILES = 20;
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+const PRIORITY_ORDER = ['high', 'medium', 'low'];
+
+const STYLES = `
+:root { --bg: #f6f7f9; --panel: #fff; --text: #1f2328; --muted: #656d76; --border: #d0d7de;
+    --accent: #0969da; --danger: #cf222e; --warning: #9a6700; --success: #1a7f37; }
+* { box-sizing: border-box; }
+body { margin: 0; padding: 16px 24px; font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+    background: var(--bg); color: var(--text); }
+h1 { font-size: 20px; margin: 0 0 4px; }
+h2 { font-size: 16px; margin: 24px 0 8px; }
+.muted { color: var(--muted); }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; margin: 16px 0; }
+.card { background: var(--panel); border: 1px solid var(--border); border-radius: 6px; padding: 12px 16px; min-width: 140px; }
+.card strong { display: block; font-size: 22px; }
+.card span { color: var(--muted); font-size: 12px; }
+table { width: 100%; border-collapse: collapse; background: var(--panel); border: 1px solid var(--border); }
+th, td { padding: 6px 10px; border-bottom: 1px solid var(--border); text-align: left; vertical-align: top; }
+th { background: #f0f2f4; white-space: nowrap; }
+.number { text-align: right; font-variant-numeric: tabular-nums; }
+details { background: var(--panel); border: 1px solid var(--border); border-radius: 6px; margin-bottom: 8px; }
+summary { padding: 8px 12px; cursor: pointer; }
+details table { border: none; border-top: 1px solid var(--border); }
+code { background: #eff1f3; padding: 0 4px; border-radius: 4px; }
+.severity, .priority { font-size: 12px; font-weight: 600; text-transform: uppercase; }
+.error, .high { color: var(--danger); }
+.warning, .medium { color: var(--warning); }
+.info, .low { color: var(--success); }
+`;
+
+function renderCard(value, label) {
+    return `<div class="card"><strong>${escapeMarkup(value)}</strong><span>${escapeMarkup(label)}</span></div>`;
+}
+
+function renderTable(headers, rows) {
+    const head = headers.map(header => `<th${header.number ? ' class="number"' : ''}>${escapeMarkup(header.label)}</th>`).join('');
+    return `<table><thead><tr>${head}</tr></thead><tbody>\n${rows.join('\n')}\n</tbody></table>`;
+}
+
+function renderLocation(finding) {
+    if (!finding.file) return '<span class="muted">project</span>';
+    return `<code>${escapeMarkup(finding.line ? `${finding.file}:${finding.line}` : finding.file)}</code>`;
+}
+
+// One collapsible group per rule, worst severity first
+function renderFindings(report) {
+    if (report.findings.length === 0) return '<p class="muted">No findings.</p>';
+    const descriptions = new Map(report.rules.map(rule => [rule.id, rule.description]));
+    const groups = new Map();
+    report.findings.forEach(finding => {
+        if (!groups.has(finding.rule)) groups.set(finding.rule, []);
+        groups.get(finding.rule).push(finding);
+    });
+    const worst = findings => Math.min(...findings.map(finding => SEVERITY_ORDER.indexOf(finding.severity)));
+
+    return [...groups]
+        .sort(([, a], [, b]) => worst(a) - worst(b) || b.length - a.length)
+        .map(([rule, findings]) => {
+            const rows = findings.map(finding => `<tr><td class="severity ${escapeMarkup(finding.severity)}">${escapeMarkup(finding.severity)}</td>` +
+                `<td>${renderLocation(finding)}</td><td>${escapeMarkup(finding.message)}</td></tr>`);
+            const description = descriptions.get(rule) ? ` <span class="muted">— ${escapeMarkup(descriptions.get(rule))}</span>` : '';
+            return `<details${worst(findings) === 0 ? ' open' : ''}><summary><strong>${escapeMarkup(rule)}</strong> (${findings.length})${description}</summary>\n` +
+                `${renderTable([{ label: 'Severity' }, { label: 'Location' }, { label: 'Message' }], rows)}</details>`;
+        })
+        .join('\n');
+}
+
+function renderTasks(report) {
+    if (report.tasks.length === 0) return '<p class="muted">No tasks.</p>';
+    const rows = [...report.tasks]
+        .sort((a, b) => (a.status === 'pending' ? 0 : 1) - (b.status === 'pending' ? 0 : 1) ||
+            PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority))
+        .map(task => `<tr><td><code>${escapeMarkup(task.id)}</code></td><td><strong>${escapeMarkup(task.title)}</strong><br>` +
+            `<span class="muted">${escapeMarkup(task.description)}</span></td>` +
+            `<td class="priority ${escapeMarkup(task.priority)}">${escapeMarkup(task.priority)}</td>` +
+            `<td>${escapeMarkup(task.status)}</td><td>${escapeMarkup(task.estimatedEffort)}</td></tr>`);
+    return renderTable([{ label: 'ID' }, { label: 'Task' }, { label: 'Priority' }, { label: 'Status' }, { label: 'Effort' }], rows);
+}
+
+function renderFiles(report) {
+    const rows = [...report.files]
+        .sort((a, b) => b.complexity - a.complexity || b.linesOfCode - a.linesOfCode)
+        .slice(0, TOP_FILES)
+        .map(file => `<tr><td><code>${escapeMarkup(file.path)}</code></td><td class="number">${file.linesOfCode}</td>` +
+            `<td class="number">${file.complexity}</td><td class="number">${file.functions.length}</td>` +
+            `<td class="number">${Math.max(0, ...file.functions.map(fn => fn.cyclomaticComplexity || 0))}</td></tr>`);
+    return renderTable([
+        { label: 'File' },
+        { label: 'LOC', number: true },
+        { label: 'Complexity', number: true },
+        { label: 'Functions', number: true },
+        { label: 'Max Function Complexity', number: true }
+    ], rows);
+}
+
+function renderCycles(report) {
+    const { circular } = report.dependencies;
+    if (circular.length === 0) return '<p class="muted">No import cycles.</p>';
+    return `<ul>\n${circular.map(group => `<li>${group.cycles.map(cycle =>
+        `<code>${escapeMarkup(cycle.join(' → '))}</code>`).join('<br>')}</li>`).join('\n')}\n</ul>`;
+}
+
+function render(report) {
+    const { summary, analysis } = report;
+    const analyzedAt = new Date(analysis.analyzedAt).toLocaleString();
+    const cards = [
+        renderCard(summary.fileCount, 'Files'),
+        renderCard(summary.linesOfCode, 'Lines of Code'),
+        renderCard(summary.complexity, 'Complexity'),
+        renderCard(summary.findings.error, 'Errors'),
+        renderCard(summary.findings.warning, 'Warnings'),
+        renderCard(summary.findings.info, 'Suggestions'),
+        renderCard(summary.tasks.pending, 'Pending Tasks'),
+        renderCard(summary.tasks.completed + summary.tasks.resolved, 'Done Tasks')
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>AI Refactor Report — ${escapeMarkup(analysis.projectPath)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>🤖 AI Refactor Report</h1>
+<div class="muted"><code>${escapeMarkup(analysis.projectPath)}</code> · analyzed ${escapeMarkup(analyzedAt)}${analysis.since ? ` · changes since <code>${escapeMarkup(analysis.since)}</code>` : ''}${summary.frameworks.length > 0 ? ` · ${escapeMarkup(summary.frameworks.join(', '))}` : ''}</div>
+<div class="cards">${cards.join('')}</div>
+<h2>Findings</h2>
+${renderFindings(report)}
+<h2>Tasks</h2>
+${renderTasks(report)}
+<h2>Most Complex Files</h2>
+${renderFiles(report)}
+<h2>Import Cycles</h2>
+${renderCycles(report)}
+<p class="muted">Generated by ${escapeMarkup(report.tool.name)} ${escapeMarkup(report.tool.version)} on ${escapeMarkup(report.generatedAt)}</p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    id: 'html',
+    extension: '.html',
+    description: 'A self-contained HTML page',
+    render
+};
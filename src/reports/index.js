@@ -0,0 +1,12 @@
+// src/reports/index.js
+// Report formats for the report command.
+//
+// A format is an object `{ id, extension, description, render(report) }`. `render` turns
+// the report built by src/core/reports.js into the text of the output file.
+
+module.exports = [
+    require('./sarif'),
+    require('./html'),
+    require('./junit'),
+    require('./json')
+];
@@ -0,0 +1,11 @@
+// src/reports/json.js
+// The report document itself, described by schemas/report-v1.schema.json
+
+module.exports = {
+    id: 'json',
+    extension: '.json',
+    description: 'JSON following the versioned report schema',
+    render(report) {
+        return JSON.stringify(report, null, 2);
+    }
+};
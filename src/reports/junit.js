@@ -0,0 +1,57 @@
+// src/reports/junit.js
+// JUnit XML, which most CI systems show as test results: a test suite per analyzed file
+// and a test case per finding. Errors and warnings fail; info findings pass with their
+// message as output. Clean files get one passing case so they still show up.
+
+const { escapeMarkup } = require('../utils/markupUtils');
+
+const PROJECT_SUITE = 'project';
+
+function renderTestCase(finding) {
+    const location = finding.line ? `${finding.file}:${finding.line}` : finding.file || PROJECT_SUITE;
+    const name = escapeMarkup(`${finding.rule}: ${finding.message}`);
+    const className = escapeMarkup(finding.file || PROJECT_SUITE);
+    if (finding.severity === 'info') {
+        return `    <testcase name="${name}" classname="${className}">\n      <system-out>${escapeMarkup(`${location} ${finding.message}`)}</system-out>\n    </testcase>`;
+    }
+    return `    <testcase name="${name}" classname="${className}">\n` +
+        `      <failure type="${escapeMarkup(finding.severity)}" message="${escapeMarkup(finding.message)}">${escapeMarkup(`${location} ${finding.message} (${finding.rule})`)}</failure>\n` +
+        '    </testcase>';
+}
+
+function renderSuite(name, findings) {
+    const failures = findings.filter(finding => finding.severity !== 'info').length;
+    const cases = findings.length > 0
+        ? findings.map(renderTestCase)
+        : [`    <testcase name="no findings" classname="${escapeMarkup(name)}"/>`];
+    return `  <testsuite name="${escapeMarkup(name)}" tests="${cases.length}" failures="${failures}" errors="0">\n${cases.join('\n')}\n  </testsuite>`;
+}
+
+function render(report) {
+    const byFile = new Map(report.files.map(file => [file.path, []]));
+    const projectFindings = [];
+    report.findings.forEach(finding => {
+        if (!finding.file) {
+            projectFindings.push(finding);
+            return;
+        }
+        if (!byFile.has(finding.file)) byFile.set(finding.file, []);
+        byFile.get(finding.file).push(finding);
+    });
+
+    const suites = [...byFile].map(([file, findings]) => renderSuite(file, findings));
+    if (projectFindings.length > 0) suites.unshift(renderSuite(PROJECT_SUITE, projectFindings));
+
+    const tests = report.findings.length + [...byFile.values()].filter(findings => findings.length === 0).length;
+    const failures = report.findings.filter(finding => finding.severity !== 'info').length;
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<testsuites name="${escapeMarkup(report.tool.name)}" tests="${tests}" failures="${failures}" errors="0">\n` +
+        `${suites.join('\n')}\n</testsuites>\n`;
+}
+
+module.exports = {
+    id: 'junit',
+    extension: '.junit.xml',
+    description: 'JUnit XML for CI test result views',
+    render
+};
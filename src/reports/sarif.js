@@ -0,0 +1,59 @@
+// src/reports/sarif.js
+// SARIF 2.1.0, which code scanning UIs such as GitHub's read. Locations are relative to
+// the PROJECTROOT base so the results line up with the repository's files.
+
+const { pathToFileURL } = require('url');
+
+const LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+function createLocation(finding) {
+    return {
+        physicalLocation: {
+            artifactLocation: { uri: encodeURI(finding.file), uriBaseId: 'PROJECTROOT' },
+            ...(finding.line && { region: { startLine: finding.line } })
+        }
+    };
+}
+
+function render(report) {
+    const ruleIndexes = new Map(report.rules.map((rule, index) => [rule.id, index]));
+    const projectUri = pathToFileURL(report.analysis.projectPath).href;
+
+    const sarif = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: report.tool.name,
+                    version: report.tool.version,
+                    rules: report.rules.map(rule => ({
+                        id: rule.id,
+                        shortDescription: { text: rule.description || rule.id }
+                    }))
+                }
+            },
+            originalUriBaseIds: {
+                PROJECTROOT: { uri: projectUri.endsWith('/') ? projectUri : `${projectUri}/` }
+            },
+            invocations: [{ executionSuccessful: true, endTimeUtc: report.analysis.analyzedAt }],
+            // Findings without a file concern the whole project and have no location
+            results: report.findings.map(finding => ({
+                ruleId: finding.rule,
+                ruleIndex: ruleIndexes.get(finding.rule),
+                level: LEVELS[finding.severity],
+                message: { text: finding.message },
+                ...(finding.file && { locations: [createLocation(finding)] }),
+                ...(finding.codemod && { properties: { codemod: finding.codemod } })
+            }))
+        }]
+    };
+    return JSON.stringify(sarif, null, 2);
+}
+
+module.exports = {
+    id: 'sarif',
+    extension: '.sarif',
+    description: 'SARIF 2.1.0 for code scanning UIs',
+    render
+};
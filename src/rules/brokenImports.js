@@ -0,0 +1,40 @@
+// src/rules/brokenImports.js
+// Built-in rule: internal imports that do not resolve to a project file
+
+const { createTaskKey } = require('../core/backlog');
+
+module.exports = {
+    id: 'broken-imports',
+    description: 'Reports imports that do not resolve to any project file',
+
+    run(context) {
+        const { unresolved } = context.dependencies;
+        const findings = unresolved.map(imp => ({
+            file: imp.file,
+            line: imp.line,
+            message: `Import "${imp.source}" cannot be resolved (${imp.reason})`,
+            severity: 'error'
+        }));
+
+        const brokenImports = unresolved.filter(imp => context.inScope(imp.file));
+        if (brokenImports.length === 0) return { findings, tasks: [] };
+
+        const brokenFiles = [...new Set(brokenImports.map(imp => imp.file))];
+        return {
+            findings,
+            tasks: [{
+                key: createTaskKey('broken-imports'),
+                title: 'Fix Broken Imports',
+                priority: 'high',
+                description: `Fix ${brokenImports.length} imports that do not resolve to any project file`,
+                estimatedEffort: 'small',
+                tags: ['dependencies', 'bug'],
+                sourceFiles: brokenFiles.slice(0, 5),
+                subjects: brokenImports.map(imp => `${imp.file} → ${imp.source}`),
+                prompt: `The following imports do not resolve to any file in the project. Please find out whether each target was moved, renamed or deleted, and fix the import or restore the missing module.
+
+${brokenImports.slice(0, 20).map(imp => `- ${imp.file}:${imp.line} imports "${imp.source}" (${imp.reason})`).join('\n')}`
+            }]
+        };
+    }
+};
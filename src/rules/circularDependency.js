@@ -0,0 +1,54 @@
+// src/rules/circularDependency.js
+// Built-in rule: one task per group of files that import each other in cycles
+
+const path = require('path');
+const { describeEdge } = require('../core/dependencyGraph');
+const { createTaskKey } = require('../core/backlog');
+
+module.exports = {
+    id: 'circular-dependency',
+    description: 'Reports import cycles between project files',
+
+    run(context) {
+        const { circular } = context.dependencies;
+        const findings = circular.map(group => {
+            const firstEdge = (context.dependencies.internal[group.cycles[0][0]] || [])
+                .find(record => record.resolved === group.cycles[0][1]);
+            return {
+                file: group.cycles[0][0],
+                line: firstEdge?.line,
+                message: `Import cycle: ${group.cycles[0].join(' → ')}${group.cycles.length > 1 ? ` (+${group.cycles.length - 1} related cycles)` : ''}`,
+                severity: 'warning'
+            };
+        });
+
+        const tasks = circular.filter(group => group.files.some(context.inScope)).map(group => {
+            const chains = group.cycles.map(cycle => `- ${cycle.join(' → ')}`).join('\n');
+            const edges = group.cycles[0].slice(0, -1).map((file, index) =>
+                `- ${describeEdge(context.dependencies, file, group.cycles[0][index + 1])}`
+            ).join('\n');
+
+            return {
+                key: createTaskKey('circular-dependency', group.files),
+                title: `Break Circular Dependency: ${group.files.map(file => path.basename(file)).slice(0, 3).join(', ')}${group.files.length > 3 ? ', ...' : ''}`,
+                priority: 'high',
+                description: `Untangle ${group.cycles.length} import cycle${group.cycles.length === 1 ? '' : 's'} between ${group.files.length} files`,
+                estimatedEffort: group.files.length <= 2 ? 'small' : group.files.length <= 5 ? 'medium' : 'large',
+                tags: ['architecture', 'circular-dependency'],
+                sourceFiles: group.files.slice(0, 10),
+                cycles: group.cycles,
+                prompt: `These files import each other in a cycle. Circular imports make modules depend on evaluation order, can leave bindings undefined at startup, and prevent the files from being understood or tested in isolation.
+
+Import cycles in this group${group.truncated ? ' (list truncated)' : ''}:
+${chains}
+
+The first cycle is made up of these import statements:
+${edges}
+
+Please propose how to break these cycles, for example by extracting the shared code into a new module, inverting a dependency, or moving a function to the module that actually owns it. Show the resulting import structure and the code changes needed.`
+            };
+        });
+
+        return { findings, tasks };
+    }
+};
@@ -0,0 +1,56 @@
+// src/rules/codemods.js
+// Built-in rule: mechanical refactors a codemod can make without an AI
+
+const path = require('path');
+const { CODEMODS, appliesTo } = require('../core/codemods');
+const { createTaskKey } = require('../core/backlog');
+
+module.exports = {
+    id: 'codemods',
+    description: 'Reports code that a built-in codemod can rewrite',
+
+    // options.transforms limits the rule to some codemods. The fixes come from each file's
+    // cached analysis, so unchanged files are not parsed again.
+    run(context, options) {
+        const codemods = Array.isArray(options.transforms)
+            ? CODEMODS.filter(codemod => options.transforms.includes(codemod.id))
+            : CODEMODS;
+
+        const findings = [];
+        const tasks = [];
+        codemods.forEach(codemod => {
+            const found = [];
+            Object.entries(context.files).forEach(([file, analysis]) => {
+                const fixes = (analysis.codemods || []).filter(fix => fix.codemod === codemod.id);
+                if (fixes.length === 0 || !appliesTo(codemod, path.join(context.projectPath, file))) return;
+                fixes.forEach(fix => {
+                    found.push({ file, line: fix.line, message: fix.message, severity: 'info', codemod: codemod.id });
+                });
+            });
+            findings.push(...found);
+
+            const inScope = found.filter(finding => context.inScope(finding.file));
+            if (inScope.length === 0) return;
+
+            const affectedFiles = [...new Set(inScope.map(finding => finding.file))];
+            tasks.push({
+                key: createTaskKey('codemods', [codemod.id]),
+                title: codemod.title,
+                priority: 'low',
+                description: `${codemod.description} (${inScope.length} places in ${affectedFiles.length} files, no AI needed)`,
+                estimatedEffort: 'small',
+                tags: ['codemod', codemod.id],
+                codemods: [codemod.id],
+                sourceFiles: affectedFiles.slice(0, 10),
+                subjects: inScope.map(finding => `${finding.file}: ${finding.message}`),
+                prompt: `The \`${codemod.id}\` codemod can make this change mechanically, so it does not need an AI:
+
+${inScope.slice(0, 30).map(finding => `- ${finding.file}:${finding.line} ${finding.message}`).join('\n')}
+
+Preview the changes with \`ai-refactor codemod ${context.projectPath} ${codemod.id} --dry-run\`, then run it without \`--dry-run\` to apply them. Review the diff and run the tests afterwards.`
+            });
+        });
+
+        return { findings, tasks };
+    }
+};
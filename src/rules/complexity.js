@@ -0,0 +1,72 @@
+// src/rules/complexity.js
+// Built-in rule: functions above the configured complexity thresholds
+
+const { isComplexFunction, getFunctionThresholds, collectFunctions } = require('../core/metrics');
+const { getHotspotScore } = require('../core/hotspots');
+const { createTaskKey } = require('../core/backlog');
+
+module.exports = {
+    id: 'complexity',
+    description: 'Reports functions whose cyclomatic or cognitive complexity is above the thresholds',
+
+    run(context) {
+        const { config } = context;
+        const hotspots = context.git?.hotspots || [];
+        const complexFunctions = collectFunctions(context.files)
+            .filter(fn => isComplexFunction(fn, getFunctionThresholds(config)));
+
+        const findings = complexFunctions.map(fn => ({
+            file: fn.file,
+            line: fn.startLine,
+            message: `Function \`${fn.name}\` has cyclomatic complexity ${fn.cyclomaticComplexity} and cognitive complexity ${fn.cognitiveComplexity}`,
+            severity: 'warning'
+        }));
+
+        if (context.summary.complexity <= config.complexity.minProjectComplexity) {
+            return { findings, tasks: [] };
+        }
+
+        // Hotspots (complex and frequently changed files) come first
+        const highComplexityFunctions = complexFunctions
+            .filter(fn => context.inScope(fn.file))
+            .map(fn => ({ ...fn, hotspotScore: getHotspotScore(hotspots, fn.file) }))
+            .sort((a, b) => b.hotspotScore - a.hotspotScore || b.cognitiveComplexity - a.cognitiveComplexity)
+            .slice(0, 10); // Limit to the 10 worst offenders
+
+        if (highComplexityFunctions.length === 0) return { findings, tasks: [] };
+
+        const highComplexityFiles = [...new Set(highComplexityFunctions.map(fn => fn.file))];
+        const functionList = highComplexityFunctions.map(fn =>
+            `- \`${fn.name}\` in ${fn.file} (lines ${fn.startLine}-${fn.endLine}): ` +
+            `cyclomatic ${fn.cyclomaticComplexity}, cognitive ${fn.cognitiveComplexity}, ` +
+            `nesting depth ${fn.maxNestingDepth}, ${fn.parameterCount} parameters, ${fn.linesOfCode} lines` +
+            (fn.hotspotScore ? `, hotspot score ${fn.hotspotScore} (${context.git.files[fn.file].commits} recent commits)` : '')
+        ).join('\n');
+
+        return {
+            findings,
+            tasks: [{
+                // One task for the whole project: the worst functions change as they are fixed
+                key: createTaskKey('complexity'),
+                title: 'Refactor High Complexity Functions',
+                priority: 'medium',
+                description: 'Identify and refactor functions with high cyclomatic complexity',
+                estimatedEffort: 'large',
+                tags: ['refactoring', 'complexity'],
+                sourceFiles: highComplexityFiles.slice(0, 5), // Limit to first 5
+                subjects: highComplexityFunctions.map(fn => `${fn.file}#${fn.name}`),
+                functions: highComplexityFunctions.map(fn => ({
+                    file: fn.file,
+                    name: fn.name,
+                    startLine: fn.startLine,
+                    endLine: fn.endLine,
+                    cyclomaticComplexity: fn.cyclomaticComplexity,
+                    cognitiveComplexity: fn.cognitiveComplexity
+                })),
+                prompt: `Please analyze these high-complexity functions and suggest refactoring strategies to reduce complexity while maintaining functionality.
+
+${functionList}`
+            }]
+        };
+    }
+};
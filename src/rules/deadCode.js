@@ -0,0 +1,65 @@
+// src/rules/deadCode.js
+// Built-in rule: unreachable files and exports that nothing imports
+
+const { createTaskKey } = require('../core/backlog');
+
+module.exports = {
+    id: 'dead-code',
+    description: 'Reports files no entry point reaches and exports nothing imports',
+
+    run(context) {
+        const { deadCode } = context;
+        const findings = [
+            ...deadCode.unreachableFiles.map(entry => ({
+                file: entry.file,
+                message: `File is not reachable from any entry point (${entry.linesOfCode} lines)`,
+                severity: 'info'
+            })),
+            ...deadCode.unusedExports.map(entry => ({
+                file: entry.file,
+                line: entry.line,
+                message: `Export \`${entry.name}\` is never imported`,
+                severity: 'info'
+            }))
+        ];
+
+        const unreachableFiles = deadCode.unreachableFiles.filter(entry => context.inScope(entry.file));
+        const unusedExports = deadCode.unusedExports.filter(entry => context.inScope(entry.file));
+        if (unreachableFiles.length === 0 && unusedExports.length === 0) {
+            return { findings, tasks: [] };
+        }
+
+        const affectedFiles = [...new Set([
+            ...unreachableFiles.map(entry => entry.file),
+            ...unusedExports.map(entry => entry.file)
+        ])];
+        const findingList = [
+            ...unreachableFiles.slice(0, 20).map(entry =>
+                `- ${entry.file}: not reachable from any entry point (${entry.linesOfCode} lines)`),
+            ...unusedExports.slice(0, 30).map(entry =>
+                `- ${entry.file}:${entry.line} export \`${entry.name}\` is never imported`)
+        ].join('\n');
+
+        return {
+            findings,
+            tasks: [{
+                key: createTaskKey('dead-code'),
+                title: 'Remove Unused Code',
+                priority: 'low',
+                description: `Remove ${unreachableFiles.length} unreachable files and ${unusedExports.length} unused exports`,
+                estimatedEffort: affectedFiles.length > 10 ? 'medium' : 'small',
+                tags: ['cleanup', 'dead-code'],
+                sourceFiles: affectedFiles.slice(0, 10),
+                subjects: [
+                    ...unreachableFiles.map(entry => entry.file),
+                    ...unusedExports.map(entry => `${entry.file}#${entry.name}`)
+                ],
+                prompt: `Static analysis found code that nothing in the project uses. Entry points considered: ${deadCode.entryPoints.join(', ') || 'none'}.
+
+${findingList}
+
+Please confirm each finding (look for usages the analysis cannot see, such as dynamic requires, reflection or external consumers of a published API), then remove the dead code or make unused exports module-private.`
+            }]
+        };
+    }
+};
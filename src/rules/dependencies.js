@@ -0,0 +1,69 @@
+// src/rules/dependencies.js
+// Built-in rule: package.json entries that do not match what the code imports
+
+const { createTaskKey } = require('../core/backlog');
+
+module.exports = {
+    id: 'dependencies',
+    description: 'Reports unused, undeclared and misplaced npm dependencies',
+
+    run(context) {
+        const { audit } = context.dependencies;
+        const findings = [
+            ...audit.unused.map(dep => ({
+                file: dep.manifest,
+                message: `\`${dep.name}\` is declared in ${dep.section} but never imported`,
+                severity: 'info'
+            })),
+            ...audit.undeclared.map(dep => ({
+                file: dep.files[0],
+                message: `\`${dep.name}\` is imported but not declared in ${dep.manifest}`,
+                severity: 'error'
+            })),
+            ...audit.devOnlyInProduction.map(dep => ({
+                file: dep.files[0],
+                message: `\`${dep.name}\` is a devDependency in ${dep.manifest} but production code imports it`,
+                severity: 'warning'
+            }))
+        ];
+
+        const { inScope } = context;
+        const unused = audit.unused.filter(dep => inScope(dep.manifest));
+        const undeclared = audit.undeclared.filter(dep => inScope(dep.manifest) || dep.files.some(inScope));
+        const devOnlyInProduction = audit.devOnlyInProduction.filter(dep => inScope(dep.manifest) || dep.files.some(inScope));
+        if (unused.length === 0 && undeclared.length === 0 && devOnlyInProduction.length === 0) {
+            return { findings, tasks: [] };
+        }
+
+        const manifests = [...new Set([...unused, ...undeclared, ...devOnlyInProduction].map(dep => dep.manifest))];
+        const importingFiles = [...new Set([...undeclared, ...devOnlyInProduction].flatMap(dep => dep.files))];
+        const findingList = [
+            ...unused.map(dep => `- \`${dep.name}\` is declared in ${dep.manifest} (${dep.section}) but never imported`),
+            ...undeclared.map(dep => `- \`${dep.name}\` is imported but not declared in ${dep.manifest} (used in ${dep.files.slice(0, 3).join(', ')})`),
+            ...devOnlyInProduction.map(dep => `- \`${dep.name}\` is a devDependency in ${dep.manifest} but production code imports it (${dep.files.slice(0, 3).join(', ')})`)
+        ].join('\n');
+
+        return {
+            findings,
+            tasks: [{
+                key: createTaskKey('dependencies'),
+                title: 'Clean Up Dependencies',
+                priority: undeclared.length > 0 || devOnlyInProduction.length > 0 ? 'high' : 'low',
+                description: `Reconcile package.json with the packages the code actually imports (${unused.length} unused, ${undeclared.length} undeclared, ${devOnlyInProduction.length} misplaced)`,
+                estimatedEffort: 'small',
+                tags: ['dependencies', 'cleanup'],
+                sourceFiles: [...manifests, ...importingFiles].slice(0, 5),
+                subjects: [
+                    ...unused.map(dep => `unused ${dep.manifest}#${dep.name}`),
+                    ...undeclared.map(dep => `undeclared ${dep.manifest}#${dep.name}`),
+                    ...devOnlyInProduction.map(dep => `misplaced ${dep.manifest}#${dep.name}`)
+                ],
+                prompt: `Comparing package.json with the project's imports found these problems:
+
+${findingList}
+
+Please verify each finding (some packages are used only by tooling configuration or loaded by name at runtime), then update package.json: remove unused packages, declare missing ones with an appropriate version range, and move devDependencies that production code needs into dependencies.`
+            }]
+        };
+    }
+};
@@ -0,0 +1,28 @@
+// src/rules/documentation.js
+// Built-in rule: projects without a README get a documentation task
+
+module.exports = {
+    id: 'documentation',
+    description: 'Reports projects that have no README',
+
+    run(context) {
+        const hasReadme = Object.keys(context.files).some(file =>
+            file.toLowerCase().includes('readme')
+        );
+        if (hasReadme) return { findings: [], tasks: [] };
+
+        return {
+            findings: [{ message: 'No README found in the project', severity: 'info' }],
+            tasks: context.scope ? [] : [{
+                key: 'documentation',
+                title: 'Create Project Documentation',
+                priority: 'medium',
+                description: 'Create comprehensive project documentation including README',
+                estimatedEffort: 'medium',
+                tags: ['documentation'],
+                sourceFiles: ['package.json'],
+                prompt: `Please help create comprehensive project documentation. Analyze the project structure and create a detailed README.md with installation, usage, and contribution guidelines.`
+            }]
+        };
+    }
+};
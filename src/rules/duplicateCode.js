@@ -0,0 +1,54 @@
+// src/rules/duplicateCode.js
+// Built-in rule: one "extract shared helper" task per group of duplicated code fragments
+
+const path = require('path');
+const { createTaskKey } = require('../core/backlog');
+
+const DEFAULT_MAX_TASKS = 10;
+
+function formatFragment(fragment) {
+    return `${fragment.file}:${fragment.startLine}-${fragment.endLine}`;
+}
+
+module.exports = {
+    id: 'duplicate-code',
+    description: 'Reports code that is copied in several places, also with renamed identifiers',
+
+    run(context, options) {
+        const groups = context.clones?.groups || [];
+        const findings = groups.flatMap(group => group.fragments.map(fragment => {
+            const others = group.fragments.filter(other => other !== fragment);
+            return {
+                file: fragment.file,
+                line: fragment.startLine,
+                message: `Lines ${fragment.startLine}-${fragment.endLine} are duplicated ${group.exact ? '' : 'with renamed identifiers '}in ${others.map(formatFragment).join(', ')}`,
+                severity: 'warning'
+            };
+        }));
+
+        // The groups with the most duplicated code first
+        const tasks = groups
+            .filter(group => group.fragments.some(fragment => context.inScope(fragment.file)))
+            .slice(0, options.maxTasks ?? DEFAULT_MAX_TASKS)
+            .map(group => {
+                const files = [...new Set(group.fragments.map(fragment => fragment.file))];
+                return {
+                    key: createTaskKey('duplicate-code', [group.id]),
+                    title: `Extract Shared Helper: ${files.map(file => path.basename(file)).slice(0, 3).join(', ')}${files.length > 3 ? ', ...' : ''}`,
+                    priority: group.fragments.length > 2 || group.lines >= 30 ? 'medium' : 'low',
+                    description: `Replace ${group.fragments.length} copies of ${group.lines} lines with one shared helper`,
+                    estimatedEffort: group.lines >= 50 ? 'medium' : 'small',
+                    tags: ['refactoring', 'duplication'],
+                    sourceFiles: files,
+                    // The prompt shows only these lines of the source files
+                    fragments: group.fragments,
+                    prompt: `The same code appears in ${group.fragments.length} places${group.exact ? '' : ', with different identifier names'}:
+${group.fragments.map(fragment => `- ${formatFragment(fragment)}`).join('\n')}
+
+Only the duplicated lines of each file are shown below. Please extract them into one shared helper${group.exact ? '' : ' whose parameters cover the names that differ between the copies'}, choose the module it belongs in, and replace every copy with a call to it. Keep the behaviour of each call site unchanged and show the resulting code for the helper and for each changed file.`
+                };
+            });
+
+        return { findings, tasks };
+    }
+};
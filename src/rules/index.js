@@ -0,0 +1,15 @@
+// src/rules/index.js
+// Built-in rules, in the order their tasks appear in the backlog
+
+module.exports = [
+    require('./security'),
+    require('./testingSetup'),
+    require('./complexity'),
+    require('./brokenImports'),
+    require('./circularDependency'),
+    require('./dependencies'),
+    require('./deadCode'),
+    require('./duplicateCode'),
+    require('./codemods'),
+    require('./documentation')
+];
@@ -0,0 +1,55 @@
+// src/rules/security.js
+// Built-in rule: one high-priority task per file with security smells
+
+const path = require('path');
+const { createTaskKey } = require('../core/backlog');
+const { SMELL_TYPES, REMEDIATIONS, collectSecurityFindings } = require('../core/security');
+
+module.exports = {
+    id: 'security',
+    description: 'Reports eval, shell and SQL injection risks, raw HTML, weak crypto and hard-coded secrets',
+
+    run(context) {
+        const smells = collectSecurityFindings(context.files || {}, context.dataFiles);
+        const findings = smells.map(smell => ({
+            file: smell.file,
+            line: smell.line,
+            message: smell.message,
+            severity: smell.severity,
+            type: smell.type
+        }));
+
+        // Informational smells, such as SHA-1 checksums, are not worth a task on their own
+        const byFile = new Map();
+        smells
+            .filter(smell => smell.severity !== 'info' && context.inScope(smell.file))
+            .forEach(smell => {
+                if (!byFile.has(smell.file)) byFile.set(smell.file, []);
+                byFile.get(smell.file).push(smell);
+            });
+
+        const tasks = [...byFile].map(([file, fileSmells]) => {
+            fileSmells.sort((a, b) => (a.line || 0) - (b.line || 0));
+            const types = [...new Set(fileSmells.map(smell => smell.type))];
+            return {
+                key: createTaskKey('security', [file]),
+                title: `Fix Security Issues in ${path.basename(file)}`,
+                priority: 'high',
+                description: `Fix ${fileSmells.length} security issue${fileSmells.length === 1 ? '' : 's'}: ${types.join(', ')}`,
+                estimatedEffort: fileSmells.length > 5 ? 'medium' : 'small',
+                tags: ['security', ...types],
+                sourceFiles: [file],
+                subjects: fileSmells.map(smell => `${smell.type}: ${smell.message}`),
+                prompt: `Static analysis found these security issues in ${file}:
+${fileSmells.map(smell => `- line ${smell.line}: ${smell.message}`).join('\n')}
+
+How to fix them:
+${types.map(type => `- ${SMELL_TYPES[type].label}: ${REMEDIATIONS[type]}`).join('\n')}
+
+Secret values are shown as [REDACTED ...] placeholders; never write real secrets into the code. Fix each issue without changing the file's behaviour for valid input, say which findings are false positives and why, and show the resulting code.`
+            };
+        });
+
+        return { findings, tasks };
+    }
+};
@@ -0,0 +1,26 @@
+// src/rules/testingSetup.js
+// Built-in rule: projects without any tests get a task to set up a test framework
+
+module.exports = {
+    id: 'testing-setup',
+    description: 'Reports projects that have no tests',
+
+    run(context) {
+        if (context.summary.hasTests) return { findings: [], tasks: [] };
+
+        return {
+            findings: [{ message: 'No test files found in the project', severity: 'warning' }],
+            // A --since run cannot tell whether the rest of the project has tests
+            tasks: context.scope ? [] : [{
+                key: 'testing-setup',
+                title: 'Add Testing Framework Setup',
+                priority: 'high',
+                description: 'Set up a testing framework and create initial test structure',
+                estimatedEffort: 'medium',
+                tags: ['testing', 'setup'],
+                sourceFiles: ['package.json'],
+                prompt: `Please help set up a comprehensive testing framework for this project. Analyze the current tech stack and recommend appropriate testing tools. Create basic test structure and configuration files.`
+            }]
+        };
+    }
+};
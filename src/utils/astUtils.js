@@ -0,0 +1,182 @@
+// src/utils/astUtils.js
+// Shared helpers for parsing source files and walking Babel ASTs
+
+const path = require('path');
+const babelParser = require('@babel/parser');
+
+// Node properties that never contain child nodes worth visiting
+const SKIP_KEYS = new Set([
+    'type', 'loc', 'start', 'end', 'extra', 'range',
+    'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens'
+]);
+
+const FUNCTION_TYPES = new Set([
+    'FunctionDeclaration',
+    'FunctionExpression',
+    'ArrowFunctionExpression',
+    'ObjectMethod',
+    'ClassMethod',
+    'ClassPrivateMethod'
+]);
+
+// `options` are extra parser options, such as `{ tokens: true }`
+function parseSource(content, options = {}) {
+    return babelParser.parse(content, {
+        sourceType: 'module',
+        allowImportExportEverywhere: true,
+        allowReturnOutsideFunction: true,
+        plugins: ['jsx', 'typescript', 'decorators-legacy'],
+        ...options
+    });
+}
+
+// Single-file components only contain JavaScript inside <script> blocks (Vue, Svelte)
+// or the frontmatter fence (Astro). Everything else is blanked out so that line
+// numbers reported from the AST still match the original file.
+function extractScriptContent(content, filePath) {
+    const ext = path.extname(filePath);
+    const blank = text => text.replace(/[^\n]/g, ' ');
+
+    if (ext === '.vue' || ext === '.svelte') {
+        let result = '';
+        let lastIndex = 0;
+        const scriptRegex = /(<script\b[^>]*>)([\s\S]*?)<\/script>/g;
+        let match;
+        while ((match = scriptRegex.exec(content)) !== null) {
+            const bodyStart = match.index + match[1].length;
+            result += blank(content.slice(lastIndex, bodyStart)) + match[2];
+            lastIndex = bodyStart + match[2].length;
+        }
+        return result + blank(content.slice(lastIndex));
+    }
+
+    if (ext === '.astro') {
+        const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+        if (!match) return blank(content);
+        const bodyStart = match[0].indexOf('\n') + 1;
+        return blank(content.slice(0, bodyStart)) + match[1] + blank(content.slice(bodyStart + match[1].length));
+    }
+
+    return content;
+}
+
+function isNode(value) {
+    return value !== null && typeof value === 'object' && typeof value.type === 'string';
+}
+
+function forEachChild(node, callback) {
+    for (const key of Object.keys(node)) {
+        if (SKIP_KEYS.has(key)) continue;
+        const value = node[key];
+        if (Array.isArray(value)) {
+            value.forEach(child => {
+                if (isNode(child)) callback(child, key);
+            });
+        } else if (isNode(value)) {
+            callback(value, key);
+        }
+    }
+}
+
+// Depth-first walk. `enter` may return false to skip a node's children.
+// Both callbacks receive the list of ancestors, nearest last.
+function walk(root, { enter, exit } = {}) {
+    const ancestors = [];
+
+    function visit(node) {
+        const parent = ancestors[ancestors.length - 1] || null;
+        if (enter && enter(node, parent, ancestors) === false) return;
+        ancestors.push(node);
+        forEachChild(node, visit);
+        ancestors.pop();
+        if (exit) exit(node, parent, ancestors);
+    }
+
+    visit(root.type === 'File' ? root.program : root);
+}
+
+function isFunctionNode(node) {
+    return FUNCTION_TYPES.has(node.type);
+}
+
+function getKeyName(key, computed) {
+    if (!key) return null;
+    if (key.type === 'Identifier' && !computed) return key.name;
+    if (key.type === 'PrivateName') return `#${key.id.name}`;
+    if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+    return computed ? '[computed]' : null;
+}
+
+function memberExpressionToString(node) {
+    if (!node) return null;
+    switch (node.type) {
+        case 'Identifier':
+            return node.name;
+        case 'ThisExpression':
+            return 'this';
+        case 'Super':
+            return 'super';
+        case 'MemberExpression':
+        case 'OptionalMemberExpression': {
+            const object = memberExpressionToString(node.object) || '<expr>';
+            const property = getKeyName(node.property, node.computed) || '[computed]';
+            return `${object}.${property}`;
+        }
+        default:
+            return null;
+    }
+}
+
+// Best-effort human readable name for a function node, using its surroundings
+// for anonymous functions (e.g. `const handler = () => {}` becomes "handler").
+function getFunctionName(node, ancestors) {
+    const parent = ancestors[ancestors.length - 1];
+
+    if (node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod') {
+        const classNode = ancestors[ancestors.length - 2];
+        const className = classNode?.id?.name || 'AnonymousClass';
+        const methodName = node.kind === 'constructor'
+            ? 'constructor'
+            : getKeyName(node.key, node.computed);
+        return `${className}.${methodName}`;
+    }
+
+    if (node.type === 'ObjectMethod') {
+        return getKeyName(node.key, node.computed) || '<anonymous>';
+    }
+
+    if (node.id?.name) return node.id.name;
+    if (!parent) return '<anonymous>';
+
+    switch (parent.type) {
+        case 'VariableDeclarator':
+            return parent.id.type === 'Identifier' ? parent.id.name : '<anonymous>';
+        case 'AssignmentExpression':
+            return memberExpressionToString(parent.left) || '<anonymous>';
+        case 'ObjectProperty':
+        case 'ClassProperty':
+        case 'ClassPrivateProperty':
+            return getKeyName(parent.key, parent.computed) || '<anonymous>';
+        case 'ExportDefaultDeclaration':
+            return 'default';
+        case 'CallExpression':
+        case 'OptionalCallExpression': {
+            const callee = memberExpressionToString(parent.callee);
+            return callee ? `${callee} callback` : '<anonymous>';
+        }
+        default:
+            return '<anonymous>';
+    }
+}
+
+module.exports = {
+    parseSource,
+    extractScriptContent,
+    isNode,
+    forEachChild,
+    walk,
+    isFunctionNode,
+    getKeyName,
+    memberExpressionToString,
+    getFunctionName
+};
@@ -0,0 +1,117 @@
+// src/utils/diffUtils.js
+// Line diffs between two versions of a file, shown as coloured unified diffs
+
+const chalk = require('chalk');
+
+// Above this many cells the LCS table costs too much; the differing middle
+// of the file is then shown as one replaced block
+const MAX_DIFF_CELLS = 4000000;
+
+// Edit script turning `oldLines` into `newLines`: [{ type: ' ' | '-' | '+', line }]
+function diffLines(oldLines, newLines) {
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+    const ops = oldLines.slice(0, prefix).map(line => ({ type: ' ', line }));
+
+    if ((oldMiddle.length + 1) * (newMiddle.length + 1) > MAX_DIFF_CELLS) {
+        oldMiddle.forEach(line => ops.push({ type: '-', line }));
+        newMiddle.forEach(line => ops.push({ type: '+', line }));
+    } else {
+        // lengths[i][j]: longest common subsequence of oldMiddle[i..] and newMiddle[j..]
+        const width = newMiddle.length + 1;
+        const lengths = new Uint32Array((oldMiddle.length + 1) * width);
+        for (let i = oldMiddle.length - 1; i >= 0; i--) {
+            for (let j = newMiddle.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = oldMiddle[i] === newMiddle[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < oldMiddle.length || j < newMiddle.length) {
+            if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+                ops.push({ type: ' ', line: oldMiddle[i++] });
+                j++;
+            } else if (i < oldMiddle.length && (j === newMiddle.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                ops.push({ type: '-', line: oldMiddle[i++] });
+            } else {
+                ops.push({ type: '+', line: newMiddle[j++] });
+            }
+        }
+    }
+
+    oldLines.slice(oldLines.length - suffix).forEach(line => ops.push({ type: ' ', line }));
+    return ops;
+}
+
+// A unified diff with `context` unchanged lines around each change, or '' when the texts are equal
+function createUnifiedDiff(oldText, newText, file, context = 3) {
+    if (oldText === newText) return '';
+    const ops = diffLines(oldText === null ? [] : oldText.split('\n'), newText.split('\n'));
+
+    const hunks = [];
+    let oldLine = 1;
+    let newLine = 1;
+    let current = null;
+    let trailing = 0;
+    ops.forEach((op, index) => {
+        if (op.type !== ' ') {
+            if (!current) {
+                const lead = ops.slice(Math.max(0, index - context), index);
+                current = {
+                    oldStart: oldLine - lead.length,
+                    newStart: newLine - lead.length,
+                    lines: lead.map(item => ` ${item.line}`)
+                };
+                hunks.push(current);
+            }
+            current.lines.push(`${op.type}${op.line}`);
+            trailing = 0;
+        } else if (current) {
+            // Close the hunk once the next change is too far away to share context
+            const nextChange = ops.findIndex((item, i) => i > index && item.type !== ' ');
+            if (trailing < context || (nextChange !== -1 && nextChange - index <= context)) {
+                current.lines.push(` ${op.line}`);
+                trailing++;
+            } else {
+                current = null;
+            }
+        }
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    });
+
+    const header = [`--- ${oldText === null ? '/dev/null' : `a/${file}`}`, `+++ b/${file}`];
+    return header.concat(hunks.flatMap(hunk => {
+        const oldCount = hunk.lines.filter(line => line[0] !== '+').length;
+        const newCount = hunk.lines.filter(line => line[0] !== '-').length;
+        // An empty side is numbered after the line it follows, as in git
+        const oldStart = oldCount === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+        const newStart = newCount === 0 ? hunk.newStart - 1 : hunk.newStart;
+        return [`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...hunk.lines];
+    })).join('\n');
+}
+
+function colorizeDiff(diff) {
+    return diff.split('\n').map(line => {
+        if (line.startsWith('---') || line.startsWith('+++')) return chalk.bold(line);
+        if (line.startsWith('@@')) return chalk.cyan(line);
+        if (line.startsWith('+')) return chalk.green(line);
+        if (line.startsWith('-')) return chalk.red(line);
+        return line;
+    }).join('\n');
+}
+
+module.exports = { diffLines, createUnifiedDiff, colorizeDiff };
@@ -0,0 +1,55 @@
+// src/utils/fileUtils.js
+// Path helpers and classification of project files by role
+
+const path = require('path');
+
+const TEST_FILE_PATTERNS = [
+    /(^|\/)(__tests__|__mocks__|tests?|specs?|e2e)\//,
+    /\.(test|spec|e2e|stories|story)\.[cm]?[jt]sx?$/
+];
+
+const CONFIG_FILE_PATTERNS = [
+    /(^|\/)[^/]+\.config\.[cm]?[jt]s$/,
+    /(^|\/)\.[^/]+rc\.[cm]?js$/
+];
+
+// Build and maintenance scripts that never ship to users
+const TOOLING_FILE_PATTERNS = [
+    /(^|\/)(scripts|tools)\//
+];
+
+function toPosix(file) {
+    return file.split(path.sep).join('/');
+}
+
+function matchesAny(file, patterns) {
+    const posixFile = toPosix(file);
+    return patterns.some(pattern => pattern.test(posixFile));
+}
+
+function isTestFile(file) {
+    return matchesAny(file, TEST_FILE_PATTERNS);
+}
+
+function isConfigFile(file) {
+    return matchesAny(file, CONFIG_FILE_PATTERNS);
+}
+
+function isTypeDeclarationFile(file) {
+    return /\.d\.[cm]?ts$/.test(file);
+}
+
+// Code that runs in production, as opposed to tests, configs and tooling
+function isProductionFile(file) {
+    return !isTestFile(file) && !isConfigFile(file) && !isTypeDeclarationFile(file) &&
+        !matchesAny(file, TOOLING_FILE_PATTERNS);
+}
+
+module.exports = {
+    toPosix,
+    matchesAny,
+    isTestFile,
+    isConfigFile,
+    isTypeDeclarationFile,
+    isProductionFile
+};
@@ -0,0 +1,138 @@
+// src/utils/ignoreUtils.js
+// gitignore-style pattern matching for directory traversal
+
+const fs = require('fs');
+const path = require('path');
+const { toPosix } = require('./fileUtils');
+
+const GIT_IGNORE_FILES = ['.gitignore', '.ignore'];
+const TOOL_IGNORE_FILE = '.airefactorignore';
+
+function escapeRegex(char) {
+    return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+// Translates one glob into a regular expression body:
+// `*` and `?` stay within a path segment, `**` spans segments, `[...]` is a character class
+function globToRegexSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*' && glob[i + 1] === '*') {
+            const startsSegment = i === 0 || glob[i - 1] === '/';
+            const endsSegment = i + 2 === glob.length || glob[i + 2] === '/';
+            i++;
+            if (!startsSegment || !endsSegment) {
+                source += '[^/]*';
+            } else if (i + 1 === glob.length) {
+                source += '.*';                 // trailing "/**": everything inside
+            } else {
+                source += '(?:.*/)?';           // leading "**/" or inner "/**/": zero or more directories
+                i++;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+            const end = glob.indexOf(']', i + 2);
+            const body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            source += `[${body.startsWith('!') ? `^${body.slice(1)}` : body}]`;
+            i = end;
+        } else if (char === '\\' && i + 1 < glob.length) {
+            source += escapeRegex(glob[++i]);
+        } else {
+            source += escapeRegex(char);
+        }
+    }
+    return source;
+}
+
+// Compiles one line of an ignore file. Patterns containing a slash are anchored to
+// `baseDir`; others match a file or directory name at any depth below it.
+function compileIgnorePattern(line, baseDir, source) {
+    let pattern = line.replace(/\r$/, '').replace(/(?<!\\)[ \t]+$/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    let negate = false;
+    if (pattern.startsWith('!')) {
+        negate = true;
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+        pattern = pattern.slice(1);
+    }
+
+    const directoryOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    if (!pattern) return null;
+
+    const body = globToRegexSource(pattern);
+    return {
+        pattern: line.trim(),
+        negate,
+        directoryOnly,
+        regex: new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`),
+        baseDir,
+        source
+    };
+}
+
+function compileIgnorePatterns(patterns, baseDir, source) {
+    return patterns
+        .map(pattern => compileIgnorePattern(pattern, baseDir, source))
+        .filter(Boolean);
+}
+
+// Rules from the ignore files found in `dir`, labelled relative to the project root
+function readIgnoreFiles(dir, fileNames, projectDir) {
+    return fileNames.flatMap(fileName => {
+        const filePath = path.join(dir, fileName);
+        let content;
+        try {
+            content = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            return [];
+        }
+        const label = toPosix(path.relative(projectDir, filePath));
+        return compileIgnorePatterns(content.split('\n'), dir, label);
+    });
+}
+
+// Ignore files between the enclosing git repository root and `dir` still apply,
+// as they would for git itself. Outside a repository there are none.
+function readAncestorIgnoreFiles(dir, fileNames) {
+    const ancestors = [];
+    let current = path.resolve(dir);
+    while (!fs.existsSync(path.join(current, '.git'))) {
+        const parent = path.dirname(current);
+        if (parent === current) return [];
+        current = parent;
+        ancestors.unshift(current);
+    }
+    return ancestors.flatMap(ancestor => readIgnoreFiles(ancestor, fileNames, dir));
+}
+
+// The last matching rule decides, as in git. Returns that rule (which may be a
+// negation that re-includes the path) or null when no rule matches.
+function findIgnoreRule(rules, fullPath, isDirectory) {
+    let decisive = null;
+    rules.forEach(rule => {
+        if (rule.directoryOnly && !isDirectory) return;
+        const relative = toPosix(path.relative(rule.baseDir, fullPath));
+        if (!relative || relative === '..' || relative.startsWith('../')) return;
+        if (rule.regex.test(relative)) decisive = rule;
+    });
+    return decisive;
+}
+
+module.exports = {
+    GIT_IGNORE_FILES,
+    TOOL_IGNORE_FILE,
+    compileIgnorePatterns,
+    readIgnoreFiles,
+    readAncestorIgnoreFiles,
+    findIgnoreRule
+};
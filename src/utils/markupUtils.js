@@ -0,0 +1,10 @@
+// src/utils/markupUtils.js
+// Escaping for the HTML and XML reports
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeMarkup(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+module.exports = { escapeMarkup };
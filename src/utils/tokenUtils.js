@@ -0,0 +1,17 @@
+// src/utils/tokenUtils.js
+// Offline token estimation for prompts
+
+// Approximates BPE tokenizers without a vocabulary: short words are usually one
+// token and longer identifiers split into chunks of about four characters, digits
+// group in threes and each punctuation character is a token. A single space merges
+// into the word after it; other runs of whitespace (newlines, indentation) are one token.
+function estimateTokens(text) {
+    const pieces = text.match(/[A-Za-z]+|\d+|\s+|[^\sA-Za-z\d]/g) || [];
+    return pieces.reduce((total, piece) => {
+        if (/^[A-Za-z]/.test(piece)) return total + Math.ceil(piece.length / 4);
+        if (/^\d/.test(piece)) return total + Math.ceil(piece.length / 3);
+        return total + (piece === ' ' ? 0 : 1);
+    }, 0);
+}
+
+module.exports = { estimateTokens };
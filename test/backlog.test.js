@@ -0,0 +1,82 @@
+// test/backlog.test.js
+// Merging re-generated tasks into an existing backlog
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTaskKey, mergeTaskBacklog } = require('../src/core/backlog');
+
+const DEAD_CODE = {
+    key: createTaskKey('dead-code'),
+    title: 'Remove Unused Code',
+    sourceFiles: ['src/a.js'],
+    subjects: ['src/a.js#helper']
+};
+
+function generate(tasks, generated = '2024-01-02T00:00:00.000Z') {
+    return { generated, tasks };
+}
+
+// The backlog after a first run, with its only task completed
+function completedBacklog(task) {
+    const { backlog } = mergeTaskBacklog(null, generate([task], '2024-01-01T00:00:00.000Z'));
+    backlog.tasks[0].status = 'completed';
+    backlog.tasks[0].completedAt = '2024-01-01T12:00:00.000Z';
+    return backlog;
+}
+
+test('a completed task stays completed while it covers the same findings', () => {
+    const { backlog, stats } = mergeTaskBacklog(completedBacklog(DEAD_CODE), generate([DEAD_CODE]));
+
+    assert.equal(backlog.tasks[0].status, 'completed');
+    assert.equal(backlog.tasks[0].completedAt, '2024-01-01T12:00:00.000Z');
+    assert.deepEqual(stats, { added: 0, kept: 1, resolved: 0, reopened: 0 });
+});
+
+test('a completed task is reopened when a new finding joins it', () => {
+    const grown = { ...DEAD_CODE, subjects: [...DEAD_CODE.subjects, 'src/b.js#other'] };
+    const { backlog, stats } = mergeTaskBacklog(completedBacklog(DEAD_CODE), generate([grown]));
+    const [task] = backlog.tasks;
+
+    assert.equal(task.id, 'T-001');
+    assert.equal(task.status, 'pending');
+    assert.equal(task.completedAt, undefined);
+    assert.deepEqual(task.history.map(entry => entry.event), ['created', 'reopened']);
+    assert.deepEqual(stats, { added: 0, kept: 0, resolved: 0, reopened: 1 });
+});
+
+test('another copy of a finding the task already covered reopens it too', () => {
+    const security = { key: createTaskKey('security', ['src/a.js']), title: 'Fix Security Issues in a.js', sourceFiles: ['src/a.js'], subjects: ['eval: eval() call'] };
+    const twice = { ...security, subjects: ['eval: eval() call', 'eval: eval() call'] };
+
+    assert.equal(mergeTaskBacklog(completedBacklog(security), generate([twice])).backlog.tasks[0].status, 'pending');
+    assert.equal(mergeTaskBacklog(completedBacklog(twice), generate([security])).backlog.tasks[0].status, 'completed');
+});
+
+test('tasks without subjects are compared by their files', () => {
+    const task = { key: createTaskKey('documentation'), title: 'Add Documentation', sourceFiles: ['src/a.js'] };
+    const grown = { ...task, sourceFiles: ['src/a.js', 'src/b.js'] };
+
+    assert.equal(mergeTaskBacklog(completedBacklog(task), generate([grown])).backlog.tasks[0].status, 'pending');
+});
+
+test('completed tasks saved before subjects existed are not reopened by the upgrade', () => {
+    const { subjects, ...legacy } = DEAD_CODE;
+    const { backlog } = mergeTaskBacklog(completedBacklog(legacy), generate([DEAD_CODE]));
+
+    assert.equal(backlog.tasks[0].status, 'completed');
+    assert.deepEqual(backlog.tasks[0].subjects, subjects);
+});
+
+test('tasks whose problem disappeared are resolved and come back under the same ID', () => {
+    const other = { key: createTaskKey('broken-imports'), title: 'Fix Broken Imports', sourceFiles: ['src/c.js'] };
+    const first = mergeTaskBacklog(null, generate([DEAD_CODE, other], '2024-01-01T00:00:00.000Z')).backlog;
+
+    const gone = mergeTaskBacklog(first, generate([other]));
+    assert.equal(gone.backlog.tasks[0].status, 'resolved');
+    assert.equal(gone.stats.resolved, 1);
+
+    const back = mergeTaskBacklog(gone.backlog, generate([DEAD_CODE, other], '2024-01-03T00:00:00.000Z'));
+    assert.equal(back.backlog.tasks[0].id, 'T-001');
+    assert.equal(back.backlog.tasks[0].status, 'pending');
+    assert.equal(back.stats.reopened, 1);
+});
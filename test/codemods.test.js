@@ -0,0 +1,75 @@
+// test/codemods.test.js
+// Every built-in codemod against its fixtures: test/fixtures/codemods/<codemod id>/ holds
+// `<case>.input.<ext>` files and, for inputs the codemod changes, `<case>.output.<ext>` with
+// the expected result. An input without an output file must be left unchanged.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { CODEMODS, findCodemod, runCodemod } = require('../src/core/codemods');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'codemods');
+
+test('every built-in codemod has fixtures', () => {
+    CODEMODS.forEach(codemod => {
+        assert.ok(fs.existsSync(path.join(FIXTURES_DIR, codemod.id)), `No fixtures for ${codemod.id}`);
+    });
+});
+
+fs.readdirSync(FIXTURES_DIR).forEach(id => {
+    const dir = path.join(FIXTURES_DIR, id);
+    fs.readdirSync(dir)
+        .filter(file => /\.input\.\w+$/.test(file))
+        .forEach(inputFile => {
+            test(`${id}: ${inputFile.replace(/\.input\.\w+$/, '')}`, () => {
+                const codemod = findCodemod(id);
+                const inputPath = path.join(dir, inputFile);
+                const outputPath = path.join(dir, inputFile.replace('.input.', '.output.'));
+                const input = fs.readFileSync(inputPath, 'utf8');
+                const expected = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : input;
+
+                const result = runCodemod(codemod, inputPath, input);
+                assert.ok(result, `${inputFile} does not parse`);
+                assert.equal(result.output, expected);
+                assert.equal(result.fixes.length > 0, expected !== input);
+            });
+        });
+});
+
+test('require-to-import leaves files in CommonJS packages alone', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-refactor-codemods-'));
+    try {
+        const file = path.join(dir, 'index.js');
+        const input = "const path = require('path');\n\nmodule.exports = path.sep;\n";
+        fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name: 'legacy' }));
+        fs.writeFileSync(file, input);
+
+        assert.deepEqual(runCodemod(findCodemod('require-to-import'), file, input), { fixes: [], output: input });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('require-to-import output of both sides of a require still links', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-refactor-codemods-'));
+    try {
+        const fixtures = path.join(FIXTURES_DIR, 'require-to-import');
+        ['package.json', 'counter.input.js', 'counter-user.input.js'].forEach(file => {
+            fs.copyFileSync(path.join(fixtures, file), path.join(dir, file));
+        });
+        // Convert each file against the unconverted project, as `ai-refactor codemod` does
+        const outputs = ['counter.input.js', 'counter-user.input.js'].map(file => {
+            const target = path.join(dir, file);
+            return [target, runCodemod(findCodemod('require-to-import'), target, fs.readFileSync(target, 'utf8')).output];
+        });
+        outputs.forEach(([target, output]) => fs.writeFileSync(target, output));
+
+        const { default: twice } = await import(pathToFileURL(path.join(dir, 'counter-user.input.js')).href);
+        assert.equal(twice(), 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
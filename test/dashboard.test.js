@@ -0,0 +1,102 @@
+// test/dashboard.test.js
+// The dashboard server: errors from its actions and requests for other host names
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { startDashboard } = require('../src/dashboard/server');
+
+const FILES = {
+    context: 'machine_context.json',
+    backlog: 'task_backlog.json',
+    summary: 'analysis_summary.md',
+    dependencies: 'dependency_map.json'
+};
+
+function request(port, { method = 'GET', path: requestPath, host, body }) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            port,
+            method,
+            path: requestPath,
+            headers: {
+                host: host || `127.0.0.1:${port}`,
+                ...(body ? { 'content-type': 'application/json' } : {})
+            }
+        }, res => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                text += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, text }));
+        });
+        req.on('error', reject);
+        req.end(body ? JSON.stringify(body) : undefined);
+    });
+}
+
+async function withDashboard(actions, callback) {
+    const analysisDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-refactor-dashboard-'));
+    fs.writeFileSync(path.join(analysisDir, FILES.context), JSON.stringify({ summary: {}, files: {}, dependencies: {} }));
+    const server = await startDashboard(analysisDir, { port: 0, host: '127.0.0.1', files: FILES, actions });
+    try {
+        await callback(server.address().port);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(analysisDir, { recursive: true, force: true });
+    }
+}
+
+test('the page and its assets are served', async () => {
+    await withDashboard({ getPrompt: () => null, completeTask: () => null }, async port => {
+        const page = await request(port, { path: '/' });
+        assert.equal(page.status, 200);
+        assert.match(page.text, /<script src="\/?app\.js"/);
+        assert.equal((await request(port, { path: '/app.js' })).status, 200);
+        assert.equal((await request(port, { path: '/style.css' })).status, 200);
+    });
+});
+
+test('a failing action answers with an error and the server keeps running', async () => {
+    const actions = {
+        getPrompt() {
+            const error = new Error('Invalid configuration in .airefactor.json');
+            error.errors = ['ai.provider must be a string'];
+            throw error;
+        },
+        completeTask: () => null
+    };
+    await withDashboard(actions, async port => {
+        const failed = await request(port, { path: '/api/tasks/T-001/prompt' });
+        assert.equal(failed.status, 500);
+        assert.deepEqual(JSON.parse(failed.text), { error: 'Invalid configuration in .airefactor.json ai.provider must be a string' });
+
+        const missing = await request(port, { method: 'POST', path: '/api/tasks/T-404/complete', body: {} });
+        assert.equal(missing.status, 404);
+        assert.equal((await request(port, { path: '/api/data' })).status, 200);
+    });
+});
+
+test('requests for other host names are refused', async () => {
+    let completed = false;
+    const actions = {
+        getPrompt: () => 'prompt',
+        completeTask() {
+            completed = true;
+            return { outcome: 'completed' };
+        }
+    };
+    await withDashboard(actions, async port => {
+        const rebound = await request(port, { method: 'POST', path: '/api/tasks/T-001/complete', host: `attacker.example:${port}`, body: {} });
+        assert.equal(rebound.status, 403);
+        assert.equal(completed, false);
+        assert.equal((await request(port, { path: '/api/data', host: `attacker.example:${port}` })).status, 403);
+
+        assert.equal((await request(port, { path: '/api/tasks/T-001/prompt', host: `localhost:${port}` })).text, 'prompt');
+        assert.equal((await request(port, { path: '/api/tasks/T-001/prompt', host: `[::1]:${port}` })).status, 200);
+    });
+});
@@ -0,0 +1,8 @@
+import { polyfill } from './polyfills';
+import type { Options } from './types';
+import "./register"
+import setup from "./setup"
+
+export function start(): void {
+    console.log('started');
+}
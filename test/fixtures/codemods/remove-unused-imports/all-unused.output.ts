@@ -0,0 +1,7 @@
+import './polyfills';
+import "./register"
+import "./setup"
+
+export function start(): void {
+    console.log('started');
+}
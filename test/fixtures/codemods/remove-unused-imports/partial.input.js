@@ -0,0 +1,8 @@
+import React, { useState, useEffect } from 'react';
+import { format } from './format';
+import './styles.css';
+
+export function Clock() {
+    const [time] = useState(format(new Date()));
+    return <span>{time}</span>;
+}
@@ -0,0 +1,4 @@
+// .cjs files are CommonJS whatever the package says
+const path = require('path');
+
+module.exports = path.sep;
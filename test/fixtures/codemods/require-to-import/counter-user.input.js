@@ -0,0 +1,10 @@
+// Both sides of the require convert: counter.input.js gets named exports
+const counter = require('./counter.input');
+const { increment } = require('./counter.input');
+
+function twice() {
+    increment();
+    return counter.increment();
+}
+
+module.exports = twice;
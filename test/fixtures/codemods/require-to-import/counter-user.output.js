@@ -0,0 +1,10 @@
+// Both sides of the require convert: counter.input.js gets named exports
+import * as counter from './counter.input.js';
+import { increment } from './counter.input.js';
+
+function twice() {
+    increment();
+    return counter.increment();
+}
+
+export default twice;
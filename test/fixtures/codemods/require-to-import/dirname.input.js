@@ -0,0 +1,4 @@
+// __dirname does not exist in ES modules, so the file stays CommonJS
+const path = require('path');
+
+module.exports = path.join(__dirname, 'data');
@@ -0,0 +1,10 @@
+const path = require('path');
+const { readFile } = require('fs');
+const { parse } = require('./parsers');
+require('./setup');
+
+function load(file) {
+    return readFile(path.resolve(file)).then(parse);
+}
+
+module.exports = { load };
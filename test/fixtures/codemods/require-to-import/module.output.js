@@ -0,0 +1,10 @@
+import path from 'path';
+import { readFile } from 'fs';
+import { parse } from './parsers/index.js';
+import './setup.js';
+
+function load(file) {
+    return readFile(path.resolve(file)).then(parse);
+}
+
+export { load };
@@ -0,0 +1,4 @@
+// settings.input.js converts to a default export, which an import cannot destructure
+const { debug } = require('./settings.input');
+
+module.exports = { debug };
@@ -0,0 +1,3 @@
+module.exports = {
+    debug: process.env.DEBUG === '1'
+};
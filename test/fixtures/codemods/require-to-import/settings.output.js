@@ -0,0 +1,3 @@
+export default {
+    debug: process.env.DEBUG === '1'
+};
@@ -0,0 +1,2 @@
+// Required for its side effects by module.input.js
+globalThis.ready = true;
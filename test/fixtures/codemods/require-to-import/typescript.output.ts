@@ -0,0 +1,6 @@
+import type { Config } from './config';
+import { parse } from './parsers';
+
+export function load(text: string): Config {
+    return parse(text);
+}
@@ -0,0 +1,4 @@
+// An import of a file that does not exist would only fail later, so the file stays CommonJS
+const helpers = require('./helpers');
+
+module.exports = helpers;
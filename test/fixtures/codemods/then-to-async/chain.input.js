@@ -0,0 +1,9 @@
+function load(url) {
+    return fetch(url).then(response => response.json());
+}
+
+function loadAll(url) {
+    return fetch(url)
+        .then(response => response.json())
+        .then(data => data.items);
+}
@@ -0,0 +1,10 @@
+async function load(url) {
+    const response = await fetch(url);
+    return response.json();
+}
+
+async function loadAll(url) {
+    const response = await fetch(url);
+    const data = await response.json();
+    return data.items;
+}
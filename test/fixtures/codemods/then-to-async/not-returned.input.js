@@ -0,0 +1,5 @@
+// The chain is not the function's result, so awaiting it would change when the function returns
+function start(url) {
+    fetch(url).then(response => response.json());
+    return true;
+}
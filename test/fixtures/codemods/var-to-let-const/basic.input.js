@@ -0,0 +1,11 @@
+function total(items) {
+    var sum = 0;
+    var tax = 0.2;
+    for (var i = 0; i < items.length; i++) {
+        sum += items[i];
+    }
+    for (var item of items) {
+        console.log(item);
+    }
+    return sum * (1 + tax);
+}
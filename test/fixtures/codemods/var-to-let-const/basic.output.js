@@ -0,0 +1,11 @@
+function total(items) {
+    let sum = 0;
+    const tax = 0.2;
+    for (let i = 0; i < items.length; i++) {
+        sum += items[i];
+    }
+    for (const item of items) {
+        console.log(item);
+    }
+    return sum * (1 + tax);
+}
@@ -0,0 +1,11 @@
+// Used before its declaration and outside its block: block scoping would break both
+function read(flag) {
+    console.log(value);
+    if (flag) {
+        var value = 1;
+    }
+    return value;
+}
+
+var twice = 1;
+var twice = 2;
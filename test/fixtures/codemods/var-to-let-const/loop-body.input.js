@@ -0,0 +1,8 @@
+function sum(rows) {
+    var total = 0;
+    for (var i = 0; i < rows.length; i++) {
+        var row = rows[i];
+        total += row.value;
+    }
+    return total;
+}
@@ -0,0 +1,8 @@
+function sum(rows) {
+    let total = 0;
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        total += row.value;
+    }
+    return total;
+}
@@ -0,0 +1,22 @@
+// The callbacks share one `var i` and all see its final value; `let` would give each its own
+function createCallbacks() {
+    const callbacks = [];
+    for (var i = 0; i < 3; i++) {
+        callbacks.push(() => i);
+    }
+    for (var name of ['a', 'b']) {
+        setTimeout(function () {
+            console.log(name);
+        });
+    }
+    return callbacks;
+}
+
+function bodyClosure(items) {
+    const getters = [];
+    for (let j = 0; j < items.length; j++) {
+        var item = items[j];
+        getters.push(() => item);
+    }
+    return getters;
+}
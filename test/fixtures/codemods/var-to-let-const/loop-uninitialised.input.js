@@ -0,0 +1,16 @@
+// `var last` keeps its value from the previous iteration; `let last` would reset it
+function fill(items) {
+    const result = [];
+    for (const item of items) {
+        var last;
+        if (item) last = item;
+        result.push(last);
+    }
+    let n = 0;
+    while (n < 3) {
+        var seen;
+        seen = seen || n;
+        n++;
+    }
+    return result;
+}
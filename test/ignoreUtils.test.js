@@ -0,0 +1,90 @@
+// test/ignoreUtils.test.js
+// gitignore-style patterns: how globs compile and which rule decides
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compileIgnorePatterns, readIgnoreFiles, readAncestorIgnoreFiles, findIgnoreRule } = require('../src/utils/ignoreUtils');
+
+const ROOT = path.resolve('/project');
+
+// Whether `file` (relative to ROOT) is ignored by `patterns` from ROOT/.gitignore
+function isIgnored(patterns, file, isDirectory = false) {
+    const rule = findIgnoreRule(compileIgnorePatterns(patterns, ROOT, '.gitignore'), path.join(ROOT, file), isDirectory);
+    return Boolean(rule && !rule.negate);
+}
+
+test('patterns without a slash match a name at any depth', () => {
+    assert.equal(isIgnored(['*.log'], 'debug.log'), true);
+    assert.equal(isIgnored(['*.log'], 'src/logs/debug.log'), true);
+    assert.equal(isIgnored(['*.log'], 'src/debug.log.js'), false);
+    assert.equal(isIgnored(['build'], 'packages/app/build', true), true);
+});
+
+test('patterns with a slash are anchored to their ignore file', () => {
+    assert.equal(isIgnored(['/dist'], 'dist', true), true);
+    assert.equal(isIgnored(['/dist'], 'src/dist', true), false);
+    assert.equal(isIgnored(['src/*.gen.js'], 'src/api.gen.js'), true);
+    assert.equal(isIgnored(['src/*.gen.js'], 'src/nested/api.gen.js'), false);
+});
+
+test('`**` spans directories and `*` and `?` stay within one', () => {
+    assert.equal(isIgnored(['**/fixtures'], 'fixtures', true), true);
+    assert.equal(isIgnored(['**/fixtures'], 'test/unit/fixtures', true), true);
+    assert.equal(isIgnored(['docs/**/*.md'], 'docs/README.md'), true);
+    assert.equal(isIgnored(['docs/**/*.md'], 'docs/api/v1/index.md'), true);
+    assert.equal(isIgnored(['vendor/**'], 'vendor/lib/jquery.js'), true);
+    assert.equal(isIgnored(['file?.js'], 'file1.js'), true);
+    assert.equal(isIgnored(['file?.js'], 'file10.js'), false);
+    assert.equal(isIgnored(['[!a]*.js'], 'app.js'), false);
+    assert.equal(isIgnored(['[!a]*.js'], 'main.js'), true);
+});
+
+test('a trailing slash matches directories only', () => {
+    assert.equal(isIgnored(['cache/'], 'cache', true), true);
+    assert.equal(isIgnored(['cache/'], 'cache', false), false);
+});
+
+test('the last matching rule decides, so negations re-include paths', () => {
+    const patterns = ['*.json', '!package.json'];
+    assert.equal(isIgnored(patterns, 'data.json'), true);
+    assert.equal(isIgnored(patterns, 'package.json'), false);
+    assert.equal(isIgnored(['!package.json', '*.json'], 'package.json'), true);
+});
+
+test('comments, blank lines and escapes', () => {
+    assert.deepEqual(compileIgnorePatterns(['# comment', '', '   '], ROOT, '.gitignore'), []);
+    assert.equal(isIgnored(['\\#notes.txt'], '#notes.txt'), true);
+    assert.equal(isIgnored(['\\!important'], '!important'), true);
+    assert.equal(isIgnored(['trailing   '], 'trailing'), true);
+});
+
+test('rules only apply below the directory of their ignore file', () => {
+    const rules = compileIgnorePatterns(['*.js'], path.join(ROOT, 'packages'), 'packages/.gitignore');
+    assert.equal(findIgnoreRule(rules, path.join(ROOT, 'packages/app/index.js'), false)?.pattern, '*.js');
+    assert.equal(findIgnoreRule(rules, path.join(ROOT, 'src/index.js'), false), null);
+});
+
+test('ignore files are read from the project and from the enclosing repository', () => {
+    const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-refactor-ignore-'));
+    try {
+        const project = path.join(repo, 'packages', 'app');
+        fs.mkdirSync(path.join(repo, '.git'));
+        fs.mkdirSync(project, { recursive: true });
+        fs.writeFileSync(path.join(repo, '.gitignore'), 'coverage/\n');
+        fs.writeFileSync(path.join(project, '.gitignore'), '# generated\n*.gen.js\n');
+
+        const own = readIgnoreFiles(project, ['.gitignore'], project);
+        assert.deepEqual(own.map(rule => [rule.pattern, rule.source]), [['*.gen.js', '.gitignore']]);
+
+        const inherited = readAncestorIgnoreFiles(project, ['.gitignore']);
+        assert.deepEqual(inherited.map(rule => rule.pattern), ['coverage/']);
+        assert.ok(findIgnoreRule(inherited, path.join(project, 'coverage'), true));
+
+        assert.deepEqual(readAncestorIgnoreFiles(os.tmpdir(), ['.gitignore']), []);
+    } finally {
+        fs.rmSync(repo, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,186 @@
+// test/patches.test.js
+// Reading changes out of AI responses, applying them, and reverting them through the CLI
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { PatchError, extractChanges, applyHunks } = require('../src/core/patches');
+const { createBackup, restoreBackup } = require('../src/core/backups');
+const { createUnifiedDiff } = require('../src/utils/diffUtils');
+
+const CLI = path.join(__dirname, '..', 'src', 'index.js');
+
+function createTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'ai-refactor-patches-'));
+}
+
+function runCli(args, cwd) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { cwd, encoding: 'utf8', timeout: 60000 });
+    assert.equal(result.status, 0, `ai-refactor ${args.join(' ')} failed:\n${result.stdout}\n${result.stderr}`);
+    return result.stdout;
+}
+
+// Runs a command that must fail, and returns what it printed to stderr
+function runFailingCli(args, cwd) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { cwd, encoding: 'utf8', timeout: 60000 });
+    assert.equal(result.status, 1, `ai-refactor ${args.join(' ')} did not fail:\n${result.stdout}\n${result.stderr}`);
+    return result.stderr;
+}
+
+test('extractChanges finds unified diffs and labelled full-file blocks', () => {
+    const response = [
+        'Here is the fix:',
+        '',
+        '```diff',
+        '--- a/src/math.js',
+        '+++ b/src/math.js',
+        '@@ -1,3 +1,3 @@',
+        ' function add(a, b) {',
+        '-    return a - b;',
+        '+    return a + b;',
+        ' }',
+        '```',
+        '',
+        '```js src/util.js',
+        'module.exports = {};',
+        '```',
+        '',
+        '```js',
+        'add(1, 2);',
+        '```'
+    ].join('\n');
+
+    const { changes, unlabeled } = extractChanges(response);
+    assert.equal(unlabeled, 1);
+    assert.deepEqual(changes.map(change => [change.type, change.file]), [['diff', 'src/math.js'], ['full', 'src/util.js']]);
+    assert.equal(changes[1].content, 'module.exports = {};');
+});
+
+test('a full-file block can be labelled by a comment on its first line', () => {
+    const { changes } = extractChanges('```js\n// src/app.js\nconsole.log(1);\n```');
+    assert.equal(changes[0].file, 'src/app.js');
+    assert.equal(changes[0].labelLine, true);
+});
+
+test('applyHunks finds hunks whose header line numbers are off', () => {
+    const content = ['// header', '', 'function add(a, b) {', '    return a - b;', '}', ''].join('\n');
+    const hunks = [{ oldStart: 1, lines: [' function add(a, b) {', '-    return a - b;', '+    return a + b;', ' }'] }];
+
+    assert.equal(applyHunks(content, hunks, 'math.js'), ['// header', '', 'function add(a, b) {', '    return a + b;', '}', ''].join('\n'));
+});
+
+test('applyHunks creates new files and rejects hunks that do not match', () => {
+    assert.equal(applyHunks(null, [{ oldStart: 0, lines: ['+line one', '+line two'] }], 'new.js'), 'line one\nline two');
+    assert.throws(() => applyHunks('a\nb\n', [{ oldStart: 1, lines: ['-missing', '+x'] }], 'a.js'), PatchError);
+});
+
+test('restoreBackup puts changed files back and removes created ones', () => {
+    const dir = createTempDir();
+    try {
+        const project = path.join(dir, 'project');
+        fs.mkdirSync(path.join(project, 'src'), { recursive: true });
+        fs.writeFileSync(path.join(project, 'src', 'a.js'), 'original');
+        const backupDir = createBackup(path.join(dir, 'backups'), project, ['src/a.js', 'src/new.js'], { task: 'T-001' });
+
+        fs.writeFileSync(path.join(project, 'src', 'a.js'), 'patched');
+        fs.writeFileSync(path.join(project, 'src', 'new.js'), 'created');
+        assert.deepEqual(restoreBackup(backupDir, project), ['src/a.js', 'src/new.js']);
+
+        assert.equal(fs.readFileSync(path.join(project, 'src', 'a.js'), 'utf8'), 'original');
+        assert.equal(fs.existsSync(path.join(project, 'src', 'new.js')), false);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('run with the mock provider, apply and revert change and restore task files', () => {
+    const project = createTempDir();
+    try {
+        const original = 'export function add(a, b) {\n    return a - b;\n}\n';
+        fs.mkdirSync(path.join(project, 'src'));
+        fs.mkdirSync(path.join(project, 'fixtures'));
+        fs.writeFileSync(path.join(project, 'src', 'math.js'), original);
+        // The broken import gives a task about index.js; math.js is a related file it may patch
+        fs.writeFileSync(path.join(project, 'src', 'index.js'), 'import { add } from "./math";\nimport { missing } from "./nowhere";\nexport { add, missing };\n');
+        fs.writeFileSync(path.join(project, '.airefactor.json'), JSON.stringify({
+            ai: { provider: 'mock', fixturesDir: 'fixtures' }
+        }));
+        fs.writeFileSync(path.join(project, 'fixtures', 'default.md'), [
+            '```diff',
+            '--- a/src/math.js',
+            '+++ b/src/math.js',
+            '@@ -1,3 +1,3 @@',
+            ' export function add(a, b) {',
+            '-    return a - b;',
+            '+    return a + b;',
+            ' }',
+            '```'
+        ].join('\n'));
+
+        runCli(['analyze', '.'], project);
+        const task = JSON.parse(fs.readFileSync(path.join(project, 'ai-analysis', 'task_backlog.json'), 'utf8'))
+            .tasks.find(entry => entry.title === 'Fix Broken Imports');
+
+        runCli(['run', 'ai-analysis', '--task', task.id], project);
+        runCli(['apply', 'ai-analysis', '--task', task.id, '--yes'], project);
+        assert.equal(fs.readFileSync(path.join(project, 'src', 'math.js'), 'utf8'), original.replace('a - b', 'a + b'));
+
+        runCli(['apply', 'ai-analysis', '--task', task.id, '--revert'], project);
+        assert.equal(fs.readFileSync(path.join(project, 'src', 'math.js'), 'utf8'), original);
+        const reverted = JSON.parse(fs.readFileSync(path.join(project, 'ai-analysis', 'task_backlog.json'), 'utf8'))
+            .tasks.find(entry => entry.id === task.id);
+        assert.deepEqual(reverted.history.map(entry => entry.event).slice(-2), ['patched', 'reverted']);
+    } finally {
+        fs.rmSync(project, { recursive: true, force: true });
+    }
+});
+
+test('createUnifiedDiff shows changes with context and nothing for equal texts', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join('\n');
+    const after = before.replace('e', 'E');
+
+    assert.equal(createUnifiedDiff(before, before, 'src/x.js'), '');
+    assert.equal(createUnifiedDiff(before, after, 'src/x.js', 1), [
+        '--- a/src/x.js',
+        '+++ b/src/x.js',
+        '@@ -4,3 +4,3 @@',
+        ' d',
+        '-e',
+        '+E',
+        ' f'
+    ].join('\n'));
+});
+
+test('apply refuses files outside the task and rolls back changes that do not parse', () => {
+    const project = createTempDir();
+    try {
+        const original = 'export function add(a, b) {\n    return a - b;\n}\n';
+        fs.mkdirSync(path.join(project, 'src'));
+        fs.writeFileSync(path.join(project, 'src', 'math.js'), original);
+        fs.writeFileSync(path.join(project, 'src', 'index.js'), 'import { add } from "./math";\nimport { missing } from "./nowhere";\nexport { add, missing };\n');
+        fs.writeFileSync(path.join(project, 'src', 'other.js'), 'export const other = 1;\n');
+        runCli(['analyze', '.'], project);
+        const task = JSON.parse(fs.readFileSync(path.join(project, 'ai-analysis', 'task_backlog.json'), 'utf8'))
+            .tasks.find(entry => entry.title === 'Fix Broken Imports');
+
+        const outside = path.join(project, 'outside.md');
+        fs.writeFileSync(outside, '```js\n// src/other.js\nexport const other = 2;\n```\n');
+        assert.match(runFailingCli(['apply', 'ai-analysis', '--task', task.id, '--response', outside, '--yes'], project),
+            /changes files outside task .*src\/other\.js/);
+        assert.equal(fs.readFileSync(path.join(project, 'src', 'other.js'), 'utf8'), 'export const other = 1;\n');
+
+        const broken = path.join(project, 'broken.md');
+        fs.writeFileSync(broken, '```js\n// src/math.js\nexport function add(a, b) {\n    return a +;\n}\n```\n');
+        assert.match(runFailingCli(['apply', 'ai-analysis', '--task', task.id, '--response', broken, '--yes'], project),
+            /no longer parse, so every change was rolled back/);
+        assert.equal(fs.readFileSync(path.join(project, 'src', 'math.js'), 'utf8'), original);
+        const after = JSON.parse(fs.readFileSync(path.join(project, 'ai-analysis', 'task_backlog.json'), 'utf8'))
+            .tasks.find(entry => entry.id === task.id);
+        assert.equal(after.patches, undefined);
+    } finally {
+        fs.rmSync(project, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,78 @@
+// test/promptContext.test.js
+// Shrinking task prompts to fit a token budget
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fitToTokenBudget } = require('../src/core/promptContext');
+const { estimateTokens } = require('../src/utils/tokenUtils');
+
+// `count` functions of 20 lines each
+function createSource(prefix, count) {
+    return Array.from({ length: count }, (_, index) => [
+        `function ${prefix}${index}(items) {`,
+        ...Array.from({ length: 18 }, (_, line) => `    items.push(${index} * ${line} + items.length);`),
+        '}'
+    ].join('\n')).join('\n\n');
+}
+
+function createSections() {
+    const source = createSource('task', 10);
+    const related = createSource('helper', 10);
+    return {
+        sourceFiles: [{ path: 'src/task.js', found: true, mode: 'full', content: source, original: source }],
+        relatedFiles: [{ path: 'src/helper.js', relation: 'imported by src/task.js', mode: 'full', content: related, original: related }]
+    };
+}
+
+function render({ sourceFiles, relatedFiles }) {
+    return [...sourceFiles, ...relatedFiles.filter(entry => !entry.dropped)]
+        .map(entry => `${entry.path}\n${entry.summary || entry.content}`)
+        .join('\n\n');
+}
+
+const HELPERS = {
+    // The task is about the first function of its file
+    getRelevantRanges: file => (file === 'src/task.js' ? [[1, 20]] : []),
+    getAnalysis: () => ({ complexity: 10, imports: [], exports: [], functions: [] })
+};
+
+function fit(maxTokens) {
+    return fitToTokenBudget(createSections(), render, maxTokens, HELPERS);
+}
+
+test('related files are summarized before the task files shrink', () => {
+    const { sourceFiles } = createSections();
+    const result = fit(estimateTokens(render({ sourceFiles, relatedFiles: [] })) + 100);
+
+    assert.equal(result.overBudget, false);
+    assert.equal(result.sourceFiles[0].mode, 'full');
+    assert.equal(result.relatedFiles[0].mode, 'summary');
+    assert.equal(result.relatedFiles[0].dropped, undefined);
+    assert.match(result.relatedFiles[0].omission, /^related file \(imported by src\/task\.js\): the source was replaced by a summary/);
+});
+
+test('task files are cut to their relevant functions while related summaries stay', () => {
+    const result = fit(600);
+
+    assert.equal(result.overBudget, false);
+    assert.equal(result.sourceFiles[0].mode, 'relevant');
+    assert.equal(result.relatedFiles[0].mode, 'summary');
+    assert.equal(result.relatedFiles[0].dropped, undefined);
+});
+
+test('task files are never shrunk below their relevant functions', () => {
+    const result = fit(10);
+
+    assert.equal(result.overBudget, true);
+    assert.equal(result.sourceFiles[0].mode, 'relevant');
+    assert.match(result.sourceFiles[0].content, /function task0\(items\)/);
+    assert.equal(result.relatedFiles[0].dropped, true);
+});
+
+test('nothing is shrunk without a budget', () => {
+    const result = fit(0);
+
+    assert.equal(result.overBudget, false);
+    assert.deepEqual(result.sourceFiles, createSections().sourceFiles);
+    assert.deepEqual(result.relatedFiles, createSections().relatedFiles);
+});
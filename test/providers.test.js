@@ -0,0 +1,186 @@
+// test/providers.test.js
+// Provider adapters against local stub servers, the mock provider and provider settings
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { loadProvider, completeWithProvider } = require('../src/core/providers');
+const { DEFAULT_CONFIG, ConfigError } = require('../src/core/config');
+const { ProviderError } = require('../src/providers/http');
+const PROVIDERS = require('../src/providers');
+
+const TASK = { id: 'T-001', title: 'Fix It', sourceFiles: ['src/app.js'] };
+
+function getProvider(id) {
+    return PROVIDERS.find(provider => provider.id === id);
+}
+
+function withAi(ai) {
+    return { ...DEFAULT_CONFIG, ai: { ...DEFAULT_CONFIG.ai, ...ai } };
+}
+
+// A local server that records each request and answers with `respond(request)`
+async function startStub(respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || 'null') };
+            requests.push(request);
+            const { status = 200, json } = respond(request);
+            res.writeHead(status, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(json));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        requests,
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+function settingsFor(baseUrl, extra = {}) {
+    return { model: 'test-model', baseUrl, maxOutputTokens: 100, temperature: 0, timeoutSeconds: 5, ...extra };
+}
+
+test('openai sends a chat completion to an OpenAI-compatible server', async () => {
+    const stub = await startStub(() => ({
+        json: {
+            model: 'test-model-0613',
+            choices: [{ message: { role: 'assistant', content: 'Done.' } }],
+            usage: { prompt_tokens: 12, completion_tokens: 3 }
+        }
+    }));
+    try {
+        const result = await getProvider('openai').complete({ prompt: 'Refactor this', task: TASK }, settingsFor(`${stub.baseUrl}/v1`, { apiKey: 'sk-test' }));
+
+        assert.deepEqual(result, { content: 'Done.', model: 'test-model-0613', inputTokens: 12, outputTokens: 3 });
+        const [request] = stub.requests;
+        assert.equal(request.method, 'POST');
+        assert.equal(request.url, '/v1/chat/completions');
+        assert.equal(request.headers.authorization, 'Bearer sk-test');
+        assert.deepEqual(request.body.messages, [{ role: 'user', content: 'Refactor this' }]);
+        assert.equal(request.body.model, 'test-model');
+        assert.equal(request.body.max_tokens, 100);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('llamacpp talks to the same endpoint without an API key', async () => {
+    const stub = await startStub(() => ({ json: { choices: [{ message: { content: 'Local answer' } }] } }));
+    try {
+        const result = await getProvider('llamacpp').complete({ prompt: 'Hi', task: TASK }, settingsFor(stub.baseUrl));
+
+        assert.equal(result.content, 'Local answer');
+        assert.equal(stub.requests[0].url, '/chat/completions');
+        assert.equal(stub.requests[0].headers.authorization, undefined);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('anthropic and ollama read their own response shapes', async () => {
+    const stub = await startStub(request => (request.url === '/v1/messages'
+        ? { json: { model: 'claude-test', content: [{ type: 'text', text: 'A' }, { type: 'text', text: 'B' }], usage: { input_tokens: 5, output_tokens: 2 } } }
+        : { json: { model: 'llama', message: { content: 'C' }, prompt_eval_count: 7, eval_count: 1 } }));
+    try {
+        const anthropic = await getProvider('anthropic').complete({ prompt: 'Hi', task: TASK }, settingsFor(stub.baseUrl, { apiKey: 'key' }));
+        const ollama = await getProvider('ollama').complete({ prompt: 'Hi', task: TASK }, settingsFor(stub.baseUrl));
+
+        assert.deepEqual(anthropic, { content: 'AB', model: 'claude-test', inputTokens: 5, outputTokens: 2 });
+        assert.equal(stub.requests[0].headers['x-api-key'], 'key');
+        assert.equal(stub.requests[0].headers['anthropic-version'], '2023-06-01');
+        assert.deepEqual(ollama, { content: 'C', model: 'llama', inputTokens: 7, outputTokens: 1 });
+        assert.equal(stub.requests[1].url, '/api/chat');
+        assert.equal(stub.requests[1].body.stream, false);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('HTTP errors become provider errors with the API\'s message', async () => {
+    const stub = await startStub(() => ({ status: 429, json: { error: { message: 'Rate limit reached' } } }));
+    try {
+        await assert.rejects(
+            getProvider('openai').complete({ prompt: 'Hi', task: TASK }, settingsFor(stub.baseUrl)),
+            error => error instanceof ProviderError && error.status === 429 && /Rate limit reached/.test(error.message)
+        );
+    } finally {
+        await stub.close();
+    }
+});
+
+test('a response without a message is rejected', async () => {
+    const stub = await startStub(() => ({ json: { choices: [] } }));
+    try {
+        await assert.rejects(
+            getProvider('openai').complete({ prompt: 'Hi', task: TASK }, settingsFor(stub.baseUrl)),
+            /contains no message/
+        );
+    } finally {
+        await stub.close();
+    }
+});
+
+test('mock answers deterministically from the prompt', async () => {
+    const mock = getProvider('mock');
+    const first = await mock.complete({ prompt: 'Same prompt', task: TASK }, {});
+    const second = await mock.complete({ prompt: 'Same prompt', task: TASK }, {});
+    const other = await mock.complete({ prompt: 'Other prompt', task: TASK }, {});
+
+    assert.equal(first.content, second.content);
+    assert.notEqual(first.content, other.content);
+    assert.match(first.content, /^# Mock response for T-001: Fix It/);
+    assert.match(first.content, /Source files: src\/app\.js/);
+});
+
+test('mock answers with the task\'s fixture, else the default fixture', async () => {
+    const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-refactor-mock-'));
+    try {
+        fs.writeFileSync(path.join(fixturesDir, 'default.md'), 'default answer');
+        fs.writeFileSync(path.join(fixturesDir, 'T-002.md'), 'answer for T-002');
+        const mock = getProvider('mock');
+
+        assert.equal((await mock.complete({ prompt: 'x', task: TASK }, { fixturesDir })).content, 'default answer');
+        assert.equal((await mock.complete({ prompt: 'x', task: { ...TASK, id: 'T-002' } }, { fixturesDir })).content, 'answer for T-002');
+    } finally {
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+    }
+});
+
+test('loadProvider reads API keys from the environment only', () => {
+    assert.throws(() => loadProvider(withAi({ provider: 'openai', model: 'gpt' }), process.cwd(), {}),
+        error => error instanceof ConfigError && /OPENAI_API_KEY/.test(error.message));
+
+    const { settings } = loadProvider(withAi({ provider: 'openai', model: 'gpt' }), process.cwd(), { OPENAI_API_KEY: 'from-env' });
+    assert.equal(settings.apiKey, 'from-env');
+    assert.equal(settings.baseUrl, 'https://api.openai.com/v1');
+});
+
+test('loadProvider needs no key for a custom base URL, and a model for every provider but mock', () => {
+    const { settings } = loadProvider(withAi({ provider: 'openai', model: 'gpt', baseUrl: 'http://127.0.0.1:8080/v1' }), process.cwd(), {});
+    assert.equal(settings.apiKey, undefined);
+
+    assert.throws(() => loadProvider(withAi({ provider: 'ollama' }), process.cwd(), {}), /No model set/);
+    assert.equal(loadProvider(withAi({ provider: 'mock' }), process.cwd(), {}).settings.model, 'mock');
+    assert.throws(() => loadProvider(withAi({ provider: 'no-such-provider', model: 'x' }), process.cwd(), {}), /Unknown AI provider/);
+});
+
+test('completeWithProvider estimates token counts the provider does not report', async () => {
+    const provider = { id: 'plain', complete: async () => ({ content: 'four score and seven' }) };
+    const result = await completeWithProvider(provider, { prompt: 'a prompt to count', task: TASK }, { model: 'plain-model' });
+
+    assert.equal(result.content, 'four score and seven');
+    assert.equal(result.model, 'plain-model');
+    assert.equal(result.tokensEstimated, true);
+    assert.ok(result.inputTokens > 0 && result.outputTokens > 0);
+    assert.ok(Number.isFinite(result.durationMs));
+});
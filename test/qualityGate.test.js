@@ -0,0 +1,93 @@
+// test/qualityGate.test.js
+// Baselines and the check command's comparison against them
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBaseline, compareToBaseline, formatSummaryLine } = require('../src/core/qualityGate');
+
+const BUDGETS = { maxLinesOfCodeGrowth: 10, maxComplexityGrowth: 10 };
+
+// A machine context with just what a baseline reads
+function createContext({ files = {}, cycles = [], findings = [], linesOfCode = 1000, complexity = 100 } = {}) {
+    return {
+        timestamp: '2024-01-01T00:00:00.000Z',
+        config: { complexity: { maxComplexity: 20 } },
+        summary: { fileCount: Object.keys(files).length, linesOfCode, complexity },
+        files,
+        dependencies: { circular: cycles.length ? [{ files: [], cycles }] : [] },
+        findings
+    };
+}
+
+const SECRET = { rule: 'security', file: 'src/config.js', line: 4, message: 'Hard-coded API key', severity: 'error' };
+
+test('the baseline lists complex files, normalized cycles and high-priority findings', () => {
+    const baseline = createBaseline(createContext({
+        files: { 'src/big.js': { complexity: 45 }, 'src/small.js': { complexity: 3 } },
+        cycles: [['src/b.js', 'src/a.js', 'src/b.js']],
+        findings: [SECRET, { rule: 'dead-code', file: 'src/old.js', message: 'Unused', severity: 'info' }]
+    }), []);
+
+    assert.deepEqual(baseline.complexFiles, { 'src/big.js': 45 });
+    assert.deepEqual(baseline.cycles, ['src/a.js → src/b.js → src/a.js']);
+    assert.deepEqual(baseline.findings, [{ rule: 'security', file: 'src/config.js', line: 4, message: 'Hard-coded API key' }]);
+});
+
+test('known problems pass, even when they moved', () => {
+    const baseline = createBaseline(createContext({ cycles: [['a.js', 'b.js', 'a.js']], findings: [SECRET] }), []);
+    const current = createBaseline(createContext({ cycles: [['b.js', 'a.js', 'b.js']], findings: [{ ...SECRET, line: 40 }] }), []);
+
+    const result = compareToBaseline(baseline, current, BUDGETS);
+    assert.equal(result.passed, true);
+    assert.equal(formatSummaryLine(result.summary),
+        'result=pass violations=0 new_complex_files=0 new_cycles=0 new_high_priority_findings=0 lines_of_code=1000 lines_of_code_growth=0 complexity=100 complexity_growth=0 fixed=0');
+});
+
+test('new complex files, cycles and findings fail the check', () => {
+    const baseline = createBaseline(createContext(), []);
+    const current = createBaseline(createContext({
+        files: { 'src/big.js': { complexity: 45 } },
+        cycles: [['a.js', 'b.js', 'a.js']],
+        findings: [SECRET]
+    }), []);
+
+    const result = compareToBaseline(baseline, current, BUDGETS);
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.violations.map(violation => violation.check), ['complexFiles', 'cycles', 'findings']);
+    assert.match(result.violations[2].message, /src\/config\.js:4: Hard-coded API key \(security\)/);
+});
+
+test('another copy of a known finding fails the check, and removing one counts as fixed', () => {
+    const baseline = createBaseline(createContext({ findings: [SECRET] }), []);
+    const twice = createBaseline(createContext({ findings: [SECRET, { ...SECRET, line: 9 }] }), []);
+
+    const result = compareToBaseline(baseline, twice, BUDGETS);
+    assert.equal(result.passed, false);
+    assert.equal(result.summary.newHighPriorityFindings, 1);
+    assert.match(result.violations[0].message, /src\/config\.js:9: Hard-coded API key/);
+
+    assert.equal(compareToBaseline(twice, baseline, BUDGETS).summary.fixed, 1);
+});
+
+test('growth beyond the budgets fails the check', () => {
+    const baseline = createBaseline(createContext({ linesOfCode: 1000, complexity: 100 }), []);
+    const current = createBaseline(createContext({ linesOfCode: 1200, complexity: 105 }), []);
+
+    const result = compareToBaseline(baseline, current, BUDGETS);
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.violations.map(violation => violation.check), ['linesOfCode']);
+    assert.equal(result.summary.linesOfCodeGrowth, 20);
+    assert.equal(result.summary.complexityGrowth, 5);
+});
+
+test('fixed problems are counted', () => {
+    const baseline = createBaseline(createContext({
+        files: { 'src/big.js': { complexity: 45 } },
+        findings: [SECRET]
+    }), []);
+    const current = createBaseline(createContext(), []);
+
+    const result = compareToBaseline(baseline, current, BUDGETS);
+    assert.equal(result.passed, true);
+    assert.equal(result.summary.fixed, 2);
+});
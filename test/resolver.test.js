@@ -0,0 +1,135 @@
+// test/resolver.test.js
+// Resolving import specifiers to project files: relative paths, TypeScript aliases,
+// package.json "imports", workspace packages and files outside the inventory
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createResolver, isRelativeSpecifier, splitPackageSpecifier } = require('../src/core/resolver');
+
+// Writes `files` (relative path → content) into a temporary project and returns a resolver
+// whose inventory holds `inventory`, or every file written
+function withProject(files, run, inventory = Object.keys(files)) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-refactor-resolver-'));
+    try {
+        Object.entries(files).forEach(([file, content]) => {
+            fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+            fs.writeFileSync(path.join(root, file), content);
+        });
+        run(createResolver(root, inventory));
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+test('specifier helpers', () => {
+    assert.equal(isRelativeSpecifier('./a'), true);
+    assert.equal(isRelativeSpecifier('..'), true);
+    assert.equal(isRelativeSpecifier('.hidden'), false);
+    assert.equal(isRelativeSpecifier('lodash'), false);
+    assert.deepEqual(splitPackageSpecifier('lodash/fp/map'), { name: 'lodash', subpath: './fp/map' });
+    assert.deepEqual(splitPackageSpecifier('@scope/pkg'), { name: '@scope/pkg', subpath: '.' });
+});
+
+test('relative specifiers resolve with extensions, index files and TypeScript aliases', () => {
+    withProject({
+        'src/app.ts': '',
+        'src/util.ts': '',
+        'src/lib/index.js': '',
+        'src/data.json': '{}'
+    }, ({ resolve }) => {
+        assert.deepEqual(resolve('src/app.ts', './util'), { resolved: 'src/util.ts' });
+        assert.deepEqual(resolve('src/app.ts', './util.js'), { resolved: 'src/util.ts' });
+        assert.deepEqual(resolve('src/app.ts', './lib'), { resolved: 'src/lib/index.js' });
+        assert.deepEqual(resolve('src/app.ts', './data.json'), { resolved: 'src/data.json' });
+        assert.deepEqual(resolve('src/app.ts', './missing'), { resolved: null, reason: 'File not found' });
+    });
+});
+
+test('packages and builtins are external', () => {
+    withProject({ 'index.js': '' }, ({ resolve }) => {
+        assert.deepEqual(resolve('index.js', 'react'), { resolved: null, external: true });
+        assert.deepEqual(resolve('index.js', 'node:fs'), { resolved: null, external: true });
+    });
+});
+
+test('files the inventory leaves out still exist', () => {
+    withProject({
+        'src/app.js': '',
+        'src/styles.css': '',
+        'src/generated/api.js': ''
+    }, ({ resolve }) => {
+        assert.deepEqual(resolve('src/app.js', './styles.css'), { resolved: null, existing: 'src/styles.css' });
+        assert.deepEqual(resolve('src/app.js', './generated/api'), { resolved: null, existing: 'src/generated/api.js' });
+    }, ['src/app.js']);
+});
+
+test('tsconfig paths and baseUrl, including extended configs', () => {
+    withProject({
+        'tsconfig.base.json': '{ "compilerOptions": { "baseUrl": "src" } }',
+        // Comments and trailing commas are allowed, as in tsconfig itself
+        'tsconfig.json': `{
+            // shared settings
+            "extends": "./tsconfig.base",
+            "compilerOptions": { "paths": { "@/*": ["*"], "@config": ["config/index.ts"], }, },
+        }`,
+        'src/app.ts': '',
+        'src/components/button.tsx': '',
+        'src/config/index.ts': '',
+        'src/shared/format.ts': ''
+    }, ({ resolve }) => {
+        assert.deepEqual(resolve('src/app.ts', '@/components/button'), { resolved: 'src/components/button.tsx' });
+        assert.deepEqual(resolve('src/app.ts', '@config'), { resolved: 'src/config/index.ts' });
+        assert.deepEqual(resolve('src/app.ts', 'shared/format'), { resolved: 'src/shared/format.ts' });
+        assert.deepEqual(resolve('src/app.ts', '@/nothing'), {
+            resolved: null,
+            reason: 'Path alias "@/*" does not match an existing file'
+        });
+    });
+});
+
+test('package.json "imports" entries', () => {
+    withProject({
+        'package.json': JSON.stringify({
+            imports: {
+                '#db': { node: './src/db/node.js', default: './src/db/browser.js' },
+                '#utils/*': './src/utils/*.js',
+                '#fetch': 'node-fetch'
+            }
+        }),
+        'src/app.js': '',
+        'src/db/node.js': '',
+        'src/utils/date.js': ''
+    }, ({ resolve }) => {
+        assert.deepEqual(resolve('src/app.js', '#db'), { resolved: 'src/db/node.js' });
+        assert.deepEqual(resolve('src/app.js', '#utils/date'), { resolved: 'src/utils/date.js' });
+        assert.deepEqual(resolve('src/app.js', '#fetch'), { resolved: null, external: true });
+        assert.equal(resolve('src/app.js', '#other').resolved, null);
+        assert.match(resolve('src/app.js', '#utils/missing').reason, /points to a missing file/);
+    });
+});
+
+test('workspace packages resolve by name through "exports" or "main"', () => {
+    withProject({
+        'package.json': JSON.stringify({ name: 'monorepo', private: true }),
+        'packages/core/package.json': JSON.stringify({
+            name: '@acme/core',
+            exports: { '.': { import: './src/index.js' }, './utils/*': './src/utils/*.js' }
+        }),
+        'packages/core/src/index.js': '',
+        'packages/core/src/utils/strings.js': '',
+        'packages/legacy/package.json': JSON.stringify({ name: 'legacy', main: 'lib/main' }),
+        'packages/legacy/lib/main.js': '',
+        'packages/app/index.js': ''
+    }, ({ resolve }) => {
+        assert.deepEqual(resolve('packages/app/index.js', '@acme/core'), { resolved: 'packages/core/src/index.js' });
+        assert.deepEqual(resolve('packages/app/index.js', '@acme/core/utils/strings'), { resolved: 'packages/core/src/utils/strings.js' });
+        assert.deepEqual(resolve('packages/app/index.js', '@acme/core/internal'), {
+            resolved: null,
+            reason: '"./internal" is not exported by workspace package "@acme/core"'
+        });
+        assert.deepEqual(resolve('packages/app/index.js', 'legacy'), { resolved: 'packages/legacy/lib/main.js' });
+    });
+});